@@ -0,0 +1,8 @@
+// config/runtime.js
+// Entorno de ejecución: en serverless (Vercel) cada función tiene un tiempo máximo, no comparte memoria
+// con las demás y se congela al responder. SERVERLESS=true|false lo fuerza; si no, se detecta Vercel
+const SERVERLESS = process.env.SERVERLESS !== undefined && process.env.SERVERLESS !== ''
+  ? process.env.SERVERLESS === 'true'
+  : !!process.env.VERCEL;
+
+module.exports = { SERVERLESS };
@@ -0,0 +1,187 @@
+// controllers/absences.js
+const mongoose = require('mongoose');
+const Absence = require('../models/absence');
+const User = require('../models/user');
+const { findAbsences, weekRange } = require('../services/availability');
+const { recordAudit, snapshotAbsence } = require('../services/audit');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fecha de fin inclusiva: "2024-07-15" cubre todo ese día
+const parseEndDate = (value) => {
+  const date = new Date(value);
+  if (DATE_ONLY.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
+
+// Buscar la ausencia del parámetro :absenceId verificando que el usuario pueda modificarla
+const findOwnedAbsence = async (req, res) => {
+  const { absenceId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(absenceId)) {
+    res.status(400).json({ error: 'ID de ausencia inválido' });
+    return null;
+  }
+
+  const absence = await Absence.findById(absenceId);
+  if (!absence) {
+    res.status(404).json({ error: 'Ausencia no encontrada' });
+    return null;
+  }
+
+  if (!req.user.isAdmin && absence.user.toString() !== req.user.id) {
+    res.status(403).json({ error: 'No tienes permiso para modificar esta ausencia' });
+    return null;
+  }
+
+  return absence;
+};
+
+// Listar ausencias (propias; un administrador puede filtrar por usuario o ver todas)
+const getAbsences = async (req, res) => {
+  try {
+    let userIds = [req.user.id];
+    if (req.user.isAdmin) {
+      userIds = req.query.user ? [req.query.user] : undefined;
+    }
+
+    const absences = await findAbsences({
+      from: req.query.from ? new Date(req.query.from) : undefined,
+      to: req.query.to ? parseEndDate(req.query.to) : undefined,
+      userIds
+    });
+
+    res.json(absences);
+  } catch (error) {
+    console.error('Error en getAbsences:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Registrar una ausencia (un administrador puede registrarla para otro usuario)
+const createAbsence = async (req, res) => {
+  try {
+    const userId = req.user.isAdmin && req.body.userId ? req.body.userId : req.user.id;
+
+    const user = await User.findById(userId, 'fullName');
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const absence = await Absence.create({
+      user: user._id,
+      startDate: new Date(req.body.startDate),
+      endDate: parseEndDate(req.body.endDate),
+      reason: req.body.reason,
+      createdBy: req.user.id
+    });
+
+    await recordAudit({
+      actor: req.user.id,
+      action: 'absence.created',
+      targetUser: user._id,
+      affectedUsers: [user._id],
+      after: snapshotAbsence(absence),
+      metadata: { absence: absence._id.toString() }
+    });
+
+    res.status(201).json(absence);
+  } catch (error) {
+    console.error('Error en createAbsence:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+  }
+};
+
+// Modificar las fechas o el motivo de una ausencia
+const updateAbsence = async (req, res) => {
+  try {
+    const absence = await findOwnedAbsence(req, res);
+    if (!absence) return;
+
+    const before = snapshotAbsence(absence);
+    if (req.body.startDate !== undefined) absence.startDate = new Date(req.body.startDate);
+    if (req.body.endDate !== undefined) absence.endDate = parseEndDate(req.body.endDate);
+    if (req.body.reason !== undefined) absence.reason = req.body.reason;
+    await absence.save();
+
+    await recordAudit({
+      actor: req.user.id,
+      action: 'absence.updated',
+      targetUser: absence.user,
+      affectedUsers: [absence.user],
+      before,
+      after: snapshotAbsence(absence),
+      metadata: { absence: absence._id.toString() }
+    });
+
+    res.json(absence);
+  } catch (error) {
+    console.error('Error en updateAbsence:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+  }
+};
+
+// Eliminar una ausencia
+const deleteAbsence = async (req, res) => {
+  try {
+    const absence = await findOwnedAbsence(req, res);
+    if (!absence) return;
+
+    await absence.deleteOne();
+
+    await recordAudit({
+      actor: req.user.id,
+      action: 'absence.deleted',
+      targetUser: absence.user,
+      affectedUsers: [absence.user],
+      before: snapshotAbsence(absence),
+      metadata: { absence: absence._id.toString() }
+    });
+
+    res.json({ msg: 'Ausencia eliminada', absence });
+  } catch (error) {
+    console.error('Error en deleteAbsence:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Quién está ausente en la semana (lunes a domingo) que contiene ?date (por defecto, la actual)
+const getAwayThisWeek = async (req, res) => {
+  try {
+    const { from, to } = weekRange(req.query.date ? new Date(req.query.date) : new Date());
+
+    const absences = await Absence.find({ startDate: { $lte: to }, endDate: { $gte: from } })
+      .sort({ startDate: 1 })
+      .populate('user', 'fullName active')
+      .lean();
+
+    // Agrupar por usuario; el motivo solo lo ven el propio usuario y los administradores
+    const byUser = new Map();
+    absences
+      .filter(absence => absence.user && absence.user.active !== false)
+      .forEach(absence => {
+        const userId = absence.user._id.toString();
+        if (!byUser.has(userId)) {
+          byUser.set(userId, { user: { _id: absence.user._id, fullName: absence.user.fullName }, absences: [] });
+        }
+        byUser.get(userId).absences.push({
+          _id: absence._id,
+          startDate: absence.startDate,
+          endDate: absence.endDate,
+          reason: req.user.isAdmin || userId === req.user.id ? absence.reason : undefined
+        });
+      });
+
+    res.json({ from, to, away: [...byUser.values()] });
+  } catch (error) {
+    console.error('Error en getAwayThisWeek:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getAbsences,
+  createAbsence,
+  updateAbsence,
+  deleteAbsence,
+  getAwayThisWeek
+};
@@ -0,0 +1,122 @@
+// controllers/areas.js
+const mongoose = require('mongoose');
+const Area = require('../models/area');
+const CleaningTask = require('../models/cleaningTask');
+const User = require('../models/user');
+
+const AREA_FIELDS = ['name', 'peopleNeeded', 'difficulty', 'frequency', 'fineAmount', 'active'];
+
+// Tomar del body solo los campos editables de un área
+const pickAreaFields = (body) => AREA_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+// Obtener todas las áreas (opcionalmente solo las activas)
+const getAreas = async (req, res) => {
+  try {
+    await Area.ensureDefaults();
+
+    const filter = req.query.active === 'true' ? { active: true } : {};
+    const areas = await Area.find(filter).sort({ difficulty: -1, name: 1 });
+
+    res.json(areas);
+  } catch (error) {
+    console.error('Error en getAreas:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Crear una nueva área
+const createArea = async (req, res) => {
+  try {
+    const existingArea = await Area.findOne({ name: req.body.name });
+    if (existingArea) {
+      return res.status(400).json({ error: 'Ya existe un área con ese nombre' });
+    }
+
+    const area = await Area.create(pickAreaFields(req.body));
+    res.status(201).json(area);
+  } catch (error) {
+    console.error('Error en createArea:', error);
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Actualizar un área existente
+const updateArea = async (req, res) => {
+  try {
+    const { areaId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(areaId)) {
+      return res.status(400).json({ error: 'ID de área inválido' });
+    }
+
+    const area = await Area.findById(areaId);
+    if (!area) {
+      return res.status(404).json({ error: 'Área no encontrada' });
+    }
+
+    const updates = pickAreaFields(req.body);
+    const previousName = area.name;
+
+    if (updates.name && updates.name !== previousName) {
+      const duplicated = await Area.exists({ name: updates.name });
+      if (duplicated) {
+        return res.status(400).json({ error: 'Ya existe un área con ese nombre' });
+      }
+    }
+
+    area.set(updates);
+    await area.save();
+
+    // Mantener las tareas y las preferencias existentes apuntando al nuevo nombre
+    if (area.name !== previousName) {
+      await CleaningTask.updateMany({ area: previousName }, { $set: { area: area.name } });
+      await Promise.all(['preferredAreas', 'avoidAreas'].map(field => User.updateMany(
+        { [`preferences.${field}`]: previousName },
+        { $set: { [`preferences.${field}.$`]: area.name } }
+      )));
+    }
+
+    res.json(area);
+  } catch (error) {
+    console.error('Error en updateArea:', error);
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Eliminar un área (solo si no tiene tareas asociadas)
+const deleteArea = async (req, res) => {
+  try {
+    const { areaId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(areaId)) {
+      return res.status(400).json({ error: 'ID de área inválido' });
+    }
+
+    const area = await Area.findById(areaId);
+    if (!area) {
+      return res.status(404).json({ error: 'Área no encontrada' });
+    }
+
+    // Si hay historial de tareas, se pide desactivar el área en lugar de borrarla
+    const tasksCount = await CleaningTask.countDocuments({ area: area.name });
+    if (tasksCount > 0) {
+      return res.status(400).json({
+        error: 'El área tiene tareas asociadas; desactívala en lugar de eliminarla'
+      });
+    }
+
+    await area.deleteOne();
+    res.json({ msg: 'Área eliminada', area });
+  } catch (error) {
+    console.error('Error en deleteArea:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getAreas,
+  createArea,
+  updateArea,
+  deleteArea
+};
@@ -0,0 +1,83 @@
+// controllers/audit.js
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/auditEvent');
+
+const MAX_PAGE_SIZE = 200;
+
+// Armar el filtro de consulta a partir de los parámetros de la URL
+const buildAuditFilter = (query) => {
+  const filter = {};
+
+  if (query.action) {
+    filter.action = { $in: String(query.action).split(',') };
+  }
+
+  ['actor', 'task', 'user'].forEach(param => {
+    if (query[param] && !mongoose.Types.ObjectId.isValid(query[param])) {
+      const error = new Error(`Parámetro ${param} inválido`);
+      error.status = 400;
+      throw error;
+    }
+  });
+
+  if (query.actor) filter.actor = query.actor;
+  if (query.task) filter.targetTask = query.task;
+  if (query.user) filter.affectedUsers = query.user;
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+
+  return filter;
+};
+
+// Consultar eventos paginados (más recientes primero)
+const findAuditEvents = async (filter, query) => {
+  const limit = Math.min(parseInt(query.limit) || 50, MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+
+  const [events, total] = await Promise.all([
+    AuditEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actor', 'fullName')
+      .populate('targetUser', 'fullName')
+      .populate('targetTask', 'area startDate endDate'),
+    AuditEvent.countDocuments(filter)
+  ]);
+
+  return { events, total, page, limit };
+};
+
+// Listado completo de auditoría con filtros (solo administradores)
+const getAuditEvents = async (req, res) => {
+  try {
+    const result = await findAuditEvents(buildAuditFilter(req.query), req.query);
+    res.json(result);
+  } catch (error) {
+    console.error('Error en getAuditEvents:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// Eventos que afectaron al usuario autenticado
+const getMyAuditEvents = async (req, res) => {
+  try {
+    const filter = buildAuditFilter({ ...req.query, user: undefined });
+    filter.affectedUsers = req.user.id;
+
+    const result = await findAuditEvents(filter, req.query);
+    res.json(result);
+  } catch (error) {
+    console.error('Error en getMyAuditEvents:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getAuditEvents,
+  getMyAuditEvents
+};
@@ -1,7 +1,37 @@
 // controllers/auth.js
 const User = require('../models/user');
+const { PREFERENCE_FIELDS } = require('../models/user');
+const Area = require('../models/area');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { recordAudit, snapshotUser } = require('../services/audit');
+const { sendMail } = require('../services/mailer');
+const { getLockRemaining, registerFailure, clearAccount } = require('../services/loginGuard');
+const {
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/tokens');
+
+// Vigencia del token de restablecimiento (segundos)
+const PASSWORD_RESET_TOKEN_EXPIRES = parseInt(process.env.PASSWORD_RESET_TOKEN_EXPIRES) || 3600;
+
+// Mensaje único para cualquier fallo de credenciales (no revela si el correo existe)
+const INVALID_CREDENTIALS = 'Correo o contraseña incorrectos';
+
+// Hash de relleno para que un correo inexistente tarde lo mismo que una contraseña incorrecta
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('contraseña-de-relleno', 10);
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Guardar la nueva contraseña e invalidar tokens emitidos antes del cambio
+const applyNewPassword = (user, password) => {
+  user.password = password;
+  // Un segundo hacia atrás porque el "iat" del JWT se redondea a segundos
+  user.passwordChangedAt = new Date(Date.now() - 1000);
+  user.passwordReset = { tokenHash: undefined, expiresAt: undefined };
+};
 
 const register = async (req, res) => {
   try {
@@ -14,19 +44,22 @@ const register = async (req, res) => {
     const user = new User({
       fullName: req.body.fullName,
       email: req.body.email,
-      password: req.body.password,
-      availableNextWeek: true
+      password: req.body.password
     });
     
     await user.save();
+
+    await recordAudit({
+      actor: user._id,
+      action: 'user.registered',
+      targetUser: user._id,
+      after: snapshotUser(user)
+    });
     
-    // Incluir isAdmin en el token JWT
-    const token = jwt.sign({ 
-      id: user._id,
-      isAdmin: user.isAdmin 
-    }, process.env.JWT_SECRET);
+    // Access token de corta duración (incluye isAdmin) y refresh token de la sesión
+    const tokens = await issueSession(user, req);
     
-    res.json({ token, user: { 
+    res.json({ ...tokens, user: { 
       id: user._id, 
       fullName: user.fullName, 
       email: user.email,
@@ -39,24 +72,37 @@ const register = async (req, res) => {
 
 const login = async (req, res) => {
   try {
-    const user = await User.findOne({ email: req.body.email });
-    if (!user) {
-      return res.status(400).json({ error: 'Usuario no encontrado' });
+    const { email, password } = req.body;
+
+    // Rechazar de entrada si la cuenta o la IP están bloqueadas
+    const lockRemaining = await getLockRemaining(email, req.ip);
+    if (lockRemaining > 0) {
+      res.set('Retry-After', String(lockRemaining));
+      return res.status(429).json({
+        error: 'Demasiados intentos fallidos. Intenta de nuevo más tarde',
+        retryAfter: lockRemaining
+      });
     }
 
-    const isMatch = await bcrypt.compare(req.body.password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ error: 'Contraseña incorrecta' });
+    const user = await User.findOne({ email });
+    const isMatch = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+
+    if (!user || !isMatch) {
+      await registerFailure(email, req.ip);
+      return res.status(400).json({ error: INVALID_CREDENTIALS });
     }
 
-    // Incluir isAdmin en el token JWT
-    const token = jwt.sign({ 
-      id: user._id,
-      isAdmin: user.isAdmin
-    }, process.env.JWT_SECRET);
+    await clearAccount(email);
+
+    if (user.active === false) {
+      return res.status(403).json({ error: 'La cuenta está desactivada' });
+    }
+
+    // Access token de corta duración (incluye isAdmin) y refresh token de la sesión
+    const tokens = await issueSession(user, req);
     
     res.json({ 
-      token, 
+      ...tokens, 
       user: { 
         id: user._id, 
         fullName: user.fullName, 
@@ -86,14 +132,49 @@ const getMe = async (req, res) => {
 const updatePreferences = async (req, res) => {
   try {
     const { preferences } = req.body;
-    
-    if (!preferences || typeof preferences !== 'object') {
-      return res.status(400).json({ error: 'Las preferencias deben ser un objeto válido' });
+    const update = {};
+    PREFERENCE_FIELDS.forEach(field => {
+      if (preferences[field] !== undefined) {
+        update[`preferences.${field}`] = [...new Set(preferences[field].map(String))];
+      }
+    });
+
+    const previousUser = await User.findById(req.user.id).select('-password');
+    if (!previousUser) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    // Validar contra el estado final (lo que no se envía se conserva)
+    const current = previousUser.preferences || {};
+    const finalValue = (field) => update[`preferences.${field}`] ||
+      (current[field] || []).map(String);
+    const preferredAreas = finalValue('preferredAreas');
+    const avoidAreas = finalValue('avoidAreas');
+    const avoidPartners = finalValue('avoidPartners');
+
+    const conflicting = preferredAreas.filter(area => avoidAreas.includes(area));
+    if (conflicting.length > 0) {
+      return res.status(400).json({ error: `Un área no puede ser preferida y evitada a la vez: ${conflicting.join(', ')}` });
+    }
+
+    const areaNames = [...new Set([...preferredAreas, ...avoidAreas])];
+    const existingAreas = await Area.find({ name: { $in: areaNames } }, 'name').lean();
+    const unknownAreas = areaNames.filter(name => !existingAreas.some(area => area.name === name));
+    if (unknownAreas.length > 0) {
+      return res.status(400).json({ error: `Áreas inexistentes: ${unknownAreas.join(', ')}` });
+    }
+
+    if (avoidPartners.includes(req.user.id)) {
+      return res.status(400).json({ error: 'No puedes evitarte a ti mismo' });
+    }
+    const partnersCount = await User.countDocuments({ _id: { $in: avoidPartners } });
+    if (partnersCount !== avoidPartners.length) {
+      return res.status(400).json({ error: 'Alguno de los usuarios a evitar no existe' });
     }
 
     const updatedUser = await User.findByIdAndUpdate(
-      req.user.id, 
-      { $set: { preferences } },
+      req.user.id,
+      { $set: update },
       { new: true }
     ).select('-password');
 
@@ -101,6 +182,14 @@ const updatePreferences = async (req, res) => {
       return res.status(404).json({ error: 'Usuario no encontrado' });
     }
 
+    await recordAudit({
+      actor: req.user.id,
+      action: 'user.preferences_updated',
+      targetUser: updatedUser._id,
+      before: snapshotUser(previousUser),
+      after: snapshotUser(updatedUser)
+    });
+
     res.json(updatedUser);
   } catch (error) {
     console.error('Error en updatePreferences:', error);
@@ -108,4 +197,185 @@ const updatePreferences = async (req, res) => {
   }
 };
 
-module.exports = { register, login, getMe, updatePreferences };
\ No newline at end of file
+// Solicitar el restablecimiento de contraseña (la respuesta no revela si el correo existe)
+const forgotPassword = async (req, res) => {
+  const genericResponse = {
+    msg: 'Si el correo está registrado, recibirás un enlace para restablecer tu contraseña'
+  };
+
+  try {
+    const user = await User.findOne({ email: req.body.email, active: { $ne: false } });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_TOKEN_EXPIRES * 1000);
+
+    user.passwordReset = { tokenHash: hashResetToken(token), expiresAt };
+    await user.save();
+
+    const resetUrl = process.env.PASSWORD_RESET_URL
+      ? `${process.env.PASSWORD_RESET_URL}?token=${token}`
+      : null;
+
+    await sendMail(user, {
+      subject: 'Restablecer contraseña',
+      text: [
+        `Hola ${user.fullName},`,
+        '',
+        'Recibimos una solicitud para restablecer tu contraseña.',
+        resetUrl ? `Ingresa a: ${resetUrl}` : `Tu código de restablecimiento es: ${token}`,
+        `El enlace vence en ${Math.round(PASSWORD_RESET_TOKEN_EXPIRES / 60)} minutos.`,
+        'Si no fuiste tú, ignora este mensaje.'
+      ].join('\n'),
+      data: { type: 'password.reset' }
+    });
+
+    await recordAudit({
+      actor: user._id,
+      action: 'user.password_reset_requested',
+      targetUser: user._id
+    });
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Error en forgotPassword:', error);
+    res.status(500).json({ error: 'No se pudo procesar la solicitud' });
+  }
+};
+
+// Canjear el token de restablecimiento y definir una nueva contraseña
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      'passwordReset.tokenHash': hashResetToken(token),
+      'passwordReset.expiresAt': { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'El enlace de restablecimiento es inválido o está vencido' });
+    }
+
+    applyNewPassword(user, password);
+    await user.save();
+    await revokeAllSessions(user._id, 'password_changed');
+
+    await recordAudit({
+      actor: user._id,
+      action: 'user.password_reset',
+      targetUser: user._id
+    });
+
+    res.json({ msg: 'Contraseña actualizada. Inicia sesión con tu nueva contraseña' });
+  } catch (error) {
+    console.error('Error en resetPassword:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Cambiar la contraseña del usuario autenticado (requiere la contraseña actual)
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'La contraseña actual es incorrecta' });
+    }
+
+    applyNewPassword(user, newPassword);
+    await user.save();
+    await revokeAllSessions(user._id, 'password_changed');
+
+    await recordAudit({
+      actor: user._id,
+      action: 'user.password_changed',
+      targetUser: user._id
+    });
+
+    // Las sesiones anteriores se cierran: se entrega una nueva
+    const tokens = await issueSession(user, req);
+
+    res.json({ msg: 'Contraseña actualizada', ...tokens });
+  } catch (error) {
+    console.error('Error en changePassword:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Obtener un nuevo access token rotando el refresh token
+const refresh = async (req, res) => {
+  try {
+    const { user, ...tokens } = await rotateRefreshToken(
+      req.body.refreshToken,
+      (userId) => User.findById(userId, 'fullName email isAdmin active')
+    );
+
+    res.json({
+      ...tokens,
+      user: {
+        id: user._id,
+        fullName: user.fullName,
+        email: user.email,
+        isAdmin: user.isAdmin
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error en refresh:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Cerrar la sesión actual
+const logout = async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, 'logout');
+    res.json({ msg: 'Sesión cerrada' });
+  } catch (error) {
+    console.error('Error en logout:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Cerrar la sesión en todos los dispositivos
+const logoutAll = async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user.id, 'logout_all');
+
+    await recordAudit({
+      actor: req.user.id,
+      action: 'user.logged_out_all',
+      targetUser: req.user.id,
+      metadata: { sessions: result.modifiedCount }
+    });
+
+    res.json({ msg: 'Sesiones cerradas en todos los dispositivos', sessions: result.modifiedCount });
+  } catch (error) {
+    console.error('Error en logoutAll:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  getMe,
+  updatePreferences,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  refresh,
+  logout,
+  logoutAll
+};
\ No newline at end of file
@@ -0,0 +1,55 @@
+// controllers/backup.js
+const { exportHousehold, importHousehold } = require('../services/backup');
+const { recordAudit } = require('../services/audit');
+
+// Descargar el respaldo completo de la casa en JSON
+const exportBackup = async (req, res) => {
+  try {
+    const archive = await exportHousehold();
+
+    await recordAudit({
+      actor: req.user.id,
+      action: 'backup.exported',
+      metadata: { counts: archive.counts }
+    });
+
+    const date = archive.exportedAt.toISOString().slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="respaldo-${date}.json"`);
+    res.json(archive);
+  } catch (error) {
+    console.error('Error en exportBackup:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Importar un respaldo (el cuerpo es el archivo); con ?dryRun=true solo devuelve el reporte
+const importBackup = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const onConflict = req.query.onConflict || 'fail';
+
+    const result = await importHousehold(req.body, { dryRun, onConflict });
+
+    if (dryRun) return res.json(result);
+
+    if (!result.imported) {
+      // Errores de referencias o de formato: 400; solo conflictos sin permiso para reutilizar: 409
+      const status = result.report.errors.length > 0 ? 400 : 409;
+      return res.status(status).json({ error: 'No se pudo importar el respaldo', ...result });
+    }
+
+    await recordAudit({
+      actor: req.user.id,
+      action: 'backup.imported',
+      metadata: { onConflict, summary: result.report.summary }
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error en importBackup:', error);
+    // Documentos que no se pudieron borrar tras el fallo (hay que quitarlos a mano)
+    res.status(500).json({ error: error.message, leftovers: error.leftovers });
+  }
+};
+
+module.exports = { exportBackup, importBackup };
@@ -0,0 +1,146 @@
+// controllers/calendar.js
+const crypto = require('crypto');
+const CleaningTask = require('../models/cleaningTask');
+const User = require('../models/user');
+const { isStandIn, refreshDelegations } = require('../services/delegations');
+const { buildCalendar } = require('../utils/ical');
+
+// Días hacia atrás que se incluyen en el feed
+const CALENDAR_HISTORY_DAYS = parseInt(process.env.CALENDAR_HISTORY_DAYS) || 60;
+
+const generateCalendarToken = () => crypto.randomBytes(24).toString('hex');
+
+// Construir la URL pública del feed de un usuario
+const buildFeedUrl = (req, token) => {
+  const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/cleaning/calendar/${token}.ics`;
+};
+
+// Nombres de las demás personas asignadas a la tarea
+const coResponsibleNames = (task, userId) => {
+  const people = new Map(task.responsibles.map(person => [person._id.toString(), person]));
+  [task.temporaryResponsible, ...(task.standIns || [])].forEach(person => {
+    if (person) people.set(person._id.toString(), person);
+  });
+
+  return [...people.values()]
+    .filter(person => person._id.toString() !== userId)
+    .map(person => person.fullName);
+};
+
+// Obtener (o crear) el enlace del feed del usuario autenticado
+const getCalendarLink = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken');
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    if (!user.calendarToken) {
+      user.calendarToken = generateCalendarToken();
+      await user.save();
+    }
+
+    res.json({ url: buildFeedUrl(req, user.calendarToken) });
+  } catch (error) {
+    console.error('Error en getCalendarLink:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Regenerar el token para revocar el feed anterior
+const regenerateCalendarLink = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken');
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    user.calendarToken = generateCalendarToken();
+    await user.save();
+
+    res.json({ url: buildFeedUrl(req, user.calendarToken) });
+  } catch (error) {
+    console.error('Error en regenerateCalendarLink:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Feed .ics protegido por el token del usuario (sin JWT, para apps de calendario)
+const getCalendarFeed = async (req, res) => {
+  try {
+    const { token } = req.params;
+    if (!token || !/^[a-f0-9]{48}$/.test(token)) {
+      return res.status(404).json({ error: 'Calendario no encontrado' });
+    }
+
+    const user = await User.findOne({ calendarToken: token }, '_id fullName');
+    if (!user) {
+      return res.status(404).json({ error: 'Calendario no encontrado' });
+    }
+
+    const userId = user._id.toString();
+    const since = new Date();
+    since.setDate(since.getDate() - CALENDAR_HISTORY_DAYS);
+
+    await refreshDelegations();
+    const tasks = await CleaningTask.find({
+      endDate: { $gte: since },
+      $or: [
+        { responsibles: user._id },
+        { temporaryResponsible: user._id },
+        { standIns: user._id },
+        { verifiers: user._id }
+      ]
+    }).populate('responsibles', 'fullName')
+      .populate('temporaryResponsible', 'fullName')
+      .populate('standIns', 'fullName')
+      .sort({ startDate: 1 });
+
+    const events = [];
+
+    tasks.forEach(task => {
+      const isResponsible = task.responsibles.some(r => r._id.toString() === userId) || isStandIn(task, userId);
+      const isVerifier = task.verifiers.some(v => v.toString() === userId);
+      const others = coResponsibleNames(task, userId);
+
+      if (isResponsible) {
+        events.push({
+          uid: `${task._id}-responsible@organizador-pensiones`,
+          start: task.startDate,
+          end: task.endDate,
+          stamp: task.updatedAt,
+          summary: task.area,
+          description: others.length > 0
+            ? `Junto a: ${others.join(', ')}`
+            : 'Sin otros responsables'
+        });
+      }
+
+      if (isVerifier) {
+        events.push({
+          uid: `${task._id}-verify@organizador-pensiones`,
+          start: task.startDate,
+          end: task.endDate,
+          stamp: task.updatedAt,
+          summary: `Verificar ${task.area}`,
+          description: `Responsables: ${others.join(', ') || 'sin asignar'}`
+        });
+      }
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="limpieza.ics"');
+    res.set('Cache-Control', 'private, max-age=900');
+    res.send(buildCalendar({ name: `Limpieza - ${user.fullName}`, events }));
+  } catch (error) {
+    console.error('Error en getCalendarFeed:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getCalendarLink,
+  regenerateCalendarLink,
+  getCalendarFeed
+};
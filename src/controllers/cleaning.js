@@ -2,36 +2,79 @@
 const mongoose = require('mongoose');
 const CleaningTask = require('../models/cleaningTask');
 const User = require('../models/user');
-
-// Configuración de frecuencias por área
-const taskFrequencies = {
-  'Cortar el pasto': 'monthly',
-  'Terraza y Escaleras': 'biweekly',
-  // El resto de tareas serán semanales por defecto
-};
-
-const calculateEndDate = (startDate, frequency) => {
-  const date = new Date(startDate);
-  switch (frequency) {
-    case 'monthly':
-      date.setMonth(date.getMonth() + 1);
-      break;
-    case 'biweekly':
-      date.setDate(date.getDate() + 14);
-      break;
-    case 'weekly':
-    default:
-      date.setDate(date.getDate() + 7);
-      break;
-  }
-  return date;
-};
-
-// Obtener usuarios y su disponibilidad
+const RotationPeriod = require('../models/rotationPeriod');
+const RotationPreview = require('../models/rotationPreview');
+const AuditEvent = require('../models/auditEvent');
+const {
+  buildRotationPlan,
+  findUnavailablePlanUsers,
+  replayPlan,
+  applyRotationPlan,
+  selectResponsiblesForArea
+} = require('../services/rotation');
+const {
+  recordAudit,
+  snapshotTask,
+  taskParticipants
+} = require('../services/audit');
+const { settleTaskStats, revertTaskStats } = require('../services/stats');
+const { availabilityForNextWeek, setAvailableNextWeek } = require('../services/availability');
+const {
+  swapRequestExpiry,
+  isSwapRequestExpired,
+  closeSwapRequest,
+  invalidateSwapRequests,
+  expireSwapRequests
+} = require('../services/swapRequests');
+const { invalidateSwapOffers } = require('../services/swapOffers');
+const { reconcileDelegations, refreshDelegations, isStandIn } = require('../services/delegations');
+const { publishEvent, publishTaskReassigned, publishSwapEvent } = require('../services/events');
+
+// Tiempo de vida de una vista previa de rotación (segundos)
+const ROTATION_PREVIEW_TTL = parseInt(process.env.ROTATION_PREVIEW_TTL) || 3600;
+
+// Obtener las tareas de un periodo con sus relaciones pobladas
+const findPeriodTasks = (periodId) => CleaningTask.find({ rotationPeriod: periodId })
+  .populate('responsibles', 'fullName')
+  .populate('verifiers', 'fullName')
+  .populate('temporaryResponsible', 'fullName')
+  .populate('standIns', 'fullName')
+  .populate('verifications.verifier', 'fullName');
+
+// Registrar en auditoría la creación de un periodo de rotación
+const auditRotation = (actor, period, plan, metadata = {}) => recordAudit({
+  actor,
+  action: 'rotation.created',
+  affectedUsers: plan.assignments.flatMap(assignment => assignment.responsibles),
+  after: {
+    assignments: plan.assignments.map(assignment => ({
+      area: assignment.area,
+      responsibles: assignment.responsibles,
+      verifiers: assignment.verifiers
+    }))
+  },
+  metadata: { period: period._id.toString(), solver: plan.solver, seed: plan.seed, ...metadata }
+});
+
+// Avisar a todos que hay una nueva rotación
+const publishRotation = (actor, period, plan) => publishEvent({
+  type: 'rotation.created',
+  actor,
+  users: plan.assignments.flatMap(assignment => assignment.responsibles),
+  broadcast: true,
+  data: { period: period._id.toString(), areas: plan.assignments.map(assignment => assignment.area) }
+});
+
+// Obtener usuarios y su disponibilidad (availableNextWeek se calcula a partir de las ausencias)
 const getActiveUsers = async (req, res) => {
   try {
-    const users = await User.find({}, '_id fullName availableNextWeek');
-    res.json(users);
+    const users = await User.find({ active: { $ne: false } }, '_id fullName').lean();
+    const availability = await availabilityForNextWeek(users.map(user => user._id));
+
+    res.json(users.map(user => ({
+      ...user,
+      availableNextWeek: availability.get(user._id.toString())
+    })));
   } catch (error) {
     console.error('Error en getActiveUsers:', error);
     res.status(500).json({ error: error.message });
@@ -41,10 +84,15 @@ const getActiveUsers = async (req, res) => {
 // Obtener todas las tareas activas
 const getTasks = async (req, res) => {
   try {
+    // Aplicar las delegaciones que empezaron o terminaron desde la última sincronización
+    await refreshDelegations();
+
     const tasks = await CleaningTask.find({
-      endDate: { $gte: new Date() }
+      endDate: { $gte: new Date() },
+      archived: { $ne: true }
     }).populate('responsibles', 'fullName')
       .populate('temporaryResponsible', 'fullName')
+      .populate('standIns', 'fullName')
       .populate('verifiers', 'fullName')
       .populate('verifications.verifier', 'fullName');
     
@@ -59,265 +107,297 @@ const getTasks = async (req, res) => {
 const rotateAssignments = async (req, res) => {
   try {
     console.log('Iniciando rotación de tareas con distribución inteligente');
-    
+
     // Opcionalmente usar los IDs de usuario enviados desde el frontend si están disponibles
-    const userIds = req.body.userIds || [];
-    console.log(`IDs de usuarios recibidos: ${userIds.length > 0 ? userIds.join(', ') : 'ninguno'}`);
-    
-    // 1. Obtener usuarios disponibles (usar los IDs de usuario si se proporcionaron)
-    let availableUsers;
-    
-    if (userIds && userIds.length > 0) {
-      // Filtrar por los IDs proporcionados Y que estén disponibles
-      availableUsers = await User.find({ 
-        _id: { $in: userIds },
-        availableNextWeek: true 
-      }, '_id fullName');
-    } else {
-      // Usar todos los usuarios disponibles
-      availableUsers = await User.find({ 
-        availableNextWeek: true 
-      }, '_id fullName');
-    }
-    
-    console.log(`Usuarios disponibles: ${availableUsers.length}`);
-    
-    if (availableUsers.length < 2) {
-      return res.status(400).json({ 
-        error: 'Se necesitan al menos 2 usuarios disponibles para asignar todas las tareas correctamente' 
-      });
+    const now = new Date();
+    const plan = await buildRotationPlan({
+      userIds: req.body.userIds || [],
+      now,
+      solver: req.body.solver,
+      seed: req.body.seed
+    });
+    const period = await applyRotationPlan(plan, { createdBy: req.user.id, now });
+    await auditRotation(req.user.id, period, plan);
+    await publishRotation(req.user.id, period, plan);
+
+    // Obtener y devolver las tareas del nuevo periodo
+    const populatedTasks = await findPeriodTasks(period._id);
+
+    return res.json(populatedTasks);
+
+  } catch (error) {
+    console.error('Error en rotateAssignments:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    return res.status(500).json({ 
+      error: 'Error al rotar las asignaciones',
+      details: error.message 
+    });
+  }
+};
 
-    // 2. Obtener historial de tareas previas (incluyendo las actuales)
-    const taskHistory = await CleaningTask.find({})
-      .populate('responsibles', '_id fullName')
-      .populate('temporaryResponsible', '_id fullName')
-      .sort({ endDate: -1 }) // Las más recientes primero
-      .lean();
-    
-    console.log(`Historial de tareas obtenido: ${taskHistory.length} tareas`);
-
-    // 3. Calcular métricas por usuario
-    const userMetrics = calculateUserMetrics(taskHistory, availableUsers);
-    console.log('Métricas de usuario calculadas');
-
-    // 4. Definir áreas y sus características
-    const areaConfig = [
-      { area: 'Baño 1', peopleNeeded: 1, difficulty: 2 },
-      { area: 'Baño 2', peopleNeeded: 1, difficulty: 2 },
-      { area: 'Baño 3', peopleNeeded: 1, difficulty: 2 },
-      { area: 'Terraza y Escaleras', peopleNeeded: 2, difficulty: 3 },
-      { area: 'Orden de Cocina', peopleNeeded: 1, difficulty: 1 },
-      { area: 'Cocina y Living', peopleNeeded: 2, difficulty: 4 },
-      { area: 'Basura', peopleNeeded: 1, difficulty: 1 },
-      { area: 'Cortar el pasto', peopleNeeded: 2, difficulty: 3 }
-    ];
-
-    // 5. Eliminar todas las tareas actuales
-    await CleaningTask.deleteMany({});
-    console.log('Tareas anteriores eliminadas');
-
-    // 6. Crear nuevas tareas con distribución inteligente
-    const now = new Date();
-    let newTasks = [];
-
-    // Obtener la carga de trabajo objetivo por usuario
-    const totalDifficulty = areaConfig.reduce((sum, area) => sum + (area.difficulty * area.peopleNeeded), 0);
-    const targetWorkloadPerUser = totalDifficulty / availableUsers.length;
-    console.log(`Carga objetivo por usuario: ${targetWorkloadPerUser.toFixed(2)}`);
-
-    // Reiniciar métricas de carga de trabajo actual
-    availableUsers.forEach(user => {
-      const userId = user._id.toString();
-      userMetrics[userId] = userMetrics[userId] || {
-        totalHistoricalTasks: 0,
-        completedTasks: 0,
-        incompleteOrRejectedTasks: 0,
-        completionRate: 1,
-        lastAssignedAreas: {},
-        areaAssignmentCounts: {}
-      };
-      userMetrics[userId].currentWorkload = 0;
+// Generar una vista previa de la rotación sin modificar las tareas
+const previewRotation = async (req, res) => {
+  try {
+    const userIds = req.body.userIds || [];
+    const plan = await buildRotationPlan({ userIds, solver: req.body.solver, seed: req.body.seed });
+    const activePeriod = await RotationPeriod.findOne({ status: 'active' }).sort({ startDate: -1 });
+
+    const preview = await RotationPreview.create({
+      createdBy: req.user.id,
+      userIds,
+      basedOnPeriod: activePeriod?._id,
+      plan,
+      expiresAt: new Date(Date.now() + ROTATION_PREVIEW_TTL * 1000)
     });
 
-    // Asignar tareas por prioridad (primero áreas más difíciles)
-    const prioritizedAreas = [...areaConfig].sort((a, b) => b.difficulty - a.difficulty);
-
-    for (const areaInfo of prioritizedAreas) {
-      const frequency = taskFrequencies[areaInfo.area] || 'weekly';
-      const endDate = calculateEndDate(now, frequency);
-      
-      console.log(`Asignando tarea para: ${areaInfo.area} (dificultad: ${areaInfo.difficulty})`);
-      
-      // Seleccionar responsables óptimos para esta área
-      const responsibles = selectResponsiblesForArea(
-        areaInfo, 
-        availableUsers, 
-        userMetrics,
-        targetWorkloadPerUser
-      );
-      
-      // Actualizar las cargas de trabajo de los usuarios asignados
-      responsibles.forEach(userId => {
-        userMetrics[userId].currentWorkload += areaInfo.difficulty;
-        userMetrics[userId].tasksAssigned = (userMetrics[userId].tasksAssigned || 0) + 1;
-        userMetrics[userId].lastAssignedAreas = userMetrics[userId].lastAssignedAreas || {};
-        userMetrics[userId].lastAssignedAreas[areaInfo.area] = now;
-      });
+    // Las entradas guardadas para reproducir la rotación no se devuelven
+    const { inputs, ...visiblePlan } = plan;
+    res.status(201).json({
+      previewId: preview._id,
+      expiresAt: preview.expiresAt,
+      ...visiblePlan
+    });
+  } catch (error) {
+    console.error('Error en previewRotation:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Error al generar la vista previa de la rotación',
+      details: error.message
+    });
+  }
+};
 
-      // Seleccionar verificadores (intentando evitar a los responsables)
-      const verifiers = selectVerifiers(responsibles, availableUsers, userMetrics);
+// Confirmar exactamente la asignación de una vista previa
+const commitRotationPreview = async (req, res) => {
+  try {
+    const { previewId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(previewId)) {
+      return res.status(400).json({ error: 'ID de vista previa inválido' });
+    }
 
-      // Crear la nueva tarea
-      newTasks.push(new CleaningTask({
-        area: areaInfo.area,
-        frequency,
-        responsibles,
-        startDate: now,
-        endDate,
-        verifiers
-      }));
+    const preview = await RotationPreview.findById(previewId);
+    if (!preview || preview.expiresAt < new Date()) {
+      return res.status(404).json({ error: 'Vista previa no encontrada o vencida' });
     }
 
-    if (newTasks.length > 0) {
-      await CleaningTask.insertMany(newTasks);
-      console.log(`${newTasks.length} nuevas tareas creadas`);
+    // Reclamar la vista previa antes de aplicarla: dos confirmaciones simultáneas no pueden rotar dos veces
+    const claimed = await RotationPreview.findOneAndUpdate(
+      { _id: preview._id, status: { $ne: 'committed' } },
+      { status: 'committed' },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ error: 'La vista previa ya fue confirmada' });
     }
 
-    // Log de distribución final
-    logFinalDistribution(userMetrics, availableUsers);
+    let period;
+    try {
+      // Si hubo otra rotación desde la vista previa, el historial ya no coincide
+      const activePeriod = await RotationPeriod.findOne({ status: 'active' }).sort({ startDate: -1 });
+      if (String(activePeriod?._id || '') !== String(preview.basedOnPeriod || '')) {
+        throw Object.assign(
+          new Error('La rotación cambió desde que se generó la vista previa; genera una nueva'),
+          { status: 409 }
+        );
+      }
 
-    // Obtener y devolver las tareas actualizadas
-    const populatedTasks = await CleaningTask.find()
-      .populate('responsibles', 'fullName')
-      .populate('verifiers', 'fullName')
-      .populate('temporaryResponsible', 'fullName')
-      .populate('verifications.verifier', 'fullName');
+      // Quien se desactivó o cargó una ausencia después de la vista previa ya no puede recibir la tarea
+      const now = new Date();
+      const unavailable = await findUnavailablePlanUsers(preview.plan, now);
+      if (unavailable.length > 0) {
+        throw Object.assign(
+          new Error('Hay usuarios de la vista previa que ya no están activos o disponibles; genera una nueva'),
+          { status: 409, unavailable }
+        );
+      }
 
-    return res.json(populatedTasks);
+      period = await applyRotationPlan(preview.plan, { createdBy: req.user.id, now });
+    } catch (error) {
+      // La rotación no se aplicó: liberar la vista previa para poder reintentarla
+      await RotationPreview.updateOne({ _id: preview._id }, { status: 'pending' });
+      throw error;
+    }
+
+    await RotationPreview.updateOne({ _id: preview._id }, { committedPeriod: period._id });
+    await auditRotation(req.user.id, period, preview.plan, { preview: preview._id.toString() });
+    await publishRotation(req.user.id, period, preview.plan);
+
+    const populatedTasks = await findPeriodTasks(period._id);
 
+    res.json(populatedTasks);
   } catch (error) {
-    console.error('Error en rotateAssignments:', error);
-    return res.status(500).json({ 
-      error: 'Error al rotar las asignaciones',
-      details: error.message 
+    console.error('Error en commitRotationPreview:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...(error.unavailable && { unavailable: error.unavailable })
+      });
+    }
+    res.status(500).json({
+      error: 'Error al confirmar la vista previa de la rotación',
+      details: error.message
     });
   }
 };
 
-// Función para calcular métricas por usuario
-function calculateUserMetrics(taskHistory, availableUsers) {
-  const metrics = {};
-  
-  // Inicializar métricas para todos los usuarios disponibles
-  availableUsers.forEach(user => {
-    metrics[user._id] = {
-      totalHistoricalTasks: 0,
-      completedTasks: 0,
-      incompleteOrRejectedTasks: 0,
-      completionRate: 1, // 100% por defecto
-      lastAssignedAreas: {}, // Última vez que se asignó cada área
-      areaAssignmentCounts: {}, // Número de veces que cada área fue asignada
-      preferences: {} // Podría usarse en un futuro para preferencias de los usuarios
-    };
-  });
+// Listar los periodos de rotación (más recientes primero)
+const getRotationPeriods = async (req, res) => {
+  try {
+    const periods = await RotationPeriod.find()
+      .sort({ startDate: -1 })
+      .limit(parseInt(req.query.limit) || 20)
+      .populate('createdBy', 'fullName')
+      .populate('rolledBackBy', 'fullName')
+      .populate('unsatisfiedPreferences.user', 'fullName')
+      .populate('unsatisfiedPreferences.partner', 'fullName');
+
+    res.json(periods);
+  } catch (error) {
+    console.error('Error en getRotationPeriods:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
 
-  // Analizar el historial de tareas
-  taskHistory.forEach(task => {
-    const wasCompleted = task.completed && task.verificationStatus === 'approved';
-    const wasRejected = task.completed && task.verificationStatus === 'rejected';
-    
-    // Registrar métricas para cada responsable
-    task.responsibles.forEach(user => {
-      const userId = user._id.toString();
-      
-      // Omitir usuarios que no están disponibles actualmente
-      if (!metrics[userId]) return;
-      
-      metrics[userId].totalHistoricalTasks++;
-      
-      if (wasCompleted) {
-        metrics[userId].completedTasks++;
-      } else if (wasRejected || task.completed === false) {
-        metrics[userId].incompleteOrRejectedTasks++;
-      }
-      
-      // Actualizar última asignación de esta área
-      if (!metrics[userId].lastAssignedAreas[task.area] || 
-          new Date(task.endDate) > new Date(metrics[userId].lastAssignedAreas[task.area])) {
-        metrics[userId].lastAssignedAreas[task.area] = task.endDate;
-      }
-      
-      // Incrementar contador de asignaciones para esta área
-      metrics[userId].areaAssignmentCounts[task.area] = 
-        (metrics[userId].areaAssignmentCounts[task.area] || 0) + 1;
+// Reproducir una rotación pasada con su semilla y sus entradas guardadas
+const replayRotation = async (req, res) => {
+  try {
+    const { periodId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(periodId)) {
+      return res.status(400).json({ error: 'ID de periodo inválido' });
+    }
+
+    const period = await RotationPeriod.findById(periodId).select('+replayInputs');
+    if (!period) {
+      return res.status(404).json({ error: 'Periodo de rotación no encontrado' });
+    }
+    if (!period.replayInputs) {
+      return res.status(409).json({ error: 'Esta rotación no guardó su semilla y no se puede reproducir' });
+    }
+
+    const { inputs, ...plan } = replayPlan(period.replayInputs);
+
+    // Comparar con la asignación original registrada en auditoría (las tareas pueden haber
+    // cambiado después por intercambios); si no existe, con las tareas actuales del periodo
+    const creation = await AuditEvent.findOne({
+      action: { $in: ['rotation.created', 'rotation.scheduled'] },
+      'metadata.period': period._id.toString()
+    }).lean();
+    const original = creation?.after?.assignments ||
+      await CleaningTask.find({ _id: { $in: period.tasks } }, 'area responsibles').lean();
+
+    const differences = plan.assignments
+      .map(assignment => {
+        const stored = (original.find(item => item.area === assignment.area)?.responsibles || [])
+          .map(id => id.toString())
+          .sort();
+        const replayed = [...assignment.responsibles].sort();
+        return { area: assignment.area, stored, replayed };
+      })
+      .filter(item => item.stored.join() !== item.replayed.join());
+
+    res.json({
+      period: period._id,
+      seed: period.seed,
+      solver: plan.solver,
+      matches: differences.length === 0,
+      differences,
+      ...plan
     });
-    
-    // También considerar responsables temporales
-    if (task.temporaryResponsible) {
-      const tempUserId = task.temporaryResponsible._id.toString();
-      if (metrics[tempUserId]) {
-        metrics[tempUserId].totalHistoricalTasks++;
-        
-        if (wasCompleted) {
-          metrics[tempUserId].completedTasks++;
-        } else if (wasRejected || task.completed === false) {
-          metrics[tempUserId].incompleteOrRejectedTasks++;
-        }
-      }
+  } catch (error) {
+    console.error('Error en replayRotation:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// Revertir la rotación más reciente y reabrir el periodo anterior
+const rollbackRotation = async (req, res) => {
+  try {
+    const period = await RotationPeriod.findOne({ status: 'active' }).sort({ startDate: -1 });
+    if (!period) {
+      return res.status(404).json({ error: 'No hay una rotación activa para revertir' });
     }
-  });
-  
-  // Calcular tasas de completado
-  Object.keys(metrics).forEach(userId => {
-    const userMetrics = metrics[userId];
-    const totalEvaluable = userMetrics.completedTasks + userMetrics.incompleteOrRejectedTasks;
-    
-    if (totalEvaluable > 0) {
-      userMetrics.completionRate = userMetrics.completedTasks / totalEvaluable;
+
+    // Evitar perder trabajo ya realizado salvo que se fuerce explícitamente
+    const completedTasks = await CleaningTask.countDocuments({
+      rotationPeriod: period._id,
+      completed: true
+    });
+
+    if (completedTasks > 0 && !req.body.force) {
+      return res.status(400).json({
+        error: 'La rotación tiene tareas completadas; envía force: true para revertirla igualmente',
+        completedTasks
+      });
     }
-  });
-  
-  return metrics;
-}
-
-// Función para seleccionar verificadores
-function selectVerifiers(responsibles, availableUsers, userMetrics) {
-  // Filtrar usuarios disponibles excluyendo a los responsables
-  const potentialVerifiers = availableUsers.filter(user => 
-    !responsibles.includes(user._id.toString())
-  );
-  
-  // Si no hay suficientes usuarios disponibles, usar todos los usuarios
-  if (potentialVerifiers.length < 3) {
-    const allUserIds = availableUsers.map(user => user._id.toString());
-    // Ordenar por tasa de completado (primero los más confiables)
-    allUserIds.sort((a, b) => 
-      (userMetrics[b]?.completionRate || 0) - (userMetrics[a]?.completionRate || 0)
-    );
-    return allUserIds.slice(0, Math.min(3, allUserIds.length));
+
+    // Eliminar las tareas creadas por la rotación y restaurar las archivadas
+    const removedTasks = await CleaningTask.find({ rotationPeriod: period._id }).lean();
+    await CleaningTask.deleteMany({ rotationPeriod: period._id });
+    await invalidateSwapRequests(removedTasks.map(task => task._id), 'task_rotated', { actor: req.user.id });
+    await invalidateSwapOffers(removedTasks.map(task => task._id), { actor: req.user.id });
+    if (period.archivedTasks.length > 0) {
+      await CleaningTask.updateMany(
+        { _id: { $in: period.archivedTasks } },
+        { $set: { archived: false }, $unset: { finesExempt: 1 } }
+      );
+    }
+
+    // Reabrir los periodos que esta rotación había cerrado
+    const periodsToReopen = period.closedPeriods.length > 0
+      ? period.closedPeriods
+      : [period.previousPeriod].filter(Boolean);
+
+    if (periodsToReopen.length > 0) {
+      await RotationPeriod.updateMany(
+        { _id: { $in: periodsToReopen } },
+        { $set: { status: 'active' }, $unset: { closedAt: 1 } }
+      );
+    }
+
+    period.status = 'rolled_back';
+    period.rolledBackAt = new Date();
+    period.rolledBackBy = req.user.id;
+    await period.save();
+
+    console.log(`Rotación revertida: ${period._id}`);
+
+    await recordAudit({
+      actor: req.user.id,
+      action: 'rotation.rolled_back',
+      affectedUsers: taskParticipants(...removedTasks),
+      before: { tasks: removedTasks.map(snapshotTask) },
+      after: { tasks: [] },
+      metadata: { period: period._id.toString(), force: !!req.body.force }
+    });
+
+    await publishEvent({
+      type: 'rotation.rolled_back',
+      actor: req.user.id,
+      users: taskParticipants(...removedTasks),
+      broadcast: true,
+      data: { period: period._id.toString() }
+    });
+
+    const restoredTasks = await CleaningTask.find({ _id: { $in: period.archivedTasks } })
+      .populate('responsibles', 'fullName')
+      .populate('verifiers', 'fullName')
+      .populate('temporaryResponsible', 'fullName')
+      .populate('standIns', 'fullName')
+      .populate('verifications.verifier', 'fullName');
+
+    res.json({ period, tasks: restoredTasks });
+  } catch (error) {
+    console.error('Error en rollbackRotation:', error);
+    res.status(500).json({
+      error: 'Error al revertir la rotación',
+      details: error.message
+    });
   }
-  
-  // Ordenar verificadores por tasa de completado (primero los más confiables)
-  potentialVerifiers.sort((a, b) => 
-    (userMetrics[b._id]?.completionRate || 0) - (userMetrics[a._id]?.completionRate || 0)
-  );
-  
-  // Seleccionar hasta 3 verificadores con la mejor tasa de completado
-  return potentialVerifiers
-    .slice(0, 3)
-    .map(user => user._id.toString());
-}
-
-// Función para registrar distribución final
-function logFinalDistribution(userMetrics, availableUsers) {
-  console.log('----- Distribución final de tareas -----');
-  availableUsers.forEach(user => {
-    const metrics = userMetrics[user._id.toString()];
-    console.log(`${user.fullName}: ${metrics.tasksAssigned || 0} tareas asignadas, carga: ${metrics.currentWorkload?.toFixed(2) || 0}`);
-  });
-  console.log('----------------------------------------');
-}
+};
 
 // Marcar tarea como completada
 const markAsCompleted = async (req, res) => {
@@ -325,15 +405,15 @@ const markAsCompleted = async (req, res) => {
     const taskId = req.params.id;
     const { completed } = req.body;
     
-    // Verificar si la tarea existe
+    // Verificar si la tarea existe (con los suplentes al día)
+    await refreshDelegations({ taskIds: [taskId], actor: req.user.id });
     const task = await CleaningTask.findById(taskId);
     if (!task) {
       return res.status(404).json({ error: 'Tarea no encontrada' });
     }
 
     // Verificar si el usuario tiene permiso para marcar la tarea
-    const isResponsible = task.responsibles.some(r => r.toString() === req.user.id) ||
-                         (task.temporaryResponsible && task.temporaryResponsible.toString() === req.user.id);
+    const isResponsible = task.responsibles.some(r => r.toString() === req.user.id) || isStandIn(task, req.user.id);
     
     if (!isResponsible && !req.user.isAdmin) {
       return res.status(403).json({ error: 'No tienes permiso para actualizar esta tarea' });
@@ -360,6 +440,7 @@ const markAsCompleted = async (req, res) => {
       }
     ).populate('responsibles', 'fullName')
      .populate('temporaryResponsible', 'fullName')
+     .populate('standIns', 'fullName')
      .populate('verifiers', 'fullName')
      .populate('verifications.verifier', 'fullName');
 
@@ -367,6 +448,33 @@ const markAsCompleted = async (req, res) => {
       return res.status(404).json({ error: 'Tarea no encontrada después de la actualización' });
     }
 
+    // Al reabrir la tarea se descuentan las estadísticas ya acreditadas
+    if (!completed) {
+      await revertTaskStats(task);
+    } else {
+      // Una tarea completada ya no se puede intercambiar
+      await invalidateSwapRequests([task._id], 'task_completed', { actor: req.user.id });
+      await invalidateSwapOffers([task._id], { actor: req.user.id });
+    }
+
+    await recordAudit({
+      actor: req.user.id,
+      action: completed ? 'task.completed' : 'task.reopened',
+      targetTask: task._id,
+      affectedUsers: taskParticipants(task),
+      before: snapshotTask(task),
+      after: snapshotTask(updatedTask)
+    });
+
+    await publishEvent({
+      type: completed ? 'task.completed' : 'task.reopened',
+      actor: req.user.id,
+      task: task._id,
+      users: taskParticipants(updatedTask),
+      broadcast: true,
+      data: { area: updatedTask.area, completed: !!completed }
+    });
+
     res.json(updatedTask);
   } catch (error) {
     console.error('Error en markAsCompleted:', error);
@@ -377,149 +485,6 @@ const markAsCompleted = async (req, res) => {
   }
 };
 
-// Cambiar responsable de tarea
-const changeTaskResponsible = async (req, res) => {
-  try {
-    const { taskId } = req.params;
-    const { responsibleId } = req.body;
-
-    const task = await CleaningTask.findByIdAndUpdate(
-      taskId,
-      { 
-        $set: { 
-          temporaryResponsible: responsibleId 
-        } 
-      },
-      { 
-        new: true 
-      }
-    ).populate('responsibles', 'fullName')
-      .populate('temporaryResponsible', 'fullName')
-      .populate('verifiers', 'fullName')
-      .populate('verifications.verifier', 'fullName');
-
-    if (!task) {
-      return res.status(404).json({ error: 'Tarea no encontrada' });
-    }
-
-    res.json(task);
-  } catch (error) {
-    console.error('Error en changeTaskResponsible:', error);
-    res.status(500).json({ error: error.message });
-  }
-};
-
-const respondToSwapRequest = async (req, res) => {
-  try {
-    const { taskId, swapRequestId, accept } = req.body;
-    const userId = req.user.id;
-
-    const task = await CleaningTask.findById(taskId);
-    if (!task) {
-      return res.status(404).json({ error: 'Tarea no encontrada' });
-    }
-
-    const swapRequest = task.swapRequests.id(swapRequestId);
-    if (!swapRequest) {
-      return res.status(404).json({ error: 'Solicitud de intercambio no encontrada' });
-    }
-
-    // Verificar que el usuario es responsable de la tarea
-    const isResponsible = task.responsibles.some(r => r.toString() === userId) ||
-                         (task.temporaryResponsible && task.temporaryResponsible.toString() === userId);
-
-    if (!isResponsible) {
-      return res.status(403).json({ error: 'No tienes permiso para responder a esta solicitud' });
-    }
-
-    if (accept) {
-      // Realizar el intercambio
-      await swapTasks(task._id, swapRequest.targetTask);
-      swapRequest.status = 'accepted';
-    } else {
-      swapRequest.status = 'rejected';
-    }
-
-    await task.save();
-
-    const populatedTask = await CleaningTask.findById(task._id)
-      .populate('responsibles', 'fullName')
-      .populate('temporaryResponsible', 'fullName')
-      .populate('swapRequests.requestedBy', 'fullName')
-      .populate('swapRequests.targetTask');
-
-    res.json(populatedTask);
-  } catch (error) {
-    console.error('Error en respondToSwapRequest:', error);
-    res.status(500).json({ error: error.message });
-  }
-};
-
-// Intercambiar tareas
-const swapTasks = async (req, res) => {
-  try {
-    const { task1Id, task2Id } = req.body;
-    const userId = req.user.id;
-
-    // Obtener ambas tareas
-    const task1 = await CleaningTask.findById(task1Id);
-    const task2 = await CleaningTask.findById(task2Id);
-
-    if (!task1 || !task2) {
-      return res.status(404).json({ error: 'Una o ambas tareas no encontradas' });
-    }
-
-    // Verificar que el usuario es responsable de al menos una de las tareas
-    const isResponsibleForTask1 = task1.responsibles.some(r => r.toString() === userId) ||
-                                 (task1.temporaryResponsible && task1.temporaryResponsible.toString() === userId);
-    const isResponsibleForTask2 = task2.responsibles.some(r => r.toString() === userId) ||
-                                 (task2.temporaryResponsible && task2.temporaryResponsible.toString() === userId);
-
-    if (!isResponsibleForTask1 && !isResponsibleForTask2) {
-      return res.status(403).json({ 
-        error: 'No tienes permiso para intercambiar estas tareas' 
-      });
-    }
-
-    // Verificar que las tareas no estén completadas
-    if (task1.completed || task2.completed) {
-      return res.status(400).json({ 
-        error: 'No se pueden intercambiar tareas que ya están completadas' 
-      });
-    }
-
-    // Intercambiar responsables
-    const temp = task1.responsibles;
-    task1.responsibles = task2.responsibles;
-    task2.responsibles = temp;
-
-    // Limpiar responsables temporales si existen
-    task1.temporaryResponsible = undefined;
-    task2.temporaryResponsible = undefined;
-
-    // Guardar los cambios
-    await Promise.all([task1.save(), task2.save()]);
-
-    // Poblar y devolver las tareas actualizadas
-    const updatedTask1 = await CleaningTask.findById(task1Id)
-      .populate('responsibles', 'fullName')
-      .populate('temporaryResponsible', 'fullName')
-      .populate('verifiers', 'fullName')
-      .populate('verifications.verifier', 'fullName');
-
-    const updatedTask2 = await CleaningTask.findById(task2Id)
-      .populate('responsibles', 'fullName')
-      .populate('temporaryResponsible', 'fullName')
-      .populate('verifiers', 'fullName')
-      .populate('verifications.verifier', 'fullName');
-
-    res.json([updatedTask1, updatedTask2]);
-  } catch (error) {
-    console.error('Error en swapTasks:', error);
-    res.status(500).json({ error: error.message });
-  }
-};
-
 // Verificar tarea
 const verifyTask = async (req, res) => {
   try {
@@ -527,6 +492,7 @@ const verifyTask = async (req, res) => {
     const { approved, comment } = req.body;
     const verifierId = req.user.id;
 
+    await refreshDelegations({ taskIds: [taskId], actor: verifierId });
     const task = await CleaningTask.findById(taskId)
       .populate('responsibles', 'fullName')
       .populate('verifiers', 'fullName')
@@ -547,10 +513,12 @@ const verifyTask = async (req, res) => {
     }
 
     // Verificar si ya emitió su verificación
-    if (task.verifications.some(v => v.verifier.toString() === verifierId)) {
+    if (task.verifications.some(v => (v.verifier._id || v.verifier).toString() === verifierId)) {
       return res.status(400).json({ error: 'Ya has verificado esta tarea' });
     }
 
+    const before = snapshotTask(task);
+
     // Agregar la verificación
     task.verifications.push({
       verifier: verifierId,
@@ -581,6 +549,29 @@ const verifyTask = async (req, res) => {
 
     await task.save();
 
+    // Actualizar las estadísticas del verificador y, si el resultado ya es definitivo, de los responsables
+    await User.updateOne({ _id: verifierId }, { $inc: { 'stats.tasksVerified': 1 } });
+    await settleTaskStats(task);
+
+    await recordAudit({
+      actor: verifierId,
+      action: 'task.verified',
+      targetTask: task._id,
+      affectedUsers: taskParticipants(task),
+      before,
+      after: snapshotTask(task),
+      metadata: { approved: !!approved }
+    });
+
+    await publishEvent({
+      type: 'task.verified',
+      actor: verifierId,
+      task: task._id,
+      users: [...taskParticipants(task), ...task.verifiers],
+      broadcast: true,
+      data: { area: task.area, approved: !!approved, verificationStatus: task.verificationStatus }
+    });
+
     // Poblar los datos de la tarea actualizada
     await task.populate('responsibles', 'fullName');
     await task.populate('verifiers', 'fullName');
@@ -604,7 +595,7 @@ const updateUserAvailability = async (req, res) => {
       return res.status(400).json({ error: 'ID de usuario inválido' });
     }
     
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).select('-password');
     
     if (!user) {
       return res.status(404).json({ error: 'Usuario no encontrado' });
@@ -615,21 +606,48 @@ const updateUserAvailability = async (req, res) => {
       return res.status(403).json({ error: 'No tienes permiso para actualizar este usuario' });
     }
  
-    user.availableNextWeek = available;
-    await user.save();
  
-    res.json(user);
+    // Compatibilidad: el flag se traduce a una ausencia de una semana (o termina las vigentes)
+    await setAvailableNextWeek(user._id, available, { actor: req.user.id });
+
+    res.json({ ...user.toObject(), availableNextWeek: !!available });
   } catch (error) {
     console.error('Error en updateUserAvailability:', error);
     res.status(500).json({ error: error.message });
   }
 };
 
+// Cerrar la solicitud como vencida si superó su expiresAt; devuelve true si venció
+const closeIfExpired = async (task, swapRequest) => {
+  if (!isSwapRequestExpired(swapRequest)) return false;
+
+  const before = snapshotTask(task);
+  closeSwapRequest(swapRequest, 'expired', 'expired');
+  await task.save();
+
+  await recordAudit({
+    action: 'swap.expired',
+    targetTask: task._id,
+    targetUser: swapRequest.requestedBy,
+    affectedUsers: taskParticipants(task),
+    before,
+    after: snapshotTask(task),
+    metadata: { swapRequest: swapRequest._id.toString(), reason: 'expired' }
+  });
+  await publishSwapEvent('swap.expired', task, swapRequest, { reason: 'expired' });
+
+  return true;
+};
+
 // Obtener solicitudes de intercambio
 const getSwapRequests = async (req, res) => {
   try {
     const userId = req.user.id;
 
+    // Las solicitudes vencidas se cierran y los suplentes se sincronizan antes de listar
+    await expireSwapRequests();
+    await refreshDelegations();
+
     // Buscar tareas donde:
     // 1. El usuario es responsable de la tarea solicitada (debe aprobar)
     // 2. El usuario es quien solicitó el intercambio (para ver sus solicitudes pendientes)
@@ -640,7 +658,8 @@ const getSwapRequests = async (req, res) => {
             { 
               $or: [
                 { 'responsibles': userId },
-                { 'temporaryResponsible': userId }
+                { 'temporaryResponsible': userId },
+                { 'standIns': userId }
               ]
             },
             { 'swapRequests.status': 'pending' }
@@ -664,7 +683,8 @@ const getSwapRequests = async (req, res) => {
         }
       })
       .populate('responsibles', 'fullName')
-      .populate('temporaryResponsible', 'fullName');
+      .populate('temporaryResponsible', 'fullName')
+      .populate('standIns', 'fullName');
 
     // Filtrar y formatear las solicitudes
     const swapRequests = tasks.reduce((requests, task) => {
@@ -675,8 +695,7 @@ const getSwapRequests = async (req, res) => {
           // Incluir la solicitud si:
           // 1. El usuario actual es responsable de la tarea solicitada (debe aprobar)
           // 2. El usuario es quien hizo la solicitud (para ver sus propias solicitudes)
-          const isTaskResponsible = task.responsibles.some(r => r._id.toString() === userId) ||
-                                  (task.temporaryResponsible && task.temporaryResponsible._id.toString() === userId);
+          const isTaskResponsible = task.responsibles.some(r => r._id.toString() === userId) || isStandIn(task, userId);
           const isRequestor = req.requestedBy._id.toString() === userId;
           
           return isTaskResponsible !== isRequestor; // Solo mostrar al usuario opuesto
@@ -688,6 +707,7 @@ const getSwapRequests = async (req, res) => {
           offeredTask: req.targetTask,
           status: req.status,
           createdAt: req.createdAt,
+          expiresAt: req.expiresAt,
           isOwnRequest: req.requestedBy._id.toString() === userId
         }));
 
@@ -707,7 +727,8 @@ const createSwapRequest = async (req, res) => {
     const { requestedTaskId, offeredTaskId } = req.body;
     const userId = req.user.id;
 
-    // Verificar que ambas tareas existen
+    // Verificar que ambas tareas existen (con los suplentes al día)
+    await refreshDelegations({ taskIds: [requestedTaskId, offeredTaskId], actor: userId });
     const [requestedTask, offeredTask] = await Promise.all([
       CleaningTask.findById(requestedTaskId),
       CleaningTask.findById(offeredTaskId)
@@ -718,13 +739,21 @@ const createSwapRequest = async (req, res) => {
     }
 
     // Verificar que el usuario es responsable de la tarea ofrecida
-    const isResponsible = offeredTask.responsibles.some(r => r.toString() === userId) ||
-                         (offeredTask.temporaryResponsible && offeredTask.temporaryResponsible.toString() === userId);
+    const isResponsible = offeredTask.responsibles.some(r => r.toString() === userId) || isStandIn(offeredTask, userId);
 
     if (!isResponsible) {
       return res.status(403).json({ error: 'No tienes permiso para ofrecer esta tarea' });
     }
 
+    // Solo se intercambian tareas vigentes sin completar
+    const now = new Date();
+    if ([requestedTask, offeredTask].some(task => task.completed || task.archived || task.endDate <= now)) {
+      return res.status(400).json({ error: 'Solo se pueden intercambiar tareas vigentes sin completar' });
+    }
+
+    // Las solicitudes vencidas no cuentan para el límite de pendientes
+    await expireSwapRequests({ now });
+
     // Verificar si ya existe una solicitud pendiente para estas tareas
     const existingRequest = requestedTask.swapRequests.find(req => 
       req.status === 'pending' && 
@@ -750,16 +779,35 @@ const createSwapRequest = async (req, res) => {
       return res.status(400).json({ error: 'Ya tienes demasiadas solicitudes de intercambio pendientes' });
     }
 
+    const before = snapshotTask(requestedTask);
+
     // Agregar la solicitud de intercambio
     requestedTask.swapRequests.push({
       requestedBy: userId,
       targetTask: offeredTaskId,
       status: 'pending',
-      createdAt: new Date()
+      expiresAt: swapRequestExpiry(requestedTask, offeredTask, now),
+      createdAt: now
     });
 
     await requestedTask.save();
 
+    await recordAudit({
+      actor: userId,
+      action: 'swap.requested',
+      targetTask: requestedTask._id,
+      affectedUsers: taskParticipants(requestedTask, offeredTask),
+      before,
+      after: snapshotTask(requestedTask),
+      metadata: { offeredTask: offeredTaskId }
+    });
+
+    const swapRequest = requestedTask.swapRequests[requestedTask.swapRequests.length - 1];
+    await publishSwapEvent('swap.requested', requestedTask, swapRequest, {
+      actor: userId,
+      users: taskParticipants(offeredTask)
+    });
+
     // Poblar y devolver la tarea actualizada
     await requestedTask.populate('swapRequests.requestedBy', 'fullName');
     await requestedTask.populate('swapRequests.targetTask');
@@ -792,27 +840,43 @@ const acceptSwapRequest = async (req, res) => {
     }
 
     // Verificar que el usuario es responsable de la tarea solicitada
-    const isResponsible = task.responsibles.some(r => r.toString() === userId) ||
-                         (task.temporaryResponsible && task.temporaryResponsible.toString() === userId);
+    const isResponsible = task.responsibles.some(r => r.toString() === userId) || isStandIn(task, userId);
 
     if (!isResponsible) {
       return res.status(403).json({ error: 'No tienes permiso para aceptar esta solicitud' });
     }
 
+    if (await closeIfExpired(task, swapRequest)) {
+      return res.status(409).json({ error: 'La solicitud de intercambio venció' });
+    }
+
     // Realizar el intercambio
     const offeredTask = await CleaningTask.findById(swapRequest.targetTask);
     if (!offeredTask) {
       return res.status(404).json({ error: 'Tarea ofrecida no encontrada' });
     }
 
+    if ([task, offeredTask].some(t => t.completed || t.archived)) {
+      await invalidateSwapRequests([task._id, offeredTask._id], 'task_completed', { actor: userId });
+      await invalidateSwapOffers([task._id, offeredTask._id], { actor: userId });
+      return res.status(409).json({ error: 'Una de las tareas ya no está vigente' });
+    }
+
+    const before = { requestedTask: snapshotTask(task), offeredTask: snapshotTask(offeredTask) };
+    const affectedUsers = taskParticipants(task, offeredTask);
+
     // Intercambiar responsables
     const tempResponsibles = task.responsibles;
     task.responsibles = offeredTask.responsibles;
     offeredTask.responsibles = tempResponsibles;
 
-    // Limpiar responsables temporales
+    // Limpiar responsables temporales: las delegaciones de quienes dejaron la tarea se revocan
     task.temporaryResponsible = undefined;
+    task.standIns = [];
     offeredTask.temporaryResponsible = undefined;
+    offeredTask.standIns = [];
+    reconcileDelegations(task);
+    reconcileDelegations(offeredTask);
 
     // Marcar la solicitud como aceptada
     swapRequest.status = 'accepted';
@@ -820,12 +884,33 @@ const acceptSwapRequest = async (req, res) => {
     // Guardar los cambios
     await Promise.all([task.save(), offeredTask.save()]);
 
-    // Devolver las tareas actualizadas
-    await task.populate('responsibles', 'fullName');
-    await task.populate('swapRequests.requestedBy', 'fullName');
-    await task.populate('swapRequests.targetTask');
+    await recordAudit({
+      actor: userId,
+      action: 'swap.accepted',
+      targetTask: task._id,
+      targetUser: swapRequest.requestedBy,
+      affectedUsers,
+      before,
+      after: { requestedTask: snapshotTask(task), offeredTask: snapshotTask(offeredTask) },
+      metadata: { swapRequest: requestId, offeredTask: offeredTask._id.toString() }
+    });
 
-    res.json(task);
+    await publishSwapEvent('swap.accepted', task, swapRequest, { actor: userId, users: affectedUsers });
+    for (const reassigned of [task, offeredTask]) {
+      await publishTaskReassigned(reassigned, { actor: userId, reason: 'swap_request', previousUsers: affectedUsers });
+    }
+
+    // El resto de solicitudes sobre ambas tareas quedan sin efecto
+    await invalidateSwapRequests([task._id, offeredTask._id], 'task_reassigned', { actor: userId });
+    await invalidateSwapOffers([task._id, offeredTask._id], { actor: userId });
+
+    // Devolver la tarea actualizada (incluye las solicitudes recién invalidadas)
+    const updatedTask = await CleaningTask.findById(task._id)
+      .populate('responsibles', 'fullName')
+      .populate('swapRequests.requestedBy', 'fullName')
+      .populate('swapRequests.targetTask');
+
+    res.json(updatedTask);
   } catch (error) {
     console.error('Error en acceptSwapRequest:', error);
     res.status(500).json({ error: error.message });
@@ -853,17 +938,35 @@ const rejectSwapRequest = async (req, res) => {
     }
 
     // Verificar que el usuario es responsable de la tarea solicitada
-    const isResponsible = task.responsibles.some(r => r.toString() === userId) ||
-                         (task.temporaryResponsible && task.temporaryResponsible.toString() === userId);
+    const isResponsible = task.responsibles.some(r => r.toString() === userId) || isStandIn(task, userId);
 
     if (!isResponsible) {
       return res.status(403).json({ error: 'No tienes permiso para rechazar esta solicitud' });
     }
 
+    if (await closeIfExpired(task, swapRequest)) {
+      return res.status(409).json({ error: 'La solicitud de intercambio venció' });
+    }
+
+    const before = snapshotTask(task);
+
     // Marcar la solicitud como rechazada
     swapRequest.status = 'rejected';
     await task.save();
 
+    await recordAudit({
+      actor: userId,
+      action: 'swap.rejected',
+      targetTask: task._id,
+      targetUser: swapRequest.requestedBy,
+      affectedUsers: taskParticipants(task),
+      before,
+      after: snapshotTask(task),
+      metadata: { swapRequest: requestId }
+    });
+
+    await publishSwapEvent('swap.rejected', task, swapRequest, { actor: userId });
+
     // Devolver la tarea actualizada
     await task.populate('responsibles', 'fullName');
     await task.populate('swapRequests.requestedBy', 'fullName');
@@ -876,110 +979,78 @@ const rejectSwapRequest = async (req, res) => {
   }
 };
 
-// Función para seleccionar responsables óptimos para un área
-function selectResponsiblesForArea(areaInfo, availableUsers, userMetrics, targetWorkload) {
-  const selectedResponsibles = [];
-  const area = areaInfo.area;
-  const peopleNeeded = areaInfo.peopleNeeded;
-  
-  // Crear una lista temporal de usuarios disponibles con puntajes calculados
-  const scoredUsers = availableUsers.map(user => {
-    const userId = user._id.toString();
-    const metrics = userMetrics[userId] || {};
-    
-    // Factores a considerar:
-    // 1. ¿Cuándo fue la última vez que el usuario hizo esta tarea? (más tiempo = mejor)
-    const daysSinceLastAssignment = metrics.lastAssignedAreas && metrics.lastAssignedAreas[area] 
-      ? Math.floor((new Date() - new Date(metrics.lastAssignedAreas[area])) / (1000 * 60 * 60 * 24)) 
-      : 365; // Si nunca ha hecho esta tarea, alto puntaje
-    
-    // 2. ¿Cuántas veces ha hecho esta tarea en total? (menos = mejor)
-    const areaAssignmentCount = metrics.areaAssignmentCounts && metrics.areaAssignmentCounts[area] 
-      ? metrics.areaAssignmentCounts[area] 
-      : 0;
-    
-    // 3. Carga de trabajo actual vs. objetivo (menos carga = mejor)
-    const workloadDifference = targetWorkload - (metrics.currentWorkload || 0);
-    
-    // 4. Tasa de completado de tareas (mayor tasa = mejor)
-    const completionRateBonus = (metrics.completionRate || 1) * 3; // Factor de peso para la tasa de completado
-    
-    // 5. Número total de tareas históricas (menos = mejor)
-    const maxHistoricalTasks = Math.max(...Object.values(userMetrics)
-      .map(m => m.totalHistoricalTasks || 0)) || 1;
-    const totalTasksRatio = (metrics.totalHistoricalTasks || 0) / maxHistoricalTasks;
-    
-    // 6. NUEVO: Factor de aleatorización para romper patrones recurrentes
-    const randomFactor = Math.random() * 2; // Valor aleatorio entre 0 y 2
-    
-    // Penalización directa para evitar asignaciones repetidas
-    const recentAssignmentPenalty = metrics.lastAssignedAreas && 
-      metrics.lastAssignedAreas[area] && 
-      daysSinceLastAssignment < 30 ? -10 : 0;
-    
-    // Calcular puntaje final (mayor = mejor candidato)
-    const score = 
-      (daysSinceLastAssignment * 0.2) + // Factor de tiempo desde última asignación
-      ((10 - areaAssignmentCount) * 0.25) + // Factor de frecuencia de asignación (mayor peso)
-      (workloadDifference * 0.3) + // Factor de balance de carga 
-      (completionRateBonus * 0.15) + // Factor de tasa de completado (menor peso)
-      ((1 - totalTasksRatio) * 0.1) + // Factor de total histórico
-      (randomFactor * 0.15) + // Nuevo factor aleatorio para introducir variación
-      recentAssignmentPenalty; // Penalización para evitar asignaciones repetidas
-      
-    return {
-      user,
-      userId: userId,
-      score,
-      metrics: {
-        daysSinceLastAssignment,
-        areaAssignmentCount,
-        workloadDifference,
-        completionRate: metrics.completionRate || 1,
-        totalTasksRatio
-      }
-    };
-  });
-  
-  // Ordenar usuarios por puntaje (descendente)
-  scoredUsers.sort((a, b) => b.score - a.score);
-  
-  // Debug para ver puntuaciones (solo en desarrollo)
-  if (process.env.NODE_ENV === 'development') {
-    console.log(`Puntuaciones para ${area}:`, 
-      scoredUsers.map(u => ({ 
-        nombre: u.user.fullName, 
-        puntuación: u.score.toFixed(2),
-        métricas: u.metrics
-      }))
-    );
-  }
-  
-  // Seleccionar los mejores candidatos
-  for (let i = 0; i < peopleNeeded; i++) {
-    if (scoredUsers.length > 0) {
-      const selected = scoredUsers.shift();
-      selectedResponsibles.push(selected.userId);
+// Cancelar una solicitud de intercambio pendiente (quien la hizo o un administrador)
+const cancelSwapRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const userId = req.user.id;
+
+    const task = await CleaningTask.findOne({
+      'swapRequests._id': requestId
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: 'Solicitud de intercambio no encontrada' });
+    }
+
+    const swapRequest = task.swapRequests.id(requestId);
+    if (!swapRequest) {
+      return res.status(404).json({ error: 'Solicitud de intercambio no encontrada' });
     }
+
+    if (!req.user.isAdmin && swapRequest.requestedBy.toString() !== userId) {
+      return res.status(403).json({ error: 'No tienes permiso para cancelar esta solicitud' });
+    }
+
+    if (swapRequest.status !== 'pending') {
+      return res.status(409).json({ error: `La solicitud ya está en estado ${swapRequest.status}` });
+    }
+
+    const before = snapshotTask(task);
+
+    closeSwapRequest(swapRequest, 'cancelled', 'withdrawn');
+    await task.save();
+
+    await recordAudit({
+      actor: userId,
+      action: 'swap.cancelled',
+      targetTask: task._id,
+      targetUser: swapRequest.requestedBy,
+      affectedUsers: taskParticipants(task),
+      before,
+      after: snapshotTask(task),
+      metadata: { swapRequest: requestId, reason: 'withdrawn' }
+    });
+
+    await publishSwapEvent('swap.cancelled', task, swapRequest, { actor: userId, reason: 'withdrawn' });
+
+    await task.populate('responsibles', 'fullName');
+    await task.populate('swapRequests.requestedBy', 'fullName');
+    await task.populate('swapRequests.targetTask');
+
+    res.json(task);
+  } catch (error) {
+    console.error('Error en cancelSwapRequest:', error);
+    res.status(500).json({ error: error.message });
   }
-  
-  console.log(`Asignados para ${area}: ${selectedResponsibles.length} usuarios`);
-  return selectedResponsibles;
-}
+};
 
 module.exports = {
   getTasks,
   rotateAssignments,
+  previewRotation,
+  commitRotationPreview,
+  getRotationPeriods,
+  replayRotation,
+  rollbackRotation,
   markAsCompleted,
   verifyTask,
   getActiveUsers,
   updateUserAvailability,
-  changeTaskResponsible,
-  swapTasks,
   createSwapRequest,
   getSwapRequests,
-  respondToSwapRequest,
   rejectSwapRequest,
   acceptSwapRequest,
+  cancelSwapRequest,
   selectResponsiblesForArea
 };
\ No newline at end of file
@@ -0,0 +1,63 @@
+// controllers/cron.js
+const { runScheduledRotation } = require('../services/scheduler');
+const { dispatchReminders } = require('../services/reminders');
+const { issueFines } = require('../services/fines');
+const { refreshDelegations } = require('../services/delegations');
+const { deliverPending } = require('../services/webhooks');
+
+// Rotar las áreas cuya tarea vigente ya venció
+const runRotation = async (req, res) => {
+  try {
+    const result = await runScheduledRotation();
+    res.json(result);
+  } catch (error) {
+    console.error('Error en runRotation:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// Enviar los recordatorios de tareas pendientes
+const runReminders = async (req, res) => {
+  try {
+    const summary = await dispatchReminders();
+    res.json(summary);
+  } catch (error) {
+    console.error('Error en runReminders:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Emitir las multas de las tareas vencidas
+const runFines = async (req, res) => {
+  try {
+    const summary = await issueFines();
+    res.json(summary);
+  } catch (error) {
+    console.error('Error en runFines:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Activar o terminar las delegaciones según su rango de fechas
+const runDelegations = async (req, res) => {
+  try {
+    const summary = await refreshDelegations();
+    res.json(summary);
+  } catch (error) {
+    console.error('Error en runDelegations:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Reintentar las entregas de webhooks pendientes
+const runWebhooks = async (req, res) => {
+  try {
+    const summary = await deliverPending();
+    res.json(summary);
+  } catch (error) {
+    console.error('Error en runWebhooks:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { runRotation, runReminders, runFines, runDelegations, runWebhooks };
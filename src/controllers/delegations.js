@@ -0,0 +1,268 @@
+// controllers/delegations.js
+const mongoose = require('mongoose');
+const CleaningTask = require('../models/cleaningTask');
+const User = require('../models/user');
+const { findAbsences, isAway } = require('../services/availability');
+const {
+  DELEGATION_OPEN_STATUSES,
+  isAssignedResponsible,
+  reconcileDelegations,
+  standInsLeaving
+} = require('../services/delegations');
+const { recordAudit, snapshotTask, taskParticipants } = require('../services/audit');
+const { publishTaskReassigned } = require('../services/events');
+
+// Obtener una tarea con sus delegaciones pobladas
+const findTaskWithDelegations = (taskId) => CleaningTask.findById(taskId)
+  .populate('responsibles', 'fullName')
+  .populate('temporaryResponsible', 'fullName')
+  .populate('standIns', 'fullName')
+  .populate('delegations.delegator', 'fullName')
+  .populate('delegations.delegate', 'fullName')
+  .populate('delegations.revokedBy', 'fullName');
+
+// Buscar la tarea y la delegación de los parámetros :taskId y :delegationId
+const findDelegation = async (req, res) => {
+  const { taskId, delegationId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(taskId) || !mongoose.Types.ObjectId.isValid(delegationId)) {
+    res.status(400).json({ error: 'ID inválido' });
+    return {};
+  }
+
+  const task = await CleaningTask.findById(taskId);
+  const delegation = task && task.delegations.id(delegationId);
+  if (!delegation) {
+    res.status(404).json({ error: 'Delegación no encontrada' });
+    return {};
+  }
+
+  return { task, delegation };
+};
+
+// Guardar la tarea tras un cambio de delegación, sincronizando los suplentes vigentes, y auditarlo
+const saveDelegationChange = async (task, delegation, { actor, action, before }) => {
+  reconcileDelegations(task);
+  await task.save();
+
+  await recordAudit({
+    actor,
+    action,
+    targetTask: task._id,
+    targetUser: delegation.delegate,
+    affectedUsers: [...taskParticipants(task), delegation.delegator, delegation.delegate],
+    before,
+    after: snapshotTask(task),
+    metadata: { delegation: delegation._id.toString() }
+  });
+
+  // Solo cambia quién cubre la tarea cuando entra o sale un suplente vigente
+  const previousStandIns = standInsLeaving(before, task);
+  if (previousStandIns) {
+    await publishTaskReassigned(task, { actor, reason: 'delegation', previousUsers: previousStandIns });
+  }
+
+  return findTaskWithDelegations(task._id);
+};
+
+// Delegaciones del usuario: las que propuso y las que le propusieron (tareas no archivadas)
+const getMyDelegations = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const tasks = await CleaningTask.find({
+      archived: { $ne: true },
+      $or: [{ 'delegations.delegator': userId }, { 'delegations.delegate': userId }]
+    }, 'area startDate endDate completed delegations')
+      .populate('delegations.delegator', 'fullName')
+      .populate('delegations.delegate', 'fullName')
+      .lean();
+
+    const delegations = tasks
+      .flatMap(task => task.delegations
+        .filter(delegation =>
+          delegation.delegator._id.toString() === userId || delegation.delegate._id.toString() === userId)
+        .filter(delegation => !req.query.status || delegation.status === req.query.status)
+        .map(delegation => ({
+          ...delegation,
+          task: { _id: task._id, area: task.area, startDate: task.startDate, endDate: task.endDate, completed: task.completed },
+          isOwnDelegation: delegation.delegator._id.toString() === userId
+        })))
+      .sort((a, b) => new Date(b.proposedAt) - new Date(a.proposedAt));
+
+    res.json(delegations);
+  } catch (error) {
+    console.error('Error en getMyDelegations:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Proponer un suplente para la tarea (solo un responsable asignado)
+const proposeDelegation = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { delegateId, note } = req.body;
+    const userId = req.user.id;
+    const now = new Date();
+
+    const task = await CleaningTask.findById(taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Tarea no encontrada' });
+    }
+
+    if (!isAssignedResponsible(task, userId)) {
+      return res.status(403).json({ error: 'Solo un responsable asignado puede delegar la tarea' });
+    }
+
+    if (task.completed || task.archived || task.endDate <= now) {
+      return res.status(400).json({ error: 'Solo se pueden delegar tareas vigentes sin completar' });
+    }
+
+    if (delegateId === userId || isAssignedResponsible(task, delegateId)) {
+      return res.status(400).json({ error: 'El suplente no puede ser un responsable de la tarea' });
+    }
+
+    // Quien verifica la tarea no puede hacerla: terminaría aprobando su propio trabajo
+    if (task.verifiers.some(verifier => verifier.toString() === delegateId)) {
+      return res.status(400).json({ error: 'El suplente no puede ser un verificador de la tarea' });
+    }
+
+    const delegate = await User.findOne({ _id: delegateId, active: { $ne: false } }, 'fullName');
+    if (!delegate) {
+      return res.status(400).json({ error: 'El suplente no existe o está desactivado' });
+    }
+
+    // Por defecto la delegación cubre desde ahora hasta el fin de la tarea
+    const startDate = req.body.startDate
+      ? new Date(req.body.startDate)
+      : new Date(Math.max(now.getTime(), task.startDate.getTime()));
+    const endDate = req.body.endDate ? new Date(req.body.endDate) : task.endDate;
+
+    if (startDate >= endDate || startDate < task.startDate || endDate > task.endDate || endDate <= now) {
+      return res.status(400).json({ error: 'El rango de la delegación debe estar dentro de la tarea y no haber terminado' });
+    }
+
+    const absences = await findAbsences({ from: startDate, to: endDate, userIds: [delegate._id] });
+    if (isAway(absences, delegate._id, startDate, endDate)) {
+      return res.status(400).json({ error: 'El suplente tiene una ausencia registrada en ese rango' });
+    }
+
+    // Cada responsable tiene una sola delegación abierta a la vez en el mismo rango, y un suplente
+    // no puede cubrir a dos responsables de la tarea al mismo tiempo
+    const overlapping = task.delegations.filter(delegation =>
+      DELEGATION_OPEN_STATUSES.includes(delegation.status) &&
+      delegation.startDate < endDate &&
+      delegation.endDate > startDate
+    );
+    if (overlapping.some(delegation => delegation.delegator.toString() === userId)) {
+      return res.status(409).json({ error: 'Ya tienes una delegación abierta para ese rango' });
+    }
+    if (overlapping.some(delegation => delegation.delegate.toString() === delegate._id.toString())) {
+      return res.status(409).json({ error: 'El suplente ya cubre a otro responsable de la tarea en ese rango' });
+    }
+
+    const before = snapshotTask(task);
+    task.delegations.push({
+      delegator: userId,
+      delegate: delegate._id,
+      startDate,
+      endDate,
+      note,
+      proposedAt: now
+    });
+    const delegation = task.delegations[task.delegations.length - 1];
+
+    const updatedTask = await saveDelegationChange(task, delegation, {
+      actor: userId,
+      action: 'delegation.proposed',
+      before
+    });
+
+    res.status(201).json(updatedTask);
+  } catch (error) {
+    console.error('Error en proposeDelegation:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+  }
+};
+
+// Aceptar o rechazar una delegación propuesta (solo el suplente)
+const respondToDelegation = (accept) => async (req, res) => {
+  const action = accept ? 'delegation.accepted' : 'delegation.declined';
+  try {
+    const { task, delegation } = await findDelegation(req, res);
+    if (!delegation) return;
+
+    if (delegation.delegate.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Solo el suplente puede responder a esta delegación' });
+    }
+
+    if (delegation.status !== 'proposed') {
+      return res.status(409).json({ error: `La delegación ya está en estado ${delegation.status}` });
+    }
+
+    const now = new Date();
+    if (accept && (task.completed || task.archived || delegation.endDate <= now)) {
+      return res.status(409).json({ error: 'La delegación ya no está vigente' });
+    }
+
+    // Si quien delegó ya no es responsable, la delegación queda revocada
+    if (!isAssignedResponsible(task, delegation.delegator)) {
+      reconcileDelegations(task, now);
+      await task.save();
+      return res.status(409).json({ error: 'Quien propuso la delegación ya no es responsable de la tarea' });
+    }
+
+    const before = snapshotTask(task);
+    delegation.status = accept ? 'accepted' : 'declined';
+    delegation.respondedAt = now;
+
+    const updatedTask = await saveDelegationChange(task, delegation, { actor: req.user.id, action, before });
+    res.json(updatedTask);
+  } catch (error) {
+    console.error(`Error en ${action}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const acceptDelegation = respondToDelegation(true);
+const declineDelegation = respondToDelegation(false);
+
+// Revocar una delegación propuesta o aceptada (quien delegó o un administrador)
+const revokeDelegation = async (req, res) => {
+  try {
+    const { task, delegation } = await findDelegation(req, res);
+    if (!delegation) return;
+
+    if (!req.user.isAdmin && delegation.delegator.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'No tienes permiso para revocar esta delegación' });
+    }
+
+    if (!DELEGATION_OPEN_STATUSES.includes(delegation.status)) {
+      return res.status(409).json({ error: `La delegación ya está en estado ${delegation.status}` });
+    }
+
+    const before = snapshotTask(task);
+    delegation.status = 'revoked';
+    delegation.revokedReason = 'revoked';
+    delegation.revokedBy = req.user.id;
+    delegation.revokedAt = new Date();
+
+    const updatedTask = await saveDelegationChange(task, delegation, {
+      actor: req.user.id,
+      action: 'delegation.revoked',
+      before
+    });
+
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Error en revokeDelegation:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getMyDelegations,
+  proposeDelegation,
+  acceptDelegation,
+  declineDelegation,
+  revokeDelegation
+};
@@ -0,0 +1,194 @@
+// controllers/events.js
+const mongoose = require('mongoose');
+const {
+  EVENTS_REPLAY_LIMIT,
+  subscribe,
+  isVisible,
+  visibilityFilter,
+  findEventsAfter,
+  serializeEvent
+} = require('../services/events');
+const TaskEvent = require('../models/taskEvent');
+const { checkSession } = require('../middleware/auth');
+const { SERVERLESS } = require('../config/runtime');
+
+// Segundos que se mantiene abierto cada stream (sin límite en modo servidor). En serverless el stream se
+// corta a los pocos segundos, se consulta la base para ver eventos de otras instancias y el cliente
+// reconecta con Last-Event-ID (queda como un polling incremental)
+const EVENTS_STREAM_SECONDS = parseInt(process.env.EVENTS_STREAM_SECONDS) || (SERVERLESS ? 8 : 0);
+
+// Cada cuántos segundos se buscan en la base eventos publicados por otros procesos
+const EVENTS_POLL_SECONDS = parseInt(process.env.EVENTS_POLL_SECONDS) || (SERVERLESS ? 2 : 0);
+
+// Milisegundos que espera el cliente antes de reconectar
+const EVENTS_RETRY_MS = parseInt(process.env.EVENTS_RETRY_MS) || (SERVERLESS ? 5000 : 3000);
+
+// Mayor espera que admite setTimeout (unos 24 días)
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Streams abiertos a la vez por usuario en este proceso
+const EVENTS_MAX_STREAMS_PER_USER = parseInt(process.env.EVENTS_MAX_STREAMS_PER_USER) || 5;
+
+// Comentario periódico para que los proxys no cierren la conexión inactiva; en cada uno se vuelve
+// a comprobar la sesión
+const HEARTBEAT_MS = 20000;
+
+// Los IDs de distintos procesos no son estrictamente crecientes dentro del mismo segundo:
+// al consultar la base se repasan unos segundos hacia atrás y se descartan los ya enviados
+const POLL_OVERLAP_SECONDS = 5;
+
+const { ObjectId } = mongoose.Types;
+
+// Usuario -> cantidad de streams abiertos
+const openStreams = new Map();
+
+// Tipos pedidos en ?types=a,b (sin filtro si no se envía)
+const parseTypes = (types) => types
+  ? types.split(',').map(type => type.trim()).filter(Boolean)
+  : [];
+
+// Stream SSE de eventos de tareas, intercambios y rotaciones visibles para el usuario
+// Se cierra al vencer el access token o si la sesión deja de ser válida; el cliente reconecta con uno nuevo
+const streamEvents = async (req, res) => {
+  const userId = req.user.id;
+  if ((openStreams.get(userId) || 0) >= EVENTS_MAX_STREAMS_PER_USER) {
+    return res.status(429).json({ error: 'Demasiadas conexiones de eventos abiertas' });
+  }
+  openStreams.set(userId, (openStreams.get(userId) || 0) + 1);
+
+  const options = { types: parseTypes(req.query.types), mine: req.query.mine === 'true' };
+  const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+  const resuming = !!lastEventId && ObjectId.isValid(lastEventId);
+
+  // Solo se envían eventos posteriores a la conexión o al último recibido por el cliente
+  let floor = resuming ? new ObjectId(lastEventId) : new ObjectId();
+  let latest = floor.getTimestamp().getTime();
+  const sent = new Map(); // ID -> instante de publicación (ms)
+
+  let replaying = true;
+  const queued = [];
+  let closed = false;
+  const timers = [];
+  let unsubscribe = () => {};
+
+  const write = (event) => {
+    const id = event._id.toString();
+    if (closed || sent.has(id) || id <= floor.toString() || !isVisible(event, req.user, options)) return;
+
+    const publishedAt = event._id.getTimestamp().getTime();
+    sent.set(id, publishedAt);
+    latest = Math.max(latest, publishedAt);
+    res.write(`id: ${id}\nevent: ${event.type}\ndata: ${JSON.stringify(serializeEvent(event))}\n\n`);
+  };
+
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    timers.forEach(clearInterval);
+
+    const remaining = openStreams.get(userId) - 1;
+    if (remaining > 0) openStreams.set(userId, remaining);
+    else openStreams.delete(userId);
+  };
+  res.on('close', cleanup);
+
+  // Avisar al cliente por qué se corta el stream (debe renovar el token antes de reconectar)
+  const expire = (reason) => {
+    if (closed) return;
+    res.write(`event: reauth\ndata: ${JSON.stringify({ reason })}\n\n`);
+    res.end();
+  };
+
+  // Sesión cerrada, usuario desactivado o rol cambiado desde que se abrió el stream
+  const revalidate = async () => {
+    try {
+      const { error, user } = await checkSession(req.user);
+      if (error) expire('session_ended');
+      else if (!!user.isAdmin !== !!req.user.isAdmin) expire('role_changed');
+    } catch (err) {
+      console.error('Error al revalidar la sesión del stream:', err.message);
+    }
+  };
+
+  try {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${EVENTS_RETRY_MS}\n\n`);
+
+    // Los eventos que llegan mientras se reenvían los perdidos se encolan para no desordenarlos
+    unsubscribe = subscribe(event => replaying ? queued.push(event) : write(event));
+
+    if (resuming) {
+      const missed = await findEventsAfter(floor, req.user, options, EVENTS_REPLAY_LIMIT + 1);
+      if (missed.length > EVENTS_REPLAY_LIMIT) {
+        // Demasiados eventos perdidos: el cliente debe recargar el estado completo
+        floor = new ObjectId();
+        latest = floor.getTimestamp().getTime();
+        res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'too_many_missed_events' })}\n\n`);
+      } else {
+        missed.forEach(write);
+      }
+    }
+
+    replaying = false;
+    queued.splice(0).forEach(write);
+
+    timers.push(setInterval(() => {
+      res.write(': ping\n\n');
+      revalidate();
+    }, HEARTBEAT_MS));
+
+    // Los filtros usan el req.user del momento de conectar: el stream no sobrevive al token
+    if (req.user.exp) {
+      timers.push(setTimeout(() => expire('token_expired'), Math.min(Math.max(req.user.exp * 1000 - Date.now(), 0), MAX_TIMEOUT_MS)));
+    }
+
+    if (EVENTS_POLL_SECONDS > 0) {
+      let polling = false;
+      timers.push(setInterval(async () => {
+        if (polling || closed) return;
+        polling = true;
+        try {
+          const since = Math.floor(latest / 1000) - POLL_OVERLAP_SECONDS;
+          const from = ObjectId.createFromTime(since);
+          const events = await TaskEvent.find({
+            ...visibilityFilter(req.user, options),
+            _id: { $gt: from.toString() > floor.toString() ? from : floor }
+          })
+            .sort({ _id: 1 })
+            .limit(EVENTS_REPLAY_LIMIT)
+            .lean();
+          events.forEach(write);
+
+          // Olvidar los IDs que ya quedaron fuera de la ventana de repaso
+          sent.forEach((publishedAt, id) => {
+            if (publishedAt < since * 1000) sent.delete(id);
+          });
+        } catch (error) {
+          console.error('Error al consultar eventos:', error.message);
+        } finally {
+          polling = false;
+        }
+      }, EVENTS_POLL_SECONDS * 1000));
+    }
+
+    if (EVENTS_STREAM_SECONDS > 0) {
+      timers.push(setTimeout(() => res.end(), EVENTS_STREAM_SECONDS * 1000));
+    }
+  } catch (error) {
+    console.error('Error en streamEvents:', error);
+    cleanup();
+    if (!res.headersSent) {
+      return res.status(500).json({ error: error.message });
+    }
+    res.end();
+  }
+};
+
+module.exports = { streamEvents };
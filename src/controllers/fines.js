@@ -0,0 +1,140 @@
+// controllers/fines.js
+const mongoose = require('mongoose');
+const Fine = require('../models/fine');
+const { issueFines, getBalances } = require('../services/fines');
+const { recordAudit, snapshotFine } = require('../services/audit');
+
+const MAX_PAGE_SIZE = 200;
+
+const EMPTY_BALANCE = { outstanding: 0, paid: 0, waived: 0, outstandingCount: 0 };
+
+// Consultar multas paginadas (más recientes primero)
+const findFines = async (filter, query) => {
+  const limit = Math.min(parseInt(query.limit) || 50, MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+
+  const [fines, total] = await Promise.all([
+    Fine.find(filter)
+      .sort({ issuedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('user', 'fullName')
+      .populate('task', 'area startDate endDate')
+      .populate('resolvedBy', 'fullName'),
+    Fine.countDocuments(filter)
+  ]);
+
+  return { fines, total, page, limit };
+};
+
+// Multas y saldo del usuario autenticado
+const getMyFines = async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [result, balances] = await Promise.all([
+      findFines(filter, req.query),
+      getBalances([req.user.id])
+    ]);
+
+    res.json({ balance: balances[req.user.id] || EMPTY_BALANCE, ...result });
+  } catch (error) {
+    console.error('Error en getMyFines:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Listado de multas con saldos por usuario (solo administradores)
+const getFines = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.user) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.user)) {
+        return res.status(400).json({ error: 'Parámetro user inválido' });
+      }
+      filter.user = req.query.user;
+    }
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.area) filter.area = req.query.area;
+
+    const [result, balances] = await Promise.all([
+      findFines(filter, req.query),
+      getBalances(req.query.user ? [req.query.user] : undefined)
+    ]);
+
+    res.json({ balances, ...result });
+  } catch (error) {
+    console.error('Error en getFines:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Cerrar una multa emitida como pagada o condonada
+const resolveFine = (status, action) => async (req, res) => {
+  try {
+    const { fineId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(fineId)) {
+      return res.status(400).json({ error: 'ID de multa inválido' });
+    }
+
+    const before = await Fine.findById(fineId);
+    if (!before) {
+      return res.status(404).json({ error: 'Multa no encontrada' });
+    }
+
+    // Solo se resuelven multas pendientes (condición atómica por si hay dos administradores)
+    const fine = await Fine.findOneAndUpdate(
+      { _id: fineId, status: 'issued' },
+      {
+        $set: {
+          status,
+          resolvedAt: new Date(),
+          resolvedBy: req.user.id,
+          note: req.body.note
+        }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!fine) {
+      return res.status(409).json({ error: `La multa ya está en estado ${before.status}` });
+    }
+
+    await recordAudit({
+      actor: req.user.id,
+      action,
+      targetTask: fine.task,
+      targetUser: fine.user,
+      affectedUsers: [fine.user],
+      before: snapshotFine(before),
+      after: snapshotFine(fine)
+    });
+
+    res.json(fine);
+  } catch (error) {
+    console.error(`Error en ${action}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const markFinePaid = resolveFine('paid', 'fine.paid');
+const waiveFine = resolveFine('waived', 'fine.waived');
+
+// Evaluar manualmente las tareas vencidas (solo administradores)
+const runFineIssuance = async (req, res) => {
+  try {
+    const summary = await issueFines();
+    res.json(summary);
+  } catch (error) {
+    console.error('Error en runFineIssuance:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getMyFines,
+  getFines,
+  markFinePaid,
+  waiveFine,
+  runFineIssuance
+};
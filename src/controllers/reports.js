@@ -0,0 +1,66 @@
+// controllers/reports.js
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const {
+  REPORT_TIMEZONE,
+  monthRange,
+  buildComplianceReport,
+  complianceCsv,
+  compliancePdf
+} = require('../services/reports');
+
+// Mes actual (YYYY-MM) en la zona horaria del reporte
+const currentMonth = () => new Date().toLocaleDateString('en-CA', { timeZone: REPORT_TIMEZONE }).slice(0, 7);
+
+// Reporte mensual de cumplimiento en JSON, CSV o PDF (filtros por usuario y área)
+const getComplianceReport = async (req, res) => {
+  try {
+    const { user, area, format = 'json' } = req.query;
+
+    // El rango explícito (from/to) tiene prioridad sobre el mes
+    const month = req.query.month || currentMonth();
+    const range = monthRange(month);
+    const from = req.query.from ? new Date(req.query.from) : range.from;
+    const to = req.query.to ? new Date(req.query.to) : range.to;
+
+    if (from > to) {
+      return res.status(400).json({ error: 'La fecha from debe ser anterior a to' });
+    }
+
+    let userName;
+    if (user) {
+      const found = mongoose.Types.ObjectId.isValid(user) && await User.findById(user, 'fullName').lean();
+      if (!found) {
+        return res.status(404).json({ error: 'Usuario no encontrado' });
+      }
+      userName = found.fullName;
+    }
+
+    const report = await buildComplianceReport({ from, to, user, area });
+    const label = req.query.from || req.query.to ? 'rango' : month;
+    const filename = `cumplimiento-${label}`;
+
+    if (format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.csv"`
+      });
+      return res.send(complianceCsv(report));
+    }
+
+    if (format === 'pdf') {
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}.pdf"`
+      });
+      return res.send(compliancePdf(report, { userName }));
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error en getComplianceReport:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { getComplianceReport };
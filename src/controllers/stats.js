@@ -0,0 +1,42 @@
+// controllers/stats.js
+const { computeStats } = require('../services/stats');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rango por defecto del ranking (días hacia atrás)
+const STATS_DEFAULT_DAYS = parseInt(process.env.STATS_DEFAULT_DAYS) || 30;
+
+// Interpretar un parámetro de fecha, respondiendo 400 si es inválido
+const parseDateParam = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    const error = new Error(`Parámetro ${name} inválido`);
+    error.status = 400;
+    throw error;
+  }
+  return date;
+};
+
+// Ranking por usuario con tasa de cumplimiento y desglose por área en un rango de fechas
+const getStats = async (req, res) => {
+  try {
+    const to = req.query.to ? parseDateParam(req.query.to, 'to') : new Date();
+    const from = req.query.from
+      ? parseDateParam(req.query.from, 'from')
+      : new Date(to.getTime() - STATS_DEFAULT_DAYS * DAY);
+
+    if (from > to) {
+      return res.status(400).json({ error: 'La fecha from debe ser anterior a to' });
+    }
+
+    const stats = await computeStats({ from, to, area: req.query.area });
+    res.json(stats);
+  } catch (error) {
+    console.error('Error en getStats:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getStats
+};
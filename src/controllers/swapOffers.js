@@ -0,0 +1,397 @@
+// controllers/swapOffers.js
+const mongoose = require('mongoose');
+const SwapOffer = require('../models/swapOffer');
+const CleaningTask = require('../models/cleaningTask');
+const Area = require('../models/area');
+const User = require('../models/user');
+const { findAbsences } = require('../services/availability');
+const {
+  SWAP_OFFERS_REQUIRE_APPROVAL,
+  ACTIVE_OFFER_STATUSES,
+  EMPTY_CREDITS,
+  claimIneligibility,
+  transferResponsibility,
+  staleOfferReason,
+  invalidateOffer,
+  invalidateSwapOffers,
+  getFavorBalances
+} = require('../services/swapOffers');
+const { invalidateSwapRequests } = require('../services/swapRequests');
+const { publishTaskReassigned } = require('../services/events');
+const { isAssignedResponsible } = require('../services/delegations');
+const { recordAudit, snapshotSwapOffer, snapshotTask } = require('../services/audit');
+
+// Poblar una oferta para devolverla
+const populateOffer = (query) => query
+  .populate({ path: 'task', select: 'area startDate endDate responsibles temporaryResponsible standIns delegations verifiers completed archived', populate: { path: 'responsibles', select: 'fullName' } })
+  .populate('offeredBy', 'fullName')
+  .populate('claimedBy', 'fullName')
+  .populate('reviewedBy', 'fullName');
+
+// Buscar la oferta del parámetro :offerId
+const findOffer = async (req, res) => {
+  const { offerId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(offerId)) {
+    res.status(400).json({ error: 'ID de oferta inválido' });
+    return null;
+  }
+
+  const offer = await SwapOffer.findById(offerId);
+  if (!offer) {
+    res.status(404).json({ error: 'Oferta no encontrada' });
+    return null;
+  }
+
+  return offer;
+};
+
+// Traspasar la tarea de una oferta ya tomada; si no se puede, la oferta queda invalidada
+const completeClaim = async (offer, { actor, action, before, previousTask }) => {
+  const now = new Date();
+  const task = await transferResponsibility(offer, { actor, now });
+
+  if (!task) {
+    // Si la tarea no cambió, quien la tomó ya es responsable: cuenta como reasignada
+    const current = await CleaningTask.findById(offer.task, 'responsibles completed archived').lean();
+    await invalidateOffer(offer, staleOfferReason(offer, current) || 'task_reassigned', { actor, now });
+    return null;
+  }
+
+  const claimed = await SwapOffer.findByIdAndUpdate(offer._id, { $set: { resolvedAt: now } }, { new: true });
+  await recordAudit({
+    actor,
+    action,
+    targetTask: task._id,
+    targetUser: offer.claimedBy,
+    affectedUsers: [offer.offeredBy, offer.claimedBy],
+    before: { offer: before, task: snapshotTask(previousTask) },
+    after: { offer: snapshotSwapOffer(claimed), task: snapshotTask(task) },
+    metadata: { offer: offer._id.toString(), transferred: true }
+  });
+
+  await publishTaskReassigned(task, { actor, reason: 'swap_offer', previousUsers: [offer.offeredBy] });
+
+  // Las solicitudes de intercambio de la tarea dependían del responsable anterior
+  await invalidateSwapRequests([task._id], 'task_reassigned', { actor, now });
+  await invalidateSwapOffers([task._id], { actor, now });
+
+  return claimed;
+};
+
+// Listar ofertas (por defecto las activas), priorizando a quienes más tareas ajenas cubrieron
+const getSwapOffers = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const now = new Date();
+
+    const filter = { status: req.query.status ? req.query.status : { $in: ACTIVE_OFFER_STATUSES } };
+    if (req.query.mine === 'true') {
+      filter.$or = [{ offeredBy: userId }, { claimedBy: userId }];
+    }
+
+    const offers = await populateOffer(SwapOffer.find(filter).sort({ createdAt: 1 }));
+    const offererIds = [...new Set(offers.map(offer => offer.offeredBy._id.toString()))];
+
+    const [balances, absences] = await Promise.all([
+      getFavorBalances(offererIds),
+      findAbsences({ from: now, userIds: [userId] })
+    ]);
+
+    const result = offers
+      .map(offer => {
+        const priority = (balances[offer.offeredBy._id.toString()] || EMPTY_CREDITS).balance;
+        const reason = offer.status === 'open' && offer.task
+          ? (offer.offeredBy._id.toString() === userId
+            ? 'Es tu propia oferta'
+            : claimIneligibility(offer.task, userId, absences, now))
+          : 'La oferta no está abierta';
+
+        return {
+          ...offer.toObject(),
+          priority,
+          canClaim: !reason,
+          ineligibleReason: reason || undefined
+        };
+      })
+      .sort((a, b) => b.priority - a.priority || a.createdAt - b.createdAt);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error en getSwapOffers:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Ofrecer una tarea propia para que cualquier usuario la tome
+const createSwapOffer = async (req, res) => {
+  try {
+    const { taskId, note } = req.body;
+    const userId = req.user.id;
+
+    const task = await CleaningTask.findById(taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Tarea no encontrada' });
+    }
+
+    // Un suplente no puede ceder una tarea que solo le delegaron
+    if (!isAssignedResponsible(task, userId)) {
+      return res.status(403).json({ error: 'No tienes permiso para ofrecer esta tarea' });
+    }
+
+    if (task.completed || task.archived || task.endDate <= new Date()) {
+      return res.status(400).json({ error: 'Solo se pueden ofrecer tareas vigentes sin completar' });
+    }
+
+    const existingOffer = await SwapOffer.exists({
+      task: task._id,
+      offeredBy: userId,
+      status: { $in: ACTIVE_OFFER_STATUSES }
+    });
+    if (existingOffer) {
+      return res.status(400).json({ error: 'Ya tienes una oferta activa para esta tarea' });
+    }
+
+    // Los créditos de favor equivalen a la dificultad del área
+    const area = await Area.findOne({ name: task.area }, 'difficulty').lean();
+
+    const offer = await SwapOffer.create({
+      task: task._id,
+      offeredBy: userId,
+      note,
+      credits: area ? area.difficulty : 1,
+      requiresApproval: SWAP_OFFERS_REQUIRE_APPROVAL
+    });
+
+    await recordAudit({
+      actor: userId,
+      action: 'swap_offer.created',
+      targetTask: task._id,
+      affectedUsers: [userId],
+      after: snapshotSwapOffer(offer),
+      metadata: { offer: offer._id.toString() }
+    });
+
+    res.status(201).json(await populateOffer(SwapOffer.findById(offer._id)));
+  } catch (error) {
+    console.error('Error en createSwapOffer:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+  }
+};
+
+// Tomar una oferta abierta (queda pendiente si la oferta requiere aprobación)
+const claimSwapOffer = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const offer = await findOffer(req, res);
+    if (!offer) return;
+
+    if (offer.status !== 'open') {
+      return res.status(409).json({ error: `La oferta ya está en estado ${offer.status}` });
+    }
+
+    if (offer.offeredBy.toString() === userId) {
+      return res.status(400).json({ error: 'No puedes tomar tu propia oferta' });
+    }
+
+    const task = await CleaningTask.findById(offer.task);
+    if (!task || !isAssignedResponsible(task, offer.offeredBy)) {
+      await invalidateOffer(offer, staleOfferReason(offer, task) || 'task_reassigned', { actor: userId });
+      return res.status(409).json({ error: 'La tarea ofrecida ya no pertenece a quien la ofreció' });
+    }
+
+    const now = new Date();
+    const absences = await findAbsences({ from: now, to: task.endDate, userIds: [userId] });
+    const reason = claimIneligibility(task, userId, absences, now);
+    if (reason) {
+      return res.status(400).json({ error: reason });
+    }
+
+    const before = snapshotSwapOffer(offer);
+
+    // Condición atómica: solo una persona puede tomar la oferta
+    const claimed = await SwapOffer.findOneAndUpdate(
+      { _id: offer._id, status: 'open' },
+      {
+        $set: {
+          status: offer.requiresApproval ? 'pending_approval' : 'claimed',
+          claimedBy: userId,
+          claimedAt: now
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ error: 'La oferta ya fue tomada' });
+    }
+
+    if (claimed.requiresApproval) {
+      await recordAudit({
+        actor: userId,
+        action: 'swap_offer.claimed',
+        targetTask: task._id,
+        targetUser: claimed.offeredBy,
+        affectedUsers: [claimed.offeredBy, userId],
+        before,
+        after: snapshotSwapOffer(claimed),
+        metadata: { offer: claimed._id.toString(), transferred: false }
+      });
+      return res.json(await populateOffer(SwapOffer.findById(claimed._id)));
+    }
+
+    const result = await completeClaim(claimed, {
+      actor: userId,
+      action: 'swap_offer.claimed',
+      before,
+      previousTask: task
+    });
+    if (!result) {
+      return res.status(409).json({ error: 'La tarea ya no se puede traspasar' });
+    }
+
+    res.json(await populateOffer(SwapOffer.findById(result._id)));
+  } catch (error) {
+    console.error('Error en claimSwapOffer:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Retirar una oferta activa (quien la ofreció o un administrador)
+const withdrawSwapOffer = async (req, res) => {
+  try {
+    const offer = await findOffer(req, res);
+    if (!offer) return;
+
+    if (!req.user.isAdmin && offer.offeredBy.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'No tienes permiso para retirar esta oferta' });
+    }
+
+    const withdrawn = await SwapOffer.findOneAndUpdate(
+      { _id: offer._id, status: { $in: ACTIVE_OFFER_STATUSES } },
+      { $set: { status: 'withdrawn', resolvedAt: new Date() } },
+      { new: true }
+    );
+    if (!withdrawn) {
+      return res.status(409).json({ error: `La oferta ya está en estado ${offer.status}` });
+    }
+
+    await recordAudit({
+      actor: req.user.id,
+      action: 'swap_offer.withdrawn',
+      targetTask: offer.task,
+      affectedUsers: [offer.offeredBy, offer.claimedBy],
+      before: snapshotSwapOffer(offer),
+      after: snapshotSwapOffer(withdrawn),
+      metadata: { offer: offer._id.toString() }
+    });
+
+    res.json(await populateOffer(SwapOffer.findById(withdrawn._id)));
+  } catch (error) {
+    console.error('Error en withdrawSwapOffer:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Aprobar una oferta tomada y traspasar la tarea (solo administradores)
+const approveSwapOffer = async (req, res) => {
+  try {
+    const offer = await findOffer(req, res);
+    if (!offer) return;
+
+    const task = await CleaningTask.findById(offer.task);
+    const before = snapshotSwapOffer(offer);
+
+    // Quien la tomó pudo dejar de estar habilitado (ausencia nueva, o ya verifica o hace la tarea)
+    if (task && offer.status === 'pending_approval') {
+      const now = new Date();
+      const absences = await findAbsences({ from: now, to: task.endDate, userIds: [offer.claimedBy] });
+      const reason = claimIneligibility(task, offer.claimedBy, absences, now);
+      if (reason && !task.completed && !task.archived) {
+        return res.status(409).json({ error: 'Quien tomó la oferta ya no puede cubrirla; rechaza la toma para reabrirla', reason });
+      }
+    }
+
+    const approved = await SwapOffer.findOneAndUpdate(
+      { _id: offer._id, status: 'pending_approval' },
+      { $set: { status: 'claimed', reviewedBy: req.user.id } },
+      { new: true }
+    );
+    if (!approved) {
+      return res.status(409).json({ error: `La oferta ya está en estado ${offer.status}` });
+    }
+
+    const result = await completeClaim(approved, {
+      actor: req.user.id,
+      action: 'swap_offer.approved',
+      before,
+      previousTask: task
+    });
+    if (!result) {
+      return res.status(409).json({ error: 'La tarea ya no se puede traspasar' });
+    }
+
+    res.json(await populateOffer(SwapOffer.findById(result._id)));
+  } catch (error) {
+    console.error('Error en approveSwapOffer:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Rechazar quién tomó la oferta; vuelve a quedar abierta (solo administradores)
+const rejectSwapOfferClaim = async (req, res) => {
+  try {
+    const offer = await findOffer(req, res);
+    if (!offer) return;
+
+    const reopened = await SwapOffer.findOneAndUpdate(
+      { _id: offer._id, status: 'pending_approval' },
+      { $set: { status: 'open', reviewedBy: req.user.id }, $unset: { claimedBy: 1, claimedAt: 1 } },
+      { new: true }
+    );
+    if (!reopened) {
+      return res.status(409).json({ error: `La oferta ya está en estado ${offer.status}` });
+    }
+
+    await recordAudit({
+      actor: req.user.id,
+      action: 'swap_offer.claim_rejected',
+      targetTask: offer.task,
+      targetUser: offer.claimedBy,
+      affectedUsers: [offer.offeredBy, offer.claimedBy],
+      before: snapshotSwapOffer(offer),
+      after: snapshotSwapOffer(reopened),
+      metadata: { offer: offer._id.toString() }
+    });
+
+    res.json(await populateOffer(SwapOffer.findById(reopened._id)));
+  } catch (error) {
+    console.error('Error en rejectSwapOfferClaim:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Saldo de créditos de favor de los usuarios activos (mayor saldo primero)
+const getFavorCredits = async (req, res) => {
+  try {
+    const users = await User.find({ active: { $ne: false } }, 'fullName').lean();
+    const balances = await getFavorBalances(users.map(user => user._id));
+
+    const credits = users
+      .map(user => ({ user, ...(balances[user._id.toString()] || EMPTY_CREDITS) }))
+      .sort((a, b) => b.balance - a.balance);
+
+    res.json(credits);
+  } catch (error) {
+    console.error('Error en getFavorCredits:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getSwapOffers,
+  createSwapOffer,
+  claimSwapOffer,
+  withdrawSwapOffer,
+  approveSwapOffer,
+  rejectSwapOfferClaim,
+  getFavorCredits
+};
@@ -0,0 +1,214 @@
+// controllers/users.js
+// Gestión de usuarios para administradores
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const { recordAudit, snapshotUser } = require('../services/audit');
+const { revokeAllSessions } = require('../services/tokens');
+const { clearIp, unlockAccount } = require('../services/loginGuard');
+const { setAvailableNextWeek } = require('../services/availability');
+
+const STATS_FIELDS = ['tasksCompleted', 'tasksRejected', 'tasksVerified'];
+
+// Buscar al usuario del parámetro :userId respondiendo el error correspondiente
+const findTargetUser = async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400).json({ error: 'ID de usuario inválido' });
+    return null;
+  }
+
+  const user = await User.findById(userId).select('-password');
+  if (!user) {
+    res.status(404).json({ error: 'Usuario no encontrado' });
+    return null;
+  }
+
+  return user;
+};
+
+// Evitar que la casa se quede sin administradores activos
+const isLastActiveAdmin = async (user) => {
+  if (!user.isAdmin || user.active === false) return false;
+  const admins = await User.countDocuments({ isAdmin: true, active: { $ne: false } });
+  return admins <= 1;
+};
+
+// Listar usuarios (filtros opcionales: active, isAdmin)
+const getUsers = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) {
+      filter.active = req.query.active === 'true' ? { $ne: false } : false;
+    }
+    if (req.query.isAdmin !== undefined) {
+      filter.isAdmin = req.query.isAdmin === 'true';
+    }
+
+    const users = await User.find(filter).select('-password').sort({ fullName: 1 });
+    res.json(users);
+  } catch (error) {
+    console.error('Error en getUsers:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Promover o quitar permisos de administrador
+const updateUserRole = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { isAdmin } = req.body;
+    if (!isAdmin && await isLastActiveAdmin(user)) {
+      return res.status(400).json({ error: 'No se puede quitar el rol al último administrador activo' });
+    }
+
+    const before = snapshotUser(user);
+    user.isAdmin = isAdmin;
+    await user.save();
+
+    await recordAudit({
+      actor: req.user.id,
+      action: isAdmin ? 'user.promoted' : 'user.demoted',
+      targetUser: user._id,
+      before,
+      after: snapshotUser(user)
+    });
+
+    res.json(user);
+  } catch (error) {
+    console.error('Error en updateUserRole:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Activar o desactivar un usuario
+const updateUserStatus = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { active } = req.body;
+    if (!active && await isLastActiveAdmin(user)) {
+      return res.status(400).json({ error: 'No se puede desactivar al último administrador activo' });
+    }
+
+    const before = snapshotUser(user);
+    user.active = active;
+    await user.save();
+
+    // Un usuario desactivado pierde todas sus sesiones
+    if (!active) {
+      await revokeAllSessions(user._id, 'user_deactivated');
+    }
+
+    await recordAudit({
+      actor: req.user.id,
+      action: active ? 'user.activated' : 'user.deactivated',
+      targetUser: user._id,
+      before,
+      after: snapshotUser(user)
+    });
+
+    res.json(user);
+  } catch (error) {
+    console.error('Error en updateUserStatus:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Corregir manualmente las estadísticas de un usuario
+const updateUserStats = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const before = snapshotUser(user);
+    STATS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        user.stats[field] = req.body[field];
+      }
+    });
+    await user.save();
+
+    await recordAudit({
+      actor: req.user.id,
+      action: 'user.stats_updated',
+      targetUser: user._id,
+      before,
+      after: snapshotUser(user)
+    });
+
+    res.json(user);
+  } catch (error) {
+    console.error('Error en updateUserStats:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Cambiar la disponibilidad de cualquier usuario
+const updateUserAvailabilityAdmin = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    // Compatibilidad: el flag se traduce a una ausencia de una semana (o termina las vigentes)
+    await setAvailableNextWeek(user._id, req.body.available, { actor: req.user.id });
+
+    res.json({ ...user.toObject(), availableNextWeek: !!req.body.available });
+  } catch (error) {
+    console.error('Error en updateUserAvailabilityAdmin:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Desbloquear una cuenta bloqueada por intentos fallidos de inicio de sesión
+const unlockUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const result = await unlockAccount(user.email);
+
+    await recordAudit({
+      actor: req.user.id,
+      action: 'user.unlocked',
+      targetUser: user._id,
+      metadata: result
+    });
+
+    res.json({ msg: 'Cuenta desbloqueada', user, clearedIp: result.clearedIp });
+  } catch (error) {
+    console.error('Error en unlockUser:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Desbloquear una IP bloqueada por intentos fallidos (p. ej. la IP pública compartida de la casa)
+const unlockIp = async (req, res) => {
+  try {
+    const { ip } = req.params;
+    const result = await clearIp(ip);
+
+    await recordAudit({
+      actor: req.user.id,
+      action: 'login.ip_unlocked',
+      metadata: { ip, hadLock: result.deletedCount > 0 }
+    });
+
+    res.json({ msg: 'IP desbloqueada', ip });
+  } catch (error) {
+    console.error('Error en unlockIp:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getUsers,
+  unlockUser,
+  unlockIp,
+  updateUserRole,
+  updateUserStatus,
+  updateUserStats,
+  updateUserAvailabilityAdmin
+};
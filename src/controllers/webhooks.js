@@ -0,0 +1,228 @@
+// controllers/webhooks.js
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../models/webhookSubscription');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { generateSecret, sendTestDelivery, redeliver } = require('../services/webhooks');
+const { recordAudit, snapshotWebhook } = require('../services/audit');
+
+const MAX_PAGE_SIZE = 200;
+
+// Buscar la suscripción del parámetro :webhookId (responde y devuelve null si no existe)
+const findWebhook = async (req, res) => {
+  const { webhookId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(webhookId)) {
+    res.status(400).json({ error: 'ID de webhook inválido' });
+    return null;
+  }
+
+  const webhook = await WebhookSubscription.findById(webhookId);
+  if (!webhook) {
+    res.status(404).json({ error: 'Webhook no encontrado' });
+    return null;
+  }
+
+  return webhook;
+};
+
+// Registrar en auditoría un cambio de suscripción
+const auditWebhook = (actor, action, webhook, before) => recordAudit({
+  actor,
+  action,
+  before,
+  after: action === 'webhook.deleted' ? undefined : snapshotWebhook(webhook),
+  metadata: { webhook: webhook._id.toString() }
+});
+
+// Listar las suscripciones
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await WebhookSubscription.find()
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'fullName');
+
+    res.json(webhooks);
+  } catch (error) {
+    console.error('Error en getWebhooks:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Crear una suscripción; la clave de firma solo se devuelve en esta respuesta
+const createWebhook = async (req, res) => {
+  try {
+    const { name, url, events } = req.body;
+
+    const webhook = await WebhookSubscription.create({
+      name,
+      url,
+      events: [...new Set(events)],
+      secret: generateSecret(),
+      createdBy: req.user.id
+    });
+
+    await auditWebhook(req.user.id, 'webhook.created', webhook);
+
+    // El documento recién creado aún incluye la clave
+    res.status(201).json(webhook);
+  } catch (error) {
+    console.error('Error en createWebhook:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+  }
+};
+
+// Editar nombre, URL, eventos o estado; al reactivarla se reinicia el contador de fallos
+const updateWebhook = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const before = snapshotWebhook(webhook);
+    const { name, url, events, active } = req.body;
+
+    if (name !== undefined) webhook.name = name;
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+
+    if (active === true && !webhook.active) {
+      webhook.active = true;
+      webhook.consecutiveFailures = 0;
+      webhook.disabledAt = undefined;
+      webhook.disabledReason = undefined;
+    } else if (active === false && webhook.active) {
+      webhook.active = false;
+      webhook.disabledAt = new Date();
+      webhook.disabledReason = 'manual';
+    }
+
+    await webhook.save();
+    await auditWebhook(req.user.id, 'webhook.updated', webhook, before);
+
+    res.json(webhook);
+  } catch (error) {
+    console.error('Error en updateWebhook:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+  }
+};
+
+// Eliminar una suscripción (su registro de entregas se conserva hasta vencer)
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    await WebhookSubscription.deleteOne({ _id: webhook._id });
+    await WebhookDelivery.updateMany(
+      { subscription: webhook._id, status: 'pending' },
+      { $set: { status: 'failed', lastError: 'La suscripción fue eliminada' } }
+    );
+    await auditWebhook(req.user.id, 'webhook.deleted', webhook, snapshotWebhook(webhook));
+
+    res.json({ message: 'Webhook eliminado' });
+  } catch (error) {
+    console.error('Error en deleteWebhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Generar una nueva clave de firma (la anterior deja de valer de inmediato)
+const rotateWebhookSecret = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const secret = generateSecret();
+    await WebhookSubscription.updateOne({ _id: webhook._id }, { $set: { secret } });
+    await recordAudit({
+      actor: req.user.id,
+      action: 'webhook.secret_rotated',
+      metadata: { webhook: webhook._id.toString() }
+    });
+
+    res.json({ _id: webhook._id, secret });
+  } catch (error) {
+    console.error('Error en rotateWebhookSecret:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Enviar un evento webhook.ping y devolver el resultado del primer intento
+const testWebhook = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    if (!webhook.active) {
+      return res.status(409).json({ error: 'El webhook está desactivado' });
+    }
+
+    const delivery = await sendTestDelivery(webhook, { actor: req.user.id });
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error en testWebhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Registro de entregas de una suscripción (más recientes primero)
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const filter = { subscription: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({ deliveries, total, page, limit });
+  } catch (error) {
+    console.error('Error en getWebhookDeliveries:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Reenviar una entrega como una nueva
+const redeliverWebhookDelivery = async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+      return res.status(400).json({ error: 'ID de entrega inválido' });
+    }
+
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Entrega no encontrada' });
+    }
+
+    const webhook = await WebhookSubscription.findById(delivery.subscription, 'active');
+    if (!webhook || !webhook.active) {
+      return res.status(409).json({ error: 'El webhook no existe o está desactivado' });
+    }
+
+    const copy = await redeliver(delivery);
+    res.status(201).json(copy);
+  } catch (error) {
+    console.error('Error en redeliverWebhookDelivery:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  testWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery
+};
@@ -10,6 +10,8 @@ const rateLimit = require('express-rate-limit');
 const hpp = require('hpp');
 const corsOptions = require('./config/cors');
 const MongoStore = require('connect-mongo');
+const { startScheduler } = require('./services/scheduler');
+const { startWebhookRetries } = require('./services/webhooks');
 
 // Variable para seguir el estado de la conexión a la DB
 let isConnected = false;
@@ -22,7 +24,9 @@ app.set('trust proxy', 1);
 
 // Middlewares básicos
 app.use(cors(corsOptions));
-app.use(express.json());
+// La importación de respaldos lee su cuerpo en la propia ruta, después de autenticar y con un límite mayor
+const jsonParser = express.json();
+app.use((req, res, next) => req.path === '/api/backup/import' ? next() : jsonParser(req, res, next));
 app.use(cookieParser());
 
 // Seguridad
@@ -51,10 +55,21 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
   max: 100, // límite de 100 peticiones por ventana
   standardHeaders: true,
+  legacyHeaders: false,
+  // El stream de eventos reconecta seguido en serverless: tiene su propio límite
+  skip: (req) => req.path === '/api/cleaning/events'
+});
+
+// Con streams de 8 s y 5 s de espera, un cliente en serverless reconecta unas 70 veces cada 15 minutos
+const eventsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: parseInt(process.env.EVENTS_RATE_LIMIT) || 300, // reconexiones por ventana
+  standardHeaders: true,
   legacyHeaders: false
 });
 
 app.use(limiter);
+app.use('/api/cleaning/events', eventsLimiter);
 
 // Cookies y Session
 const sessionConfig = {
@@ -108,6 +123,13 @@ app.use(async (req, res, next) => {
 // Rutas
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/cleaning', require('./routes/cleaning'));
+app.use('/api/users', require('./routes/users'));
+app.use('/api/fines', require('./routes/fines'));
+app.use('/api/absences', require('./routes/absences'));
+app.use('/api/swap-offers', require('./routes/swapOffers'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/backup', require('./routes/backup'));
+app.use('/api/cron', require('./routes/cron'));
 
 // Ruta de control de salud
 app.get('/health', (req, res) => {
@@ -121,6 +143,11 @@ app.use('*', (req, res) => {
 
 // Manejador global de errores
 app.use((err, req, res, next) => {
+  // Cuerpo mayor que el límite del parser (p. ej. un respaldo que supera BACKUP_MAX_SIZE)
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'El cuerpo de la solicitud es demasiado grande' });
+  }
+
   console.error('Error en servidor:', err);
   res.status(500).json({ 
     error: 'Error interno del servidor',
@@ -137,6 +164,14 @@ if (process.env.NODE_ENV !== 'production') {
       await connectDB();
       isConnected = true;
       app.listen(PORT, () => console.log(`Servidor ejecutándose en puerto ${PORT}`));
+
+      // Los reintentos de webhooks no modifican tareas: corren siempre en modo servidor
+      startWebhookRetries();
+
+      // En modo de larga duración la rotación por áreas puede correr en proceso (hay que activarla)
+      if (process.env.ROTATION_SCHEDULER === 'true') {
+        startScheduler();
+      }
     } catch (err) {
       console.error('Error al iniciar servidor:', err);
       process.exit(1);
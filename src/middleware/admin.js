@@ -0,0 +1,9 @@
+// Restringe la ruta a administradores (debe usarse después de auth)
+const requireAdmin = (req, res, next) => {
+  if (!req.user || !req.user.isAdmin) {
+    return res.status(403).json({ msg: 'Se requieren permisos de administrador' });
+  }
+  next();
+};
+
+module.exports = requireAdmin;
@@ -1,16 +1,56 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const Session = require('../models/session');
 
-const auth = (req, res, next) => {
+// Comprobar que la sesión del token sigue abierta y el usuario habilitado
+// Devuelve { error } con el motivo del rechazo o { user } con el rol actual
+const checkSession = async (decoded) => {
+  const [session, user] = await Promise.all([
+    Session.findById(decoded.sid, 'user revokedAt').lean(),
+    User.findById(decoded.id, 'active isAdmin passwordChangedAt').lean()
+  ]);
+
+  if (!session || session.revokedAt || session.user.toString() !== decoded.id) {
+    return { error: 'La sesión fue cerrada' };
+  }
+
+  // Los tokens de usuarios desactivados o emitidos antes del último cambio de contraseña no sirven
+  if (!user || user.active === false) {
+    return { error: 'Token inválido' };
+  }
+  if (user.passwordChangedAt && decoded.iat * 1000 < new Date(user.passwordChangedAt).getTime()) {
+    return { error: 'Token vencido por cambio de contraseña' };
+  }
+
+  return { user };
+};
+
+const auth = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
   if (!token) return res.status(401).json({ msg: 'No hay token' });
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    const msg = err.name === 'TokenExpiredError' ? 'Token vencido' : 'Token inválido';
+    return res.status(401).json({ msg });
+  }
+
+  // Los tokens sin sesión (emitidos antes de los refresh tokens) ya no se aceptan
+  if (!decoded.sid) return res.status(401).json({ msg: 'Token inválido' });
+
+  try {
+    const { error, user } = await checkSession(decoded);
+    if (error) return res.status(401).json({ msg: error });
+
+    // El rol se toma de la base de datos para que los cambios apliquen de inmediato
+    req.user = { ...decoded, isAdmin: !!user.isAdmin };
     next();
   } catch (err) {
-    res.status(401).json({ msg: 'Token inválido' });
+    next(err);
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
+module.exports.checkSession = checkSession;
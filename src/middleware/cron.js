@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+// Protege los endpoints invocados por el cron (Vercel envía "Authorization: Bearer <CRON_SECRET>")
+const cronAuth = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return res.status(503).json({ msg: 'Cron no configurado' });
+
+  const provided = req.header('Authorization')?.replace('Bearer ', '') || req.header('X-Cron-Secret') || '';
+  const expectedBuffer = Buffer.from(secret);
+  const providedBuffer = Buffer.from(provided);
+
+  if (providedBuffer.length !== expectedBuffer.length ||
+      !crypto.timingSafeEqual(providedBuffer, expectedBuffer)) {
+    return res.status(401).json({ msg: 'Secreto de cron inválido' });
+  }
+
+  next();
+};
+
+module.exports = cronAuth;
@@ -0,0 +1,40 @@
+// models/absence.js
+const mongoose = require('mongoose');
+
+// Ausencia de un usuario en un rango de fechas (vacaciones, exámenes, etc.)
+const absenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'La fecha de inicio es requerida']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'La fecha de fin es requerida'],
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value >= this.startDate;
+      },
+      message: 'La fecha de fin debe ser posterior a la de inicio'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'El motivo no puede superar los 200 caracteres']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+absenceSchema.index({ user: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('Absence', absenceSchema);
@@ -0,0 +1,68 @@
+// models/area.js
+const mongoose = require('mongoose');
+
+// Áreas iniciales de la casa (se crean si la colección está vacía)
+const DEFAULT_AREAS = [
+  { name: 'Baño 1', peopleNeeded: 1, difficulty: 2, frequency: 'weekly' },
+  { name: 'Baño 2', peopleNeeded: 1, difficulty: 2, frequency: 'weekly' },
+  { name: 'Baño 3', peopleNeeded: 1, difficulty: 2, frequency: 'weekly' },
+  { name: 'Terraza y Escaleras', peopleNeeded: 2, difficulty: 3, frequency: 'biweekly' },
+  { name: 'Orden de Cocina', peopleNeeded: 1, difficulty: 1, frequency: 'weekly' },
+  { name: 'Cocina y Living', peopleNeeded: 2, difficulty: 4, frequency: 'weekly' },
+  { name: 'Basura', peopleNeeded: 1, difficulty: 1, frequency: 'weekly' },
+  { name: 'Cortar el pasto', peopleNeeded: 2, difficulty: 3, frequency: 'monthly' }
+];
+
+const areaSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del área es requerido'],
+    unique: true,
+    trim: true
+  },
+  peopleNeeded: {
+    type: Number,
+    required: true,
+    min: [1, 'Se necesita al menos 1 persona por área'],
+    default: 1
+  },
+  difficulty: {
+    type: Number,
+    required: true,
+    min: [1, 'La dificultad mínima es 1'],
+    max: [5, 'La dificultad máxima es 5'],
+    default: 1
+  },
+  frequency: {
+    type: String,
+    required: true,
+    enum: ['weekly', 'biweekly', 'monthly'],
+    default: 'weekly'
+  },
+  // Multa para cada responsable si la tarea queda incompleta al vencer o es rechazada (0 = sin multa)
+  fineAmount: {
+    type: Number,
+    min: [0, 'La multa no puede ser negativa'],
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Crear las áreas por defecto si todavía no existe ninguna
+areaSchema.statics.ensureDefaults = async function() {
+  const count = await this.countDocuments();
+  if (count === 0) {
+    await this.insertMany(DEFAULT_AREAS);
+    console.log(`Áreas por defecto creadas: ${DEFAULT_AREAS.length}`);
+  }
+};
+
+const Area = mongoose.model('Area', areaSchema);
+
+module.exports = Area;
+module.exports.DEFAULT_AREAS = DEFAULT_AREAS;
@@ -0,0 +1,65 @@
+// models/auditEvent.js
+const mongoose = require('mongoose');
+
+// Registro inmutable de cada cambio sobre tareas, intercambios y usuarios
+const auditEventSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  targetTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CleaningTask',
+    index: true
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Usuarios afectados por el cambio (para el historial personal)
+  affectedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  }],
+  // Solo los campos que cambiaron, antes y después
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditEventSchema.index({ createdAt: -1 });
+
+// La colección es de solo inserción: se bloquean modificaciones y borrados
+const rejectMutation = function(next) {
+  next(new Error('Los eventos de auditoría no se pueden modificar ni eliminar'));
+};
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+].forEach(operation => {
+  auditEventSchema.pre(operation, { document: false, query: true }, rejectMutation);
+});
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+auditEventSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
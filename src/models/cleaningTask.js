@@ -1,5 +1,6 @@
 // models/cleaningTask.js
 const mongoose = require('mongoose');
+require('./area'); // Registra el modelo Area usado en la validación
 
 const swapRequestSchema = new mongoose.Schema({
   requestedBy: {
@@ -14,21 +15,92 @@ const swapRequestSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected'],
+    enum: ['pending', 'accepted', 'rejected', 'cancelled', 'expired'],
     default: 'pending'
   },
+  // Motivo de cierre de una solicitud cancelada o vencida
+  closedReason: {
+    type: String,
+    enum: ['withdrawn', 'expired', 'task_completed', 'task_reassigned', 'task_rotated']
+  },
+  closedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Delegación: un responsable propone un suplente, que acepta o rechaza
+const delegationSchema = new mongoose.Schema({
+  delegator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'La nota no puede superar los 300 caracteres']
+  },
+  status: {
+    type: String,
+    enum: ['proposed', 'accepted', 'declined', 'revoked'],
+    default: 'proposed'
+  },
+  // revoked: la revocó quien delegó o un administrador; responsible_changed: quien delegó dejó la tarea
+  revokedReason: {
+    type: String,
+    enum: ['revoked', 'responsible_changed']
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  proposedAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+});
+
 const cleaningTaskSchema = new mongoose.Schema({
   area: {
     type: String,
     required: [true, 'El área es requerida'],
-    enum: ['Baño 1', 'Baño 2', 'Baño 3', 'Terraza y Escaleras', 'Orden de Cocina', 
-           'Cocina y Living', 'Basura', 'Cortar el pasto']
+    validate: {
+      // El área debe existir en la colección de áreas
+      validator: async function(value) {
+        // En documentos existentes solo se valida si el área cambió
+        if (this instanceof mongoose.Document && !this.isNew && !this.isModified('area')) {
+          return true;
+        }
+        return !!(await mongoose.model('Area').exists({ name: value }));
+      },
+      message: props => `El área "${props.value}" no existe`
+    }
   },
   frequency: {
     type: String,
@@ -56,10 +128,18 @@ const cleaningTaskSchema = new mongoose.Schema({
   completedAt: {
     type: Date
   },
+  // Suplentes de las delegaciones aceptadas vigentes, uno por responsable que delegó
+  // (se sincroniza desde `delegations`)
+  standIns: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Primer suplente vigente, o el responsable temporal de las tareas anteriores a las delegaciones
   temporaryResponsible: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  delegations: [delegationSchema],
   verifiers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -81,12 +161,58 @@ const cleaningTaskSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Resultado definitivo ya acreditado en User.stats (evita contarlo dos veces)
+  statsOutcome: {
+    type: String,
+    enum: ['approved', 'rejected']
+  },
+  // Ya se evaluó si corresponden multas al vencer la tarea
+  finesEvaluated: {
+    type: Boolean,
+    default: false
+  },
+  // Archivada por una rotación antes de su endDate: se les quitó a los responsables, no se multa
+  finesExempt: {
+    type: Boolean,
+    default: false
+  },
   notifications: {
     start: { type: Boolean, default: false },
     hours48: { type: Boolean, default: false },
     hours24: { type: Boolean, default: false }
   },
   swapRequests: [swapRequestSchema],
+  // Traspasos de responsabilidad fuera de la rotación (p. ej. ofertas tomadas)
+  responsibilityHistory: [{
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      enum: ['swap_offer']
+    },
+    offer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SwapOffer'
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  rotationPeriod: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RotationPeriod'
+  },
   archived: {
     type: Boolean,
     default: false
@@ -0,0 +1,59 @@
+// models/fine.js
+const mongoose = require('mongoose');
+
+// Multa por una tarea incompleta al vencer o rechazada
+const fineSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CleaningTask',
+    required: true
+  },
+  area: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['incomplete', 'rejected'],
+    required: true
+  },
+  // Monto de la política del área al momento de emitir la multa
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'paid', 'waived'],
+    default: 'issued'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Una sola multa por usuario y tarea
+fineSchema.index({ task: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('Fine', fineSchema);
@@ -0,0 +1,37 @@
+// models/loginAttempt.js
+const mongoose = require('mongoose');
+
+// Intentos fallidos de inicio de sesión por cuenta ("account:<email>") o por IP ("ip:<dirección>")
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  // Cantidad de bloqueos consecutivos (cada uno dura el doble que el anterior)
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  // En los intentos por cuenta, IP del último fallo (para desbloquearla junto con la cuenta)
+  lastIp: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 } // Se olvida el historial tras un día sin fallos
+  }
+});
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
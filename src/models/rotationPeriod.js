@@ -0,0 +1,100 @@
+// models/rotationPeriod.js
+const mongoose = require('mongoose');
+
+// Cada ejecución de la rotación genera un periodo con sus tareas
+const rotationPeriodSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['active', 'closed', 'rolled_back'],
+    default: 'active'
+  },
+  // full: rotación de todas las áreas; areas: rotación programada de áreas vencidas
+  scope: {
+    type: String,
+    enum: ['full', 'areas'],
+    default: 'full'
+  },
+  trigger: {
+    type: String,
+    enum: ['manual', 'scheduled'],
+    default: 'manual'
+  },
+  areas: [{
+    type: String
+  }],
+  startDate: {
+    type: Date,
+    required: true
+  },
+  closedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Periodo que estaba activo cuando se creó este (para poder revertir)
+  previousPeriod: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RotationPeriod'
+  },
+  // Periodos que esta rotación cerró (se reabren al revertirla)
+  closedPeriods: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RotationPeriod'
+  }],
+  tasks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CleaningTask'
+  }],
+  // Tareas que esta rotación archivó al cerrar el periodo anterior
+  archivedTasks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CleaningTask'
+  }],
+  // Solver usado y costo de equidad de ambos solvers (menor = más justo)
+  solver: {
+    type: String,
+    enum: ['greedy', 'optimal'],
+    default: 'greedy'
+  },
+  fairness: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Semilla del factor aleatorio y entradas del plan (para reproducir la rotación)
+  seed: {
+    type: String
+  },
+  replayInputs: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  },
+  // Preferencias de los usuarios que esta rotación no pudo respetar
+  unsatisfiedPreferences: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    preference: {
+      type: String,
+      enum: ['preferred_area', 'avoid_area', 'avoid_partner']
+    },
+    area: String,
+    areas: [String],
+    partner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  rolledBackAt: {
+    type: Date
+  },
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RotationPeriod', rotationPeriodSchema);
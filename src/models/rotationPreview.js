@@ -0,0 +1,41 @@
+// models/rotationPreview.js
+const mongoose = require('mongoose');
+
+// Vista previa de una rotación: guarda la asignación exacta para confirmarla después
+const rotationPreviewSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  userIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Periodo activo al generar la vista previa (si cambia, la vista previa queda obsoleta)
+  basedOnPeriod: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RotationPeriod'
+  },
+  plan: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'committed'],
+    default: 'pending'
+  },
+  committedPeriod: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RotationPeriod'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 } // MongoDB elimina la vista previa al vencer
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RotationPreview', rotationPreviewSchema);
@@ -0,0 +1,45 @@
+// models/session.js
+const mongoose = require('mongoose');
+
+// Sesión iniciada por un usuario: guarda el hash del refresh token vigente y los ya usados
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hashes de refresh tokens ya rotados; si vuelven a usarse se detecta el robo
+  usedTokenHashes: {
+    type: [String],
+    index: true,
+    default: []
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'reuse_detected', 'password_changed', 'user_deactivated']
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 } // MongoDB elimina la sesión al vencer
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
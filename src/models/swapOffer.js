@@ -0,0 +1,63 @@
+// models/swapOffer.js
+const mongoose = require('mongoose');
+
+// Oferta abierta: un responsable cede su tarea y cualquier usuario habilitado puede tomarla
+const swapOfferSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CleaningTask',
+    required: true,
+    index: true
+  },
+  offeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'La nota no puede superar los 300 caracteres']
+  },
+  // Créditos de favor que gana quien la toma (dificultad del área al crear la oferta)
+  credits: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['open', 'pending_approval', 'claimed', 'withdrawn', 'invalidated'],
+    default: 'open'
+  },
+  // Motivo de una oferta invalidada porque su tarea cambió (completada, reasignada o rotada)
+  invalidatedReason: {
+    type: String,
+    enum: ['task_completed', 'task_reassigned', 'task_rotated']
+  },
+  claimedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  claimedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+swapOfferSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('SwapOffer', swapOfferSchema);
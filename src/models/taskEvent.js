@@ -0,0 +1,60 @@
+// models/taskEvent.js
+const mongoose = require('mongoose');
+
+// Tipos de evento que se envían en tiempo real a los clientes
+const TASK_EVENT_TYPES = [
+  'task.completed',
+  'task.reopened',
+  'task.verified',
+  'task.reassigned',
+  'swap.requested',
+  'swap.accepted',
+  'swap.rejected',
+  'swap.cancelled',
+  'swap.expired',
+  'rotation.created',
+  'rotation.rolled_back'
+];
+
+// Evento publicado para el stream SSE; se guarda para poder reanudar con Last-Event-ID
+const taskEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: TASK_EVENT_TYPES,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CleaningTask'
+  },
+  // Usuarios involucrados; los eventos privados solo les llegan a ellos (y a los administradores)
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  }],
+  // Si es true, el evento le llega a todos los usuarios
+  broadcast: {
+    type: Boolean,
+    default: false
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 } // Pasado este tiempo ya no se puede reanudar desde el evento
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const TaskEvent = mongoose.model('TaskEvent', taskEventSchema);
+
+module.exports = TaskEvent;
+module.exports.TASK_EVENT_TYPES = TASK_EVENT_TYPES;
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Campos de preferencias editables por el usuario
+const PREFERENCE_FIELDS = ['preferredAreas', 'avoidAreas', 'avoidPartners'];
+
 const userSchema = new mongoose.Schema({
   fullName: { 
     type: String, 
@@ -23,14 +26,34 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  availableNextWeek: {
+  // Los usuarios desactivados no participan de la rotación ni pueden iniciar sesión
+  active: {
     type: Boolean,
     default: true
   },
+  // Preferencias que la rotación intenta respetar (sin romper el balance de carga)
   preferences: {
-    type: Map,
-    of: String,
-    default: {}
+    preferredAreas: [{ type: String, trim: true }],
+    avoidAreas: [{ type: String, trim: true }],
+    avoidPartners: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Restablecimiento de contraseña: solo se guarda el hash del token (un solo uso)
+  passwordReset: {
+    tokenHash: { type: String, select: false },
+    expiresAt: { type: Date, select: false }
+  },
+  // Token privado del feed iCalendar (se regenera para revocar el enlace anterior)
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
   },
   stats: {
     tasksCompleted: {
@@ -55,4 +78,7 @@ userSchema.pre('save', async function(next) {
   this.password = await bcrypt.hash(this.password, 10);
 });
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
+module.exports.PREFERENCE_FIELDS = PREFERENCE_FIELDS;
\ No newline at end of file
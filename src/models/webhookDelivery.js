@@ -0,0 +1,65 @@
+// models/webhookDelivery.js
+const mongoose = require('mongoose');
+
+// Resultado de cada intento de envío
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    required: true
+  },
+  statusCode: Number,
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+// Registro de entregas de un evento a una suscripción de webhook
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  // Evento del stream que originó la entrega (no existe en los envíos de prueba)
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskEvent'
+  },
+  // Entrega original cuando un administrador pide reenviarla
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: [attemptSchema],
+  // Próximo intento (o fin del bloqueo mientras un proceso la está enviando)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: Date,
+  lastError: String,
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 } // El registro de entregas se limpia solo
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
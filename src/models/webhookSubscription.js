@@ -0,0 +1,56 @@
+// models/webhookSubscription.js
+const mongoose = require('mongoose');
+
+// Eventos que se pueden enviar a un webhook externo
+const WEBHOOK_EVENTS = ['task.completed', 'task.verified', 'rotation.created', 'swap.accepted'];
+
+// Suscripción de un endpoint externo (bot del grupo, planilla, etc.) a eventos de la casa
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: [events => events.length > 0, 'La suscripción debe tener al menos un evento']
+  },
+  // Clave para firmar los envíos con HMAC-SHA256; solo se muestra al crearla o regenerarla
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Intentos fallidos seguidos; al llegar al límite la suscripción se desactiva sola
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  lastDeliveryAt: Date,
+  lastSuccessAt: Date,
+  disabledAt: Date,
+  disabledReason: {
+    type: String,
+    enum: ['manual', 'too_many_failures']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+module.exports = WebhookSubscription;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -0,0 +1,39 @@
+// routes/absences.js
+const router = require('express').Router();
+const {
+  getAbsences,
+  createAbsence,
+  updateAbsence,
+  deleteAbsence,
+  getAwayThisWeek
+} = require('../controllers/absences');
+const auth = require('../middleware/auth');
+const { validate } = require('../middleware/security');
+const { body, param, query } = require('express-validator');
+
+const absenceIdValidation = param('absenceId').isMongoId().withMessage('ID de ausencia inválido');
+
+// Validaciones de ausencia (en la edición todos los campos son opcionales)
+const absenceValidation = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('startDate').isISO8601().withMessage('Fecha de inicio inválida'),
+    field('endDate').isISO8601().withMessage('Fecha de fin inválida'),
+    body('reason').optional().isString().trim().isLength({ max: 200 })
+      .withMessage('El motivo no puede superar los 200 caracteres'),
+    body('userId').optional().isMongoId().withMessage('ID de usuario inválido')
+  ];
+};
+
+const rangeValidation = [
+  query(['from', 'to', 'date']).optional().isISO8601().withMessage('Fecha inválida'),
+  query('user').optional().isMongoId().withMessage('ID de usuario inválido')
+];
+
+router.get('/', auth, rangeValidation, validate, getAbsences);
+router.get('/away', auth, rangeValidation, validate, getAwayThisWeek);
+router.post('/', auth, absenceValidation(), validate, createAbsence);
+router.patch('/:absenceId', auth, absenceIdValidation, absenceValidation(true), validate, updateAbsence);
+router.delete('/:absenceId', auth, absenceIdValidation, validate, deleteAbsence);
+
+module.exports = router;
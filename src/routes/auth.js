@@ -1,15 +1,34 @@
 // routes/auth.js
 const router = require('express').Router();
-const { register, login, getMe, updatePreferences } = require('../controllers/auth');
+const {
+  register,
+  login,
+  getMe,
+  updatePreferences,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  refresh,
+  logout,
+  logoutAll
+} = require('../controllers/auth');
+const { getCalendarLink, regenerateCalendarLink } = require('../controllers/calendar');
 const auth = require('../middleware/auth');
 const { validate } = require('../middleware/security');
+const { PREFERENCE_FIELDS } = require('../models/user');
 const { body } = require('express-validator');
 
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 6;
+
+const passwordRule = (field) => body(field)
+  .isLength({ min: PASSWORD_MIN_LENGTH })
+  .withMessage(`La contraseña debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres`);
+
 // Validaciones para registro
 const registerValidation = [
   body('fullName').notEmpty().withMessage('El nombre completo es requerido'),
   body('email').isEmail().withMessage('Email inválido'),
-  body('password').isLength({ min: 6 }).withMessage('La contraseña debe tener al menos 6 caracteres')
+  passwordRule('password')
 ];
 
 // Validaciones para login
@@ -18,10 +37,49 @@ const loginValidation = [
   body('password').notEmpty().withMessage('La contraseña es requerida')
 ];
 
+// Validaciones para contraseñas
+const forgotPasswordValidation = [
+  body('email').isEmail().withMessage('Email inválido')
+];
+
+const resetPasswordValidation = [
+  body('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Token inválido'),
+  passwordRule('password')
+];
+
+const changePasswordValidation = [
+  body('currentPassword').notEmpty().withMessage('La contraseña actual es requerida'),
+  passwordRule('newPassword')
+];
+
+// Validaciones para preferencias (solo se aceptan los campos tipados)
+const PREFERENCE_LIST_MAX = 20;
+
+const preferencesValidation = [
+  body('preferences').isObject().withMessage('Las preferencias deben ser un objeto válido')
+    .custom(value => Object.keys(value).every(key => PREFERENCE_FIELDS.includes(key)))
+    .withMessage(`Solo se admiten las preferencias: ${PREFERENCE_FIELDS.join(', ')}`),
+  ...PREFERENCE_FIELDS.map(field => body(`preferences.${field}`).optional()
+    .isArray({ max: PREFERENCE_LIST_MAX })
+    .withMessage(`${field} debe ser una lista de hasta ${PREFERENCE_LIST_MAX} elementos`)),
+  body(['preferences.preferredAreas.*', 'preferences.avoidAreas.*']).isString().trim().notEmpty()
+    .withMessage('Las áreas deben indicarse por nombre'),
+  body('preferences.avoidPartners.*').isMongoId().withMessage('avoidPartners solo admite IDs de usuario')
+];
+
 // Rutas
 router.post('/register', registerValidation, validate, register);
 router.post('/login', loginValidation, validate, login);
+router.post('/refresh',
+  body('refreshToken').isHexadecimal().withMessage('Refresh token inválido'), validate, refresh);
+router.post('/logout', auth, logout);
+router.post('/logout-all', auth, logoutAll);
+router.post('/password/forgot', forgotPasswordValidation, validate, forgotPassword);
+router.post('/password/reset', resetPasswordValidation, validate, resetPassword);
+router.post('/password/change', auth, changePasswordValidation, validate, changePassword);
 router.get('/me', auth, getMe);
-router.patch('/preferences', auth, updatePreferences);
+router.patch('/preferences', auth, preferencesValidation, validate, updatePreferences);
+router.get('/calendar', auth, getCalendarLink);
+router.post('/calendar/regenerate', auth, regenerateCalendarLink);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+// routes/backup.js
+const express = require('express');
+const mongoSanitize = require('express-mongo-sanitize');
+const router = express.Router();
+const { exportBackup, importBackup } = require('../controllers/backup');
+const auth = require('../middleware/auth');
+const requireAdmin = require('../middleware/admin');
+const { validate } = require('../middleware/security');
+const { CONFLICT_STRATEGIES } = require('../services/backup');
+const { query } = require('express-validator');
+
+// El archivo puede superar el límite general del cuerpo (100kb)
+const BACKUP_MAX_SIZE = process.env.BACKUP_MAX_SIZE || '10mb';
+
+const importValidation = [
+  query('dryRun').optional().isBoolean().withMessage('dryRun debe ser booleano'),
+  query('onConflict').optional().isIn(CONFLICT_STRATEGIES)
+    .withMessage(`onConflict debe ser: ${CONFLICT_STRATEGIES.join(', ')}`)
+];
+
+router.get('/export', auth, requireAdmin, exportBackup);
+router.post('/import', auth, requireAdmin,
+  express.json({ limit: BACKUP_MAX_SIZE }), mongoSanitize(),
+  importValidation, validate, importBackup);
+
+module.exports = router;
@@ -2,31 +2,168 @@ const router = require('express').Router();
 const {
   getTasks,
   rotateAssignments,
+  previewRotation,
+  commitRotationPreview,
+  getRotationPeriods,
+  replayRotation,
+  rollbackRotation,
   markAsCompleted,
   verifyTask,
   getActiveUsers,
-  changeTaskResponsible,
   getSwapRequests,
   createSwapRequest,
   acceptSwapRequest,
   rejectSwapRequest,
+  cancelSwapRequest,
   updateUserAvailability
 } = require('../controllers/cleaning');
+const {
+  getAreas,
+  createArea,
+  updateArea,
+  deleteArea
+} = require('../controllers/areas');
+const { getCalendarFeed } = require('../controllers/calendar');
+const { getAuditEvents, getMyAuditEvents } = require('../controllers/audit');
+const { getStats } = require('../controllers/stats');
+const { getComplianceReport } = require('../controllers/reports');
+const {
+  getMyDelegations,
+  proposeDelegation,
+  acceptDelegation,
+  declineDelegation,
+  revokeDelegation
+} = require('../controllers/delegations');
+const { streamEvents } = require('../controllers/events');
 const auth = require('../middleware/auth');
+const requireAdmin = require('../middleware/admin');
+const { validate } = require('../middleware/security');
+const { SOLVERS } = require('../services/rotation');
+const { TASK_EVENT_TYPES } = require('../models/taskEvent');
+const { body, param, query } = require('express-validator');
+
+// Validaciones para áreas (en la edición todos los campos son opcionales)
+const areaValidation = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('name').isString().trim().notEmpty().withMessage('El nombre del área es requerido'),
+    body('peopleNeeded').optional().isInt({ min: 1 }).withMessage('peopleNeeded debe ser un entero mayor a 0'),
+    body('difficulty').optional().isInt({ min: 1, max: 5 }).withMessage('La dificultad debe estar entre 1 y 5'),
+    body('frequency').optional().isIn(['weekly', 'biweekly', 'monthly']).withMessage('Frecuencia inválida'),
+    body('fineAmount').optional().isFloat({ min: 0 }).withMessage('fineAmount debe ser un número no negativo'),
+    body('active').optional().isBoolean().withMessage('active debe ser booleano')
+  ];
+};
+
+// Solver y semilla de la rotación elegidos por petición (por defecto: voraz y semilla nueva)
+const rotationValidation = [
+  body('solver').optional().isIn(SOLVERS).withMessage(`solver debe ser uno de: ${SOLVERS.join(', ')}`),
+  body('seed').optional().isString().isLength({ min: 1, max: 64 }).withMessage('seed debe ser un texto de hasta 64 caracteres')
+];
+
+// Validaciones de delegación (el rango por defecto va desde ahora hasta el fin de la tarea)
+const delegationIdValidation = [
+  param('taskId').isMongoId().withMessage('ID de tarea inválido'),
+  param('delegationId').isMongoId().withMessage('ID de delegación inválido')
+];
+
+const delegationValidation = [
+  param('taskId').isMongoId().withMessage('ID de tarea inválido'),
+  body('delegateId').isMongoId().withMessage('ID de suplente inválido'),
+  body(['startDate', 'endDate']).optional().isISO8601().withMessage('Fecha inválida'),
+  body('note').optional().isString().trim().isLength({ max: 300 })
+    .withMessage('La nota no puede superar los 300 caracteres')
+];
+
+// Filtros del reporte de cumplimiento (el mes por defecto es el actual)
+const complianceValidation = [
+  query('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('month debe tener el formato YYYY-MM'),
+  query(['from', 'to']).optional().isISO8601().withMessage('Fecha inválida'),
+  query('user').optional().isMongoId().withMessage('ID de usuario inválido'),
+  query('area').optional().isString().trim().notEmpty().withMessage('Área inválida'),
+  query('format').optional().isIn(['json', 'csv', 'pdf']).withMessage('format debe ser json, csv o pdf')
+];
+
+// Filtros del stream de eventos (?types=a,b y ?mine=true)
+const eventsValidation = [
+  query('types').optional().isString()
+    .custom(types => types.split(',').every(type => TASK_EVENT_TYPES.includes(type.trim())))
+    .withMessage(`types debe ser una lista de: ${TASK_EVENT_TYPES.join(', ')}`),
+  query('mine').optional().isBoolean().withMessage('mine debe ser booleano')
+];
+
+// Quitar un parámetro de la query de una URL relativa
+const withoutQueryParam = (url, name) => {
+  const [path, search = ''] = url.split('?');
+  const params = new URLSearchParams(search);
+  params.delete(name);
+  const rest = params.toString();
+  return rest ? `${path}?${rest}` : path;
+};
+
+// EventSource no permite enviar cabeceras: el token de acceso también se acepta en ?access_token=
+// Se quita de la URL para que no quede en los logs ni en los errores de lo que sigue
+const tokenFromQuery = (req, res, next) => {
+  if (typeof req.query.access_token === 'string' && !req.header('Authorization')) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  if (req.query.access_token !== undefined) {
+    delete req.query.access_token;
+    req.url = withoutQueryParam(req.url, 'access_token');
+    req.originalUrl = withoutQueryParam(req.originalUrl, 'access_token');
+  }
+  next();
+};
 
 // Rutas de tareas básicas
 router.get('/tasks', auth, getTasks);
 router.get('/active-users', auth, getActiveUsers);
-router.post('/rotate-assignments', auth, rotateAssignments);
+router.post('/rotate-assignments', auth, requireAdmin, rotationValidation, validate, rotateAssignments);
+router.post('/rotate-assignments/preview', auth, requireAdmin, rotationValidation, validate, previewRotation);
+router.post('/rotate-assignments/preview/:previewId/commit', auth, requireAdmin, commitRotationPreview);
+router.get('/rotations', auth, getRotationPeriods);
+router.get('/rotations/:periodId/replay', auth, requireAdmin, replayRotation);
+router.post('/rotations/rollback', auth, requireAdmin, rollbackRotation);
 router.patch('/tasks/:id/complete', auth, markAsCompleted);
-router.patch('/tasks/:taskId/responsible', auth, changeTaskResponsible);
 router.post('/tasks/:taskId/verify', auth, verifyTask);
 
+// Eventos en tiempo real (SSE)
+router.get('/events', tokenFromQuery, auth, eventsValidation, validate, streamEvents);
+
+// Rutas de delegación
+router.get('/delegations', auth,
+  query('status').optional().isIn(['proposed', 'accepted', 'declined', 'revoked']).withMessage('Estado inválido'),
+  validate, getMyDelegations);
+router.post('/tasks/:taskId/delegations', auth, delegationValidation, validate, proposeDelegation);
+router.post('/tasks/:taskId/delegations/:delegationId/accept', auth, delegationIdValidation, validate, acceptDelegation);
+router.post('/tasks/:taskId/delegations/:delegationId/decline', auth, delegationIdValidation, validate, declineDelegation);
+router.post('/tasks/:taskId/delegations/:delegationId/revoke', auth, delegationIdValidation, validate, revokeDelegation);
+
+// Rutas de áreas
+router.get('/areas', auth, getAreas);
+router.post('/areas', auth, requireAdmin, areaValidation(), validate, createArea);
+router.patch('/areas/:areaId', auth, requireAdmin, areaValidation(true), validate, updateArea);
+router.delete('/areas/:areaId', auth, requireAdmin, deleteArea);
+
+// Feed iCalendar privado (protegido por token propio, sin JWT)
+router.get('/calendar/:token.ics', getCalendarFeed);
+
 // Rutas de intercambio
 router.get('/swap-requests', auth, getSwapRequests);
 router.post('/swap-requests', auth, createSwapRequest);
 router.post('/swap-requests/:requestId/accept', auth, acceptSwapRequest);
 router.post('/swap-requests/:requestId/reject', auth, rejectSwapRequest);
+router.post('/swap-requests/:requestId/cancel', auth, cancelSwapRequest);
+
+// Rutas de auditoría
+router.get('/audit', auth, requireAdmin, getAuditEvents);
+router.get('/audit/me', auth, getMyAuditEvents);
+
+// Estadísticas y ranking
+router.get('/stats', auth, getStats);
+
+// Reportes
+router.get('/reports/compliance', auth, requireAdmin, complianceValidation, validate, getComplianceReport);
 
 // Ruta de disponibilidad
 router.post('/users/:userId/availability', auth, updateUserAvailability);
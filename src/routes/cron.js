@@ -0,0 +1,18 @@
+// routes/cron.js
+const router = require('express').Router();
+const { runRotation, runReminders, runFines, runDelegations, runWebhooks } = require('../controllers/cron');
+const cronAuth = require('../middleware/cron');
+
+// Vercel Cron invoca las rutas con GET; se acepta POST para otros programadores
+router.get('/rotate', cronAuth, runRotation);
+router.post('/rotate', cronAuth, runRotation);
+router.get('/reminders', cronAuth, runReminders);
+router.post('/reminders', cronAuth, runReminders);
+router.get('/fines', cronAuth, runFines);
+router.post('/fines', cronAuth, runFines);
+router.get('/delegations', cronAuth, runDelegations);
+router.post('/delegations', cronAuth, runDelegations);
+router.get('/webhooks', cronAuth, runWebhooks);
+router.post('/webhooks', cronAuth, runWebhooks);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// routes/fines.js
+const router = require('express').Router();
+const {
+  getMyFines,
+  getFines,
+  markFinePaid,
+  waiveFine,
+  runFineIssuance
+} = require('../controllers/fines');
+const auth = require('../middleware/auth');
+const requireAdmin = require('../middleware/admin');
+const { validate } = require('../middleware/security');
+const { body, param, query } = require('express-validator');
+
+const fineIdValidation = param('fineId').isMongoId().withMessage('ID de multa inválido');
+const statusValidation = query('status').optional().isIn(['issued', 'paid', 'waived']).withMessage('Estado inválido');
+const noteValidation = body('note').optional().isString().trim().isLength({ max: 500 })
+  .withMessage('La nota no puede superar los 500 caracteres');
+
+router.get('/me', auth, statusValidation, validate, getMyFines);
+router.get('/', auth, requireAdmin, statusValidation, validate, getFines);
+router.post('/issue', auth, requireAdmin, runFineIssuance);
+router.post('/:fineId/pay', auth, requireAdmin, fineIdValidation, noteValidation, validate, markFinePaid);
+router.post('/:fineId/waive', auth, requireAdmin, fineIdValidation, noteValidation, validate, waiveFine);
+
+module.exports = router;
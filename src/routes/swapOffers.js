@@ -0,0 +1,39 @@
+// routes/swapOffers.js
+const router = require('express').Router();
+const {
+  getSwapOffers,
+  createSwapOffer,
+  claimSwapOffer,
+  withdrawSwapOffer,
+  approveSwapOffer,
+  rejectSwapOfferClaim,
+  getFavorCredits
+} = require('../controllers/swapOffers');
+const auth = require('../middleware/auth');
+const requireAdmin = require('../middleware/admin');
+const { validate } = require('../middleware/security');
+const { body, param, query } = require('express-validator');
+
+const offerIdValidation = param('offerId').isMongoId().withMessage('ID de oferta inválido');
+
+const listValidation = [
+  query('status').optional()
+    .isIn(['open', 'pending_approval', 'claimed', 'withdrawn', 'invalidated']).withMessage('Estado inválido'),
+  query('mine').optional().isIn(['true', 'false']).withMessage('El parámetro mine debe ser true o false')
+];
+
+const offerValidation = [
+  body('taskId').isMongoId().withMessage('ID de tarea inválido'),
+  body('note').optional().isString().trim().isLength({ max: 300 })
+    .withMessage('La nota no puede superar los 300 caracteres')
+];
+
+router.get('/', auth, listValidation, validate, getSwapOffers);
+router.get('/credits', auth, getFavorCredits);
+router.post('/', auth, offerValidation, validate, createSwapOffer);
+router.post('/:offerId/claim', auth, offerIdValidation, validate, claimSwapOffer);
+router.post('/:offerId/withdraw', auth, offerIdValidation, validate, withdrawSwapOffer);
+router.post('/:offerId/approve', auth, requireAdmin, offerIdValidation, validate, approveSwapOffer);
+router.post('/:offerId/reject', auth, requireAdmin, offerIdValidation, validate, rejectSwapOfferClaim);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// routes/users.js
+const router = require('express').Router();
+const {
+  getUsers,
+  unlockUser,
+  unlockIp,
+  updateUserRole,
+  updateUserStatus,
+  updateUserStats,
+  updateUserAvailabilityAdmin
+} = require('../controllers/users');
+const auth = require('../middleware/auth');
+const requireAdmin = require('../middleware/admin');
+const { validate } = require('../middleware/security');
+const { body, param } = require('express-validator');
+
+const userIdValidation = param('userId').isMongoId().withMessage('ID de usuario inválido');
+
+const statsValidation = ['tasksCompleted', 'tasksRejected', 'tasksVerified'].map(field =>
+  body(field).optional().isInt({ min: 0 }).withMessage(`${field} debe ser un entero no negativo`)
+);
+
+// Todas las rutas de gestión de usuarios son solo para administradores
+router.use(auth, requireAdmin);
+
+router.get('/', getUsers);
+router.patch('/:userId/role', userIdValidation,
+  body('isAdmin').isBoolean().withMessage('isAdmin debe ser booleano'), validate, updateUserRole);
+router.patch('/:userId/status', userIdValidation,
+  body('active').isBoolean().withMessage('active debe ser booleano'), validate, updateUserStatus);
+router.post('/:userId/unlock', userIdValidation, validate, unlockUser);
+router.delete('/login-locks/:ip', param('ip').isIP().withMessage('IP inválida'), validate, unlockIp);
+router.patch('/:userId/stats', userIdValidation, statsValidation, validate, updateUserStats);
+router.patch('/:userId/availability', userIdValidation,
+  body('available').isBoolean().withMessage('available debe ser booleano'), validate, updateUserAvailabilityAdmin);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+// routes/webhooks.js
+const router = require('express').Router();
+const {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  testWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery
+} = require('../controllers/webhooks');
+const auth = require('../middleware/auth');
+const requireAdmin = require('../middleware/admin');
+const { validate } = require('../middleware/security');
+const { WEBHOOK_EVENTS } = require('../models/webhookSubscription');
+const { body, param, query } = require('express-validator');
+
+// Validaciones de suscripción (en la edición todos los campos son opcionales)
+const webhookValidation = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('El nombre es requerido (hasta 100 caracteres)'),
+    // Se permiten hosts sin dominio (por ejemplo http://localhost) para receptores locales
+    field('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('url debe ser una URL http(s)'),
+    field('events').isArray({ min: 1 }).withMessage('events debe ser una lista no vacía'),
+    body('events.*').isIn(WEBHOOK_EVENTS).withMessage(`Los eventos deben ser: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('active').optional().isBoolean().withMessage('active debe ser booleano')
+  ];
+};
+
+const webhookIdValidation = param('webhookId').isMongoId().withMessage('ID de webhook inválido');
+
+router.get('/', auth, requireAdmin, getWebhooks);
+router.post('/', auth, requireAdmin, webhookValidation(), validate, createWebhook);
+router.patch('/:webhookId', auth, requireAdmin, webhookIdValidation, webhookValidation(true), validate, updateWebhook);
+router.delete('/:webhookId', auth, requireAdmin, webhookIdValidation, validate, deleteWebhook);
+router.post('/:webhookId/secret', auth, requireAdmin, webhookIdValidation, validate, rotateWebhookSecret);
+router.post('/:webhookId/test', auth, requireAdmin, webhookIdValidation, validate, testWebhook);
+router.get('/:webhookId/deliveries', auth, requireAdmin, webhookIdValidation,
+  query('status').optional().isIn(['pending', 'delivered', 'failed']).withMessage('Estado inválido'),
+  validate, getWebhookDeliveries);
+router.post('/deliveries/:deliveryId/redeliver', auth, requireAdmin,
+  param('deliveryId').isMongoId().withMessage('ID de entrega inválido'),
+  validate, redeliverWebhookDelivery);
+
+module.exports = router;
@@ -0,0 +1,120 @@
+/**
+ * Script para recalcular User.stats a partir del historial de tareas (incluye archivadas)
+ * Uso: node scripts/backfillStats.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const CleaningTask = require('../models/cleaningTask');
+const User = require('../models/user');
+const { getTaskOutcome, creditedUsers } = require('../services/stats');
+
+// Recalcular los contadores de todos los usuarios y marcar los resultados acreditados
+const backfillStats = async ({ dryRun = false } = {}) => {
+  try {
+    // Conectar a la base de datos
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Conectado a MongoDB');
+
+    const [users, tasks] = await Promise.all([
+      User.find({}, 'fullName stats').lean(),
+      CleaningTask.find({}, 'responsibles temporaryResponsible delegations verifiers verifications completed statsOutcome').lean()
+    ]);
+
+    const counters = new Map(users.map(user => [user._id.toString(), {
+      tasksCompleted: 0,
+      tasksRejected: 0,
+      tasksVerified: 0
+    }]));
+
+    const outcomeUpdates = [];
+
+    tasks.forEach(task => {
+      const outcome = getTaskOutcome(task);
+
+      if (outcome) {
+        const field = outcome === 'approved' ? 'tasksCompleted' : 'tasksRejected';
+        creditedUsers(task).forEach(userId => {
+          if (counters.has(userId)) counters.get(userId)[field]++;
+        });
+      }
+
+      (task.verifications || []).forEach(verification => {
+        const userId = verification.verifier && verification.verifier.toString();
+        if (counters.has(userId)) counters.get(userId).tasksVerified++;
+      });
+
+      if ((task.statsOutcome || null) !== outcome) {
+        outcomeUpdates.push({
+          updateOne: {
+            filter: { _id: task._id },
+            update: outcome ? { $set: { statsOutcome: outcome } } : { $unset: { statsOutcome: 1 } }
+          }
+        });
+      }
+    });
+
+    const userUpdates = users
+      .filter(user => {
+        const current = user.stats || {};
+        const computed = counters.get(user._id.toString());
+        return Object.keys(computed).some(field => (current[field] || 0) !== computed[field]);
+      })
+      .map(user => {
+        const computed = counters.get(user._id.toString());
+        console.log(`${user.fullName}: ${JSON.stringify(user.stats || {})} -> ${JSON.stringify(computed)}`);
+        return {
+          updateOne: {
+            filter: { _id: user._id },
+            update: { $set: { stats: computed } }
+          }
+        };
+      });
+
+    console.log(`Usuarios a actualizar: ${userUpdates.length} de ${users.length}`);
+    console.log(`Tareas con resultado a corregir: ${outcomeUpdates.length} de ${tasks.length}`);
+
+    if (!dryRun) {
+      if (userUpdates.length > 0) await User.bulkWrite(userUpdates);
+      if (outcomeUpdates.length > 0) await CleaningTask.bulkWrite(outcomeUpdates);
+    } else {
+      console.log('Modo simulación: no se guardaron cambios');
+    }
+
+    // Desconectar de la base de datos
+    await mongoose.disconnect();
+    console.log('Desconectado de MongoDB');
+
+    return { users: userUpdates.length, tasks: outcomeUpdates.length };
+
+  } catch (error) {
+    console.error('Error al recalcular estadísticas:', error);
+
+    // Asegurar que la conexión se cierre en caso de error
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+      console.log('Desconectado de MongoDB después de error');
+    }
+
+    process.exit(1);
+  }
+};
+
+// Si el script se ejecuta directamente
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  console.log(`Iniciando recálculo de estadísticas${dryRun ? ' (simulación)' : ''}...`);
+
+  backfillStats({ dryRun })
+    .then(() => {
+      console.log('Proceso de recálculo completado exitosamente');
+      process.exit(0);
+    })
+    .catch(err => {
+      console.error('Error en el proceso principal:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = backfillStats;
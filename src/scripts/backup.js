@@ -0,0 +1,134 @@
+/**
+ * Script para exportar e importar el respaldo completo de la casa
+ * Uso: node scripts/backup.js export [--out=respaldo.json]
+ *      node scripts/backup.js import --file=respaldo.json [--dry-run] [--on-conflict=fail|reuse]
+ *
+ * El respaldo incluye usuarios (sin contraseñas), áreas y tareas con sus intercambios, verificaciones y
+ * delegaciones. Al importar se generan IDs nuevos; los usuarios creados deben restablecer su contraseña.
+ *
+ * NO incluye (se pierden al restaurar en otra base; el archivo los lista en `excluded`): ausencias,
+ * multas, ofertas de tareas y créditos de favor, periodos de rotación y auditoría.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { exportHousehold, importHousehold, CONFLICT_STRATEGIES } = require('../services/backup');
+const { recordAudit } = require('../services/audit');
+
+// Leer las opciones --clave=valor de la línea de comandos
+const parseArgs = (argv) => argv.reduce((options, arg) => {
+  const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+  if (match) options[match[1]] = match[2] === undefined ? true : match[2];
+  return options;
+}, {});
+
+// Mostrar el reporte de una importación
+const printReport = ({ dryRun, imported, report }) => {
+  if (report.summary) {
+    Object.entries(report.summary).forEach(([collection, counts]) => {
+      const reuse = counts.reuse !== undefined ? `, ${counts.reuse} existentes` : '';
+      console.log(`${collection}: ${counts.total} en el archivo, ${counts.create} a crear${reuse}`);
+    });
+  }
+
+  report.conflicts.forEach(conflict => {
+    const detail = conflict.type === 'duplicate_email'
+      ? `email ${conflict.email} ya usado por ${conflict.existingName}`
+      : `el área "${conflict.name}" ya existe`;
+    console.log(`Conflicto (${conflict.type}): ${detail}`);
+  });
+
+  report.errors.forEach(error => {
+    const where = error.collection ? `${error.collection} ${error.archiveId || '?'} ${error.path}: ` : '';
+    console.log(`Error: ${where}${error.message}`);
+  });
+
+  if (report.excluded) {
+    console.log(`No se restauran: ${report.excluded.map(entry => entry.description.toLowerCase()).join('; ')}`);
+  }
+
+  if (dryRun) {
+    console.log(report.canImport ? 'Simulación: el respaldo se puede importar' : 'Simulación: el respaldo NO se puede importar');
+  } else {
+    console.log(imported ? 'Respaldo importado' : 'No se importó nada');
+  }
+};
+
+const runBackup = async (command, options) => {
+  try {
+    // Conectar a la base de datos
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Conectado a MongoDB');
+
+    let result;
+    if (command === 'export') {
+      const archive = await exportHousehold();
+      const out = options.out || `respaldo-${archive.exportedAt.toISOString().slice(0, 10)}.json`;
+      fs.writeFileSync(out, JSON.stringify(archive, null, 2));
+      await recordAudit({ action: 'backup.exported', metadata: { counts: archive.counts, source: 'script' } });
+
+      console.log(`Respaldo guardado en ${out} (${archive.counts.users} usuarios, ${archive.counts.areas} áreas, ${archive.counts.tasks} tareas)`);
+      result = archive;
+    } else {
+      const archive = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+      const onConflict = options['on-conflict'] || 'fail';
+
+      result = await importHousehold(archive, { dryRun: !!options['dry-run'], onConflict });
+      if (result.imported) {
+        await recordAudit({
+          action: 'backup.imported',
+          metadata: { onConflict, summary: result.report.summary, source: 'script' }
+        });
+      }
+      printReport(result);
+    }
+
+    // Desconectar de la base de datos
+    await mongoose.disconnect();
+    console.log('Desconectado de MongoDB');
+
+    return result;
+  } catch (error) {
+    console.error('Error en el respaldo:', error);
+    if (error.leftovers) {
+      console.error('Quedaron en la base (borrar a mano):');
+      Object.entries(error.leftovers).forEach(([collection, ids]) => console.error(`  ${collection}: ${ids.join(', ')}`));
+    }
+
+    // Asegurar que la conexión se cierre en caso de error
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+
+    process.exit(1);
+  }
+};
+
+// Si el script se ejecuta directamente
+if (require.main === module) {
+  const [command, ...rest] = process.argv.slice(2);
+  const options = parseArgs(rest);
+
+  if (!['export', 'import'].includes(command)) {
+    console.error('Uso: node scripts/backup.js export [--out=archivo] | import --file=archivo [--dry-run] [--on-conflict=fail|reuse]');
+    process.exit(1);
+  }
+  if (command === 'import' && !options.file) {
+    console.error('Falta --file con el respaldo a importar');
+    process.exit(1);
+  }
+  if (options['on-conflict'] && !CONFLICT_STRATEGIES.includes(options['on-conflict'])) {
+    console.error(`--on-conflict debe ser: ${CONFLICT_STRATEGIES.join(', ')}`);
+    process.exit(1);
+  }
+
+  runBackup(command, options)
+    .then(result => process.exit(command === 'import' && !result.imported && !result.dryRun ? 1 : 0))
+    .catch(err => {
+      console.error('Error en el proceso principal:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = runBackup;
@@ -0,0 +1,260 @@
+/**
+ * Script para simular N semanas de rotación en memoria (sin base de datos)
+ * Uso: node scripts/simulateRotation.js [--weeks=52] [--users=8] [--completion=0.9] [--rejection=0.1]
+ *        [--solver=greedy|optimal] [--seed=texto] [--household=archivo.json] [--json]
+ *
+ * El archivo de hogar (opcional) tiene la forma:
+ *   { "users": [{ "fullName": "Ana", "completionRate": 0.8, "preferences": {...} }],
+ *     "areas": [{ "name": "Baño 1", "peopleNeeded": 1, "difficulty": 2, "frequency": "weekly" }] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_AREAS } = require('../models/area');
+const { planRotation, calculateEndDate, normalizePreferences } = require('../services/rotation');
+const { createRandom } = require('../utils/seededRandom');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Leer las opciones --clave=valor de la línea de comandos
+const parseArgs = (argv) => argv.reduce((options, arg) => {
+  const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+  if (match) options[match[1]] = match[2] === undefined ? true : match[2];
+  return options;
+}, {});
+
+// Hogar sintético o exportado: usuarios con ID ficticio y configuración de áreas
+const loadHousehold = ({ household, users = 8 }) => {
+  const data = household
+    ? JSON.parse(fs.readFileSync(path.resolve(household), 'utf8'))
+    : {};
+
+  const sourceUsers = data.users || Array.from({ length: users }, (_, index) => ({
+    fullName: `Usuario ${index + 1}`
+  }));
+  const sourceAreas = (data.areas || DEFAULT_AREAS).filter(area => area.active !== false);
+
+  return {
+    users: sourceUsers.map((user, index) => ({
+      _id: String(user._id || (index + 1).toString(16).padStart(24, '0')),
+      fullName: user.fullName,
+      preferences: normalizePreferences(user.preferences),
+      completionRate: user.completionRate,
+      rejectionRate: user.rejectionRate
+    })),
+    areaConfig: sourceAreas.map(area => ({
+      area: area.name || area.area,
+      peopleNeeded: area.peopleNeeded || 1,
+      difficulty: area.difficulty || 1,
+      frequency: area.frequency || 'weekly'
+    }))
+  };
+};
+
+const mean = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+const variance = (values) => {
+  const average = mean(values);
+  return mean(values.map(value => (value - average) ** 2));
+};
+
+// Resolver el resultado de una tarea vencida según las tasas de sus responsables
+const resolveOutcome = (task, usersById, rates, random) => {
+  const responsibles = task.responsibles.map(responsible => usersById.get(responsible._id));
+  const completion = mean(responsibles.map(user => user.completionRate ?? rates.completion));
+  const rejection = mean(responsibles.map(user => user.rejectionRate ?? rates.rejection));
+
+  task.completed = random() < completion;
+  task.verificationStatus = task.completed
+    ? (random() < rejection ? 'rejected' : 'approved')
+    : 'pending';
+};
+
+// Simular la rotación semana a semana, igual que el programador: solo rotan las áreas vencidas
+const simulateRotation = (options = {}) => {
+  const weeks = parseInt(options.weeks) || 52;
+  const solver = options.solver || 'greedy';
+  const seed = options.seed || 'simulacion';
+  const rates = {
+    completion: options.completion !== undefined ? parseFloat(options.completion) : 0.9,
+    rejection: options.rejection !== undefined ? parseFloat(options.rejection) : 0.1
+  };
+
+  const { users, areaConfig } = loadHousehold(options);
+  if (users.length < 2) {
+    throw new Error('Se necesitan al menos 2 usuarios para simular la rotación');
+  }
+
+  const usersById = new Map(users.map(user => [user._id, user]));
+  const outcomeRandom = createRandom(`${seed}:resultados`);
+  const start = new Date(Date.UTC(2024, 0, 1));
+  const taskHistory = [];
+
+  // Acumuladores del reporte
+  const weeklyLoad = new Map(users.map(user => [user._id, Array(weeks).fill(0)]));
+  const areaCounts = new Map(users.map(user => [user._id, {}]));
+  const backToBack = new Map(users.map(user => [user._id, 0]));
+  const lastResponsibles = {};
+  const pairs = new Map();
+  const outcomes = { approved: 0, rejected: 0, incomplete: 0 };
+
+  for (let week = 0; week < weeks; week++) {
+    const now = new Date(start.getTime() + week * 7 * DAY);
+
+    // Resolver las tareas que vencieron desde la semana anterior
+    taskHistory
+      .filter(task => task.endDate <= now && !task.resolved)
+      .forEach(task => {
+        resolveOutcome(task, usersById, rates, outcomeRandom);
+        task.resolved = true;
+        if (!task.completed) outcomes.incomplete++;
+        else outcomes[task.verificationStatus]++;
+      });
+
+    const ongoingTasks = taskHistory.filter(task => task.endDate > now);
+    const dueAreas = areaConfig.filter(area => !ongoingTasks.some(task => task.area === area.area));
+    if (dueAreas.length === 0) continue;
+
+    // El plan genera muchos logs; se silencian durante la simulación
+    const log = console.log;
+    console.log = () => {};
+    let plan;
+    try {
+      plan = planRotation({
+        availableUsers: users,
+        taskHistory,
+        areaConfig: dueAreas,
+        ongoingTasks: ongoingTasks.map(task => ({
+          area: task.area,
+          difficulty: task.difficulty,
+          peopleNeeded: task.responsibles.length,
+          responsibles: task.responsibles.map(responsible => responsible._id)
+        })),
+        now,
+        solver,
+        seed: `${seed}:${week}`
+      });
+    } finally {
+      console.log = log;
+    }
+
+    plan.assignments.forEach(assignment => {
+      const endDate = calculateEndDate(now, assignment.frequency);
+      taskHistory.push({
+        area: assignment.area,
+        difficulty: assignment.difficulty,
+        responsibles: assignment.responsibles.map(userId => ({ _id: userId })),
+        completed: false,
+        verificationStatus: 'pending',
+        startDate: now,
+        endDate
+      });
+
+      assignment.responsibles.forEach(userId => {
+        weeklyLoad.get(userId)[week] += assignment.difficulty;
+        const counts = areaCounts.get(userId);
+        counts[assignment.area] = (counts[assignment.area] || 0) + 1;
+        if ((lastResponsibles[assignment.area] || []).includes(userId)) {
+          backToBack.set(userId, backToBack.get(userId) + 1);
+        }
+      });
+      lastResponsibles[assignment.area] = assignment.responsibles;
+
+      // Frecuencia de parejas que comparten una misma tarea
+      for (let i = 0; i < assignment.responsibles.length; i++) {
+        for (let j = i + 1; j < assignment.responsibles.length; j++) {
+          const key = [assignment.responsibles[i], assignment.responsibles[j]].sort().join('|');
+          pairs.set(key, (pairs.get(key) || 0) + 1);
+        }
+      }
+    });
+  }
+
+  const perUser = users.map(user => {
+    const loads = weeklyLoad.get(user._id);
+    const counts = areaCounts.get(user._id);
+    return {
+      userId: user._id,
+      fullName: user.fullName,
+      totalWorkload: loads.reduce((sum, load) => sum + load, 0),
+      weeklyWorkloadVariance: variance(loads),
+      tasks: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      maxSameArea: Math.max(0, ...Object.values(counts)),
+      backToBackRepeats: backToBack.get(user._id),
+      areaCounts: counts
+    };
+  });
+
+  const pairList = [...pairs.entries()]
+    .map(([key, count]) => {
+      const [a, b] = key.split('|');
+      return { users: [usersById.get(a).fullName, usersById.get(b).fullName], count };
+    })
+    .sort((a, b) => b.count - a.count);
+
+  const totals = perUser.map(user => user.totalWorkload);
+
+  return {
+    options: { weeks, solver, seed, users: users.length, areas: areaConfig.length, ...rates },
+    outcomes,
+    workload: {
+      mean: mean(totals),
+      variance: variance(totals),
+      stdDev: Math.sqrt(variance(totals)),
+      min: Math.min(...totals),
+      max: Math.max(...totals)
+    },
+    perUser,
+    pairs: {
+      distinct: pairList.length,
+      possible: users.length * (users.length - 1) / 2,
+      max: pairList[0]?.count || 0,
+      mean: mean(pairList.map(pair => pair.count)),
+      top: pairList.slice(0, 10)
+    }
+  };
+};
+
+// Imprimir el reporte en formato de tabla
+const printReport = (report) => {
+  const fixed = (value) => Number(value).toFixed(2);
+  const { options, outcomes, workload, perUser, pairs } = report;
+
+  console.log(`Simulación: ${options.weeks} semanas, ${options.users} usuarios, ${options.areas} áreas, solver ${options.solver}, semilla "${options.seed}"`);
+  console.log(`Tasas: completado ${options.completion}, rechazo ${options.rejection}`);
+  console.log(`Resultados: ${outcomes.approved} aprobadas, ${outcomes.rejected} rechazadas, ${outcomes.incomplete} incompletas`);
+  console.log('');
+  console.log(`Carga total por usuario: media ${fixed(workload.mean)}, varianza ${fixed(workload.variance)}, desvío ${fixed(workload.stdDev)}, rango ${workload.min}-${workload.max}`);
+  console.log('');
+  console.table(perUser.map(user => ({
+    usuario: user.fullName,
+    tareas: user.tasks,
+    carga: user.totalWorkload,
+    'varianza semanal': fixed(user.weeklyWorkloadVariance),
+    'máx. misma área': user.maxSameArea,
+    'repeticiones seguidas': user.backToBackRepeats
+  })));
+  console.log('Repeticiones por área:');
+  console.table(Object.fromEntries(perUser.map(user => [user.fullName, user.areaCounts])));
+  console.log(`Parejas: ${pairs.distinct} de ${pairs.possible} posibles, máximo ${pairs.max} veces, media ${fixed(pairs.mean)}`);
+  console.table(pairs.top.map(pair => ({ pareja: pair.users.join(' + '), veces: pair.count })));
+};
+
+// Si el script se ejecuta directamente
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  try {
+    const report = simulateRotation(options);
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('Error en la simulación:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = simulateRotation;
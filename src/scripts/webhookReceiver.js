@@ -0,0 +1,79 @@
+/**
+ * Receptor HTTP local para probar las suscripciones de webhooks
+ * Uso: node scripts/webhookReceiver.js --secret=clave [--port=4100] [--fail=0] [--status=500]
+ *
+ * Verifica la firma de cada envío y lo muestra por consola. Con --fail=N responde --status a los
+ * primeros N envíos para probar los reintentos y la desactivación automática.
+ */
+
+const http = require('http');
+const { verifySignature } = require('../services/webhooks');
+
+// Leer las opciones --clave=valor de la línea de comandos
+const parseArgs = (argv) => argv.reduce((options, arg) => {
+  const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+  if (match) options[match[1]] = match[2] === undefined ? true : match[2];
+  return options;
+}, {});
+
+const parseBody = (body) => {
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+};
+
+// Crear el receptor; `onDelivery` recibe cada envío ya verificado
+const createReceiver = ({ secret, fail = 0, status = 500, onDelivery = () => {} }) => {
+  let received = 0;
+
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received++;
+      const delivery = {
+        number: received,
+        event: req.headers['x-webhook-event'],
+        id: req.headers['x-webhook-delivery'],
+        validSignature: verifySignature(
+          secret,
+          req.headers['x-webhook-timestamp'],
+          body,
+          req.headers['x-webhook-signature']
+        ),
+        payload: parseBody(body)
+      };
+
+      const responseStatus = !delivery.validSignature ? 401 : received <= fail ? status : 200;
+      onDelivery({ ...delivery, responseStatus });
+
+      res.writeHead(responseStatus, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: responseStatus === 200 }));
+    });
+  });
+};
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.secret) {
+    console.error('Falta --secret con la clave de la suscripción');
+    process.exit(1);
+  }
+
+  const port = parseInt(options.port) || 4100;
+  const server = createReceiver({
+    secret: options.secret,
+    fail: parseInt(options.fail) || 0,
+    status: parseInt(options.status) || 500,
+    onDelivery: (delivery) => {
+      console.log(`#${delivery.number} ${delivery.event} (${delivery.id}) firma ${delivery.validSignature ? 'válida' : 'INVÁLIDA'} -> ${delivery.responseStatus}`);
+      console.log(JSON.stringify(delivery.payload, null, 2));
+    }
+  });
+
+  server.listen(port, () => console.log(`Receptor de webhooks escuchando en http://localhost:${port}`));
+}
+
+module.exports = { createReceiver };
@@ -0,0 +1,190 @@
+// services/audit.js
+const AuditEvent = require('../models/auditEvent');
+
+// Normalizar referencias pobladas o ObjectIds a strings
+const toId = (value) => {
+  if (!value) return value;
+  if (value._id) return value._id.toString();
+  return value.toString();
+};
+
+// Foto de los campos auditables de una tarea
+const snapshotTask = (task) => {
+  if (!task) return null;
+  return {
+    area: task.area,
+    responsibles: (task.responsibles || []).map(toId),
+    temporaryResponsible: toId(task.temporaryResponsible) || null,
+    standIns: (task.standIns || []).map(toId),
+    verifiers: (task.verifiers || []).map(toId),
+    completed: !!task.completed,
+    completedAt: task.completedAt || null,
+    verificationStatus: task.verificationStatus,
+    verifications: (task.verifications || []).map(v => ({
+      verifier: toId(v.verifier),
+      approved: v.approved,
+      comment: v.comment
+    })),
+    swapRequests: (task.swapRequests || []).map(r => ({
+      id: toId(r._id),
+      requestedBy: toId(r.requestedBy),
+      targetTask: toId(r.targetTask),
+      status: r.status,
+      closedReason: r.closedReason || null
+    })),
+    delegations: (task.delegations || []).map(d => ({
+      id: toId(d._id),
+      delegator: toId(d.delegator),
+      delegate: toId(d.delegate),
+      startDate: d.startDate,
+      endDate: d.endDate,
+      status: d.status,
+      revokedReason: d.revokedReason || null
+    }))
+  };
+};
+
+// Foto de los campos auditables de un usuario (nunca incluye la contraseña)
+const snapshotUser = (user) => {
+  if (!user) return null;
+  return {
+    fullName: user.fullName,
+    email: user.email,
+    isAdmin: !!user.isAdmin,
+    active: user.active !== false,
+    stats: user.stats ? {
+      tasksCompleted: user.stats.tasksCompleted,
+      tasksRejected: user.stats.tasksRejected,
+      tasksVerified: user.stats.tasksVerified
+    } : undefined,
+    preferences: user.preferences ? {
+      preferredAreas: [...(user.preferences.preferredAreas || [])],
+      avoidAreas: [...(user.preferences.avoidAreas || [])],
+      avoidPartners: (user.preferences.avoidPartners || []).map(toId)
+    } : undefined
+  };
+};
+
+// Foto de los campos auditables de una multa
+const snapshotFine = (fine) => {
+  if (!fine) return null;
+  return {
+    user: toId(fine.user),
+    task: toId(fine.task),
+    area: fine.area,
+    reason: fine.reason,
+    amount: fine.amount,
+    status: fine.status,
+    note: fine.note || null
+  };
+};
+
+// Foto de los campos auditables de una ausencia
+const snapshotAbsence = (absence) => {
+  if (!absence) return null;
+  return {
+    user: toId(absence.user),
+    startDate: absence.startDate,
+    endDate: absence.endDate,
+    reason: absence.reason || null
+  };
+};
+
+// Foto de los campos auditables de una oferta de intercambio
+const snapshotSwapOffer = (offer) => {
+  if (!offer) return null;
+  return {
+    task: toId(offer.task),
+    offeredBy: toId(offer.offeredBy),
+    credits: offer.credits,
+    requiresApproval: !!offer.requiresApproval,
+    status: offer.status,
+    claimedBy: toId(offer.claimedBy) || null,
+    reviewedBy: toId(offer.reviewedBy) || null
+  };
+};
+
+// Foto de los campos auditables de una suscripción de webhook (nunca incluye la clave)
+const snapshotWebhook = (webhook) => {
+  if (!webhook) return null;
+  return {
+    name: webhook.name,
+    url: webhook.url,
+    events: [...(webhook.events || [])],
+    active: webhook.active !== false,
+    disabledReason: webhook.disabledReason || null
+  };
+};
+
+// Quedarse solo con las claves cuyo valor cambió
+const diff = (before = {}, after = {}) => {
+  const changes = { before: {}, after: {} };
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    const previous = before ? before[key] : undefined;
+    const current = after ? after[key] : undefined;
+    if (JSON.stringify(previous) !== JSON.stringify(current)) {
+      changes.before[key] = previous === undefined ? null : previous;
+      changes.after[key] = current === undefined ? null : current;
+    }
+  });
+
+  return changes;
+};
+
+// Usuarios involucrados en una tarea (responsables, temporal y suplentes)
+const taskParticipants = (...tasks) => {
+  const ids = new Set();
+  tasks.filter(Boolean).forEach(task => {
+    (task.responsibles || []).forEach(r => ids.add(toId(r)));
+    if (task.temporaryResponsible) ids.add(toId(task.temporaryResponsible));
+    (task.standIns || []).forEach(s => ids.add(toId(s)));
+  });
+  return [...ids];
+};
+
+// Registrar un evento de auditoría; un error al auditar nunca corta la operación
+const recordAudit = async ({
+  actor,
+  action,
+  targetTask,
+  targetUser,
+  affectedUsers = [],
+  before,
+  after,
+  metadata
+}) => {
+  try {
+    const changes = before !== undefined || after !== undefined ? diff(before, after) : {};
+
+    const involved = new Set(affectedUsers.filter(Boolean).map(toId));
+    if (targetUser) involved.add(toId(targetUser));
+
+    return await AuditEvent.create({
+      actor: toId(actor),
+      action,
+      targetTask: toId(targetTask),
+      targetUser: toId(targetUser),
+      affectedUsers: [...involved],
+      before: changes.before,
+      after: changes.after,
+      metadata
+    });
+  } catch (error) {
+    console.error(`Error al registrar auditoría (${action}):`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit,
+  snapshotTask,
+  snapshotUser,
+  snapshotFine,
+  snapshotAbsence,
+  snapshotSwapOffer,
+  snapshotWebhook,
+  taskParticipants,
+  diff
+};
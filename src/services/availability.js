@@ -0,0 +1,129 @@
+// services/availability.js
+// Disponibilidad de los usuarios a partir de sus ausencias por rango de fechas
+const Absence = require('../models/absence');
+const { recordAudit, snapshotAbsence } = require('./audit');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Ventana que cubría el antiguo flag availableNextWeek
+const NEXT_WEEK_DAYS = 7;
+
+const LEGACY_ABSENCE_REASON = 'No disponible la próxima semana';
+
+// Ausencias que se superponen con [from, to] (opcionalmente de ciertos usuarios)
+function findAbsences({ from, to, userIds } = {}) {
+  const filter = {};
+  if (to) filter.startDate = { $lte: to };
+  if (from) filter.endDate = { $gte: from };
+  if (userIds) filter.user = { $in: userIds };
+  return Absence.find(filter).sort({ startDate: 1 }).lean();
+}
+
+// ¿El usuario tiene alguna ausencia dentro de [start, end]?
+function isAway(absences, userId, start, end) {
+  return absences.some(absence =>
+    absence.user.toString() === userId.toString() &&
+    new Date(absence.startDate) <= new Date(end) &&
+    new Date(absence.endDate) >= new Date(start)
+  );
+}
+
+// Disponibilidad de cada usuario para los próximos días (compatibilidad con availableNextWeek)
+async function availabilityForNextWeek(userIds, now = new Date()) {
+  const until = new Date(now.getTime() + NEXT_WEEK_DAYS * DAY);
+  const absences = await findAbsences({ from: now, to: until, userIds });
+  return new Map(userIds.map(userId => [
+    userId.toString(),
+    !isAway(absences, userId, now, until)
+  ]));
+}
+
+// Equivalente del antiguo toggle: crear una ausencia de una semana o terminar las vigentes
+async function setAvailableNextWeek(userId, available, { actor, now = new Date() } = {}) {
+  const until = new Date(now.getTime() + NEXT_WEEK_DAYS * DAY);
+
+  if (!available) {
+    const absences = await findAbsences({ from: now, to: until, userIds: [userId] });
+    if (absences.length > 0) return { created: null, ended: [], removed: [] };
+
+    const created = await Absence.create({
+      user: userId,
+      startDate: now,
+      endDate: until,
+      reason: LEGACY_ABSENCE_REASON,
+      createdBy: actor
+    });
+
+    await recordAudit({
+      actor,
+      action: 'absence.created',
+      targetUser: userId,
+      affectedUsers: [userId],
+      after: snapshotAbsence(created),
+      metadata: { absence: created._id.toString(), legacyAvailability: true }
+    });
+
+    return { created, ended: [], removed: [] };
+  }
+
+  // Las ausencias en curso terminan ahora; las que aún no empezaron dentro de la semana se eliminan
+  const absences = await findAbsences({ from: now, to: until, userIds: [userId] });
+  const ended = absences.filter(absence => new Date(absence.startDate) <= now);
+  const removed = absences.filter(absence => new Date(absence.startDate) > now);
+
+  if (ended.length > 0) {
+    await Absence.updateMany(
+      { _id: { $in: ended.map(absence => absence._id) } },
+      { $set: { endDate: now } }
+    );
+  }
+  if (removed.length > 0) {
+    await Absence.deleteMany({ _id: { $in: removed.map(absence => absence._id) } });
+  }
+
+  for (const absence of ended) {
+    await recordAudit({
+      actor,
+      action: 'absence.updated',
+      targetUser: userId,
+      affectedUsers: [userId],
+      before: snapshotAbsence(absence),
+      after: snapshotAbsence({ ...absence, endDate: now }),
+      metadata: { absence: absence._id.toString(), legacyAvailability: true }
+    });
+  }
+  for (const absence of removed) {
+    await recordAudit({
+      actor,
+      action: 'absence.deleted',
+      targetUser: userId,
+      affectedUsers: [userId],
+      before: snapshotAbsence(absence),
+      metadata: { absence: absence._id.toString(), legacyAvailability: true }
+    });
+  }
+
+  return { created: null, ended, removed };
+}
+
+// Semana (lunes a domingo) que contiene la fecha indicada
+function weekRange(date = new Date()) {
+  const from = new Date(date);
+  from.setHours(0, 0, 0, 0);
+  from.setDate(from.getDate() - ((from.getDay() + 6) % 7));
+
+  const to = new Date(from);
+  to.setDate(to.getDate() + 7);
+  to.setMilliseconds(-1);
+
+  return { from, to };
+}
+
+module.exports = {
+  NEXT_WEEK_DAYS,
+  findAbsences,
+  isAway,
+  availabilityForNextWeek,
+  setAvailableNextWeek,
+  weekRange
+};
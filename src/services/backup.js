@@ -0,0 +1,361 @@
+// services/backup.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const User = require('../models/user');
+const Area = require('../models/area');
+const CleaningTask = require('../models/cleaningTask');
+
+const BACKUP_FORMAT = 'organizador-pensiones-backup';
+const BACKUP_VERSION = 1;
+
+// fail: cualquier conflicto bloquea la importación; reuse: se usan los usuarios y áreas ya existentes
+const CONFLICT_STRATEGIES = ['fail', 'reuse'];
+
+// Campos exportados de cada colección (nunca contraseñas, tokens ni restablecimientos pendientes)
+const USER_FIELDS = 'fullName email isAdmin active preferences stats createdAt';
+const AREA_FIELDS = 'name peopleNeeded difficulty frequency fineAmount active createdAt';
+// Las tareas llevan dentro sus solicitudes de intercambio, verificaciones y delegaciones
+const TASK_FIELDS = [
+  'area frequency responsibles startDate endDate completed completedAt temporaryResponsible standIns',
+  'delegations verifiers verificationStatus verifications statsOutcome finesEvaluated finesExempt notifications',
+  'swapRequests responsibilityHistory archived createdAt'
+].join(' ');
+
+// Datos que el respaldo no incluye y que se pierden al restaurar en otra base; se listan en el archivo
+// y en el reporte de importación para que nadie los dé por restaurados
+const EXCLUDED_COLLECTIONS = [
+  { collection: 'absences', description: 'Ausencias registradas (la disponibilidad de cada usuario)' },
+  { collection: 'fines', description: 'Multas y sus pagos o condonaciones (los saldos de multas)' },
+  { collection: 'swapOffers', description: 'Ofertas de tareas y los créditos de favor que generaron' },
+  { collection: 'rotationPeriods', description: 'Periodos de rotación (las tareas se importan sin periodo)' },
+  { collection: 'auditEvents', description: 'Historial de auditoría' }
+];
+
+const toId = (value) => value ? value.toString() : value;
+
+// Generar el archivo de respaldo versionado de toda la casa
+const exportHousehold = async () => {
+  const [users, areas, tasks] = await Promise.all([
+    User.find({}, USER_FIELDS).sort({ createdAt: 1 }).lean(),
+    Area.find({}, AREA_FIELDS).sort({ name: 1 }).lean(),
+    CleaningTask.find({}, TASK_FIELDS).sort({ startDate: 1 }).lean()
+  ]);
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date(),
+    counts: { users: users.length, areas: areas.length, tasks: tasks.length },
+    excluded: EXCLUDED_COLLECTIONS,
+    users,
+    areas,
+    tasks: tasks.map(task => ({
+      ...task,
+      // Las ofertas de intercambio no forman parte del respaldo
+      responsibilityHistory: (task.responsibilityHistory || []).map(({ offer, ...entry }) => entry)
+    }))
+  };
+};
+
+// Errores de estructura que impiden siquiera planificar la importación
+const checkArchive = (archive) => {
+  if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+    return 'El archivo no es un respaldo de la casa';
+  }
+  if (archive.version !== BACKUP_VERSION) {
+    return `Versión de respaldo no soportada: ${archive.version} (se admite la ${BACKUP_VERSION})`;
+  }
+  const missing = ['users', 'areas', 'tasks'].filter(key => !Array.isArray(archive[key]));
+  if (missing.length > 0) {
+    return `Faltan las colecciones: ${missing.join(', ')}`;
+  }
+  return null;
+};
+
+// Traducir los IDs del archivo a los nuevos; las referencias que no existen se registran como error
+const createRemapper = (errors) => (map, value, collection, archiveId, path) => {
+  if (value === undefined || value === null) return value;
+  const id = map.get(toId(value));
+  if (!id) {
+    errors.push({ collection, archiveId, path, message: `Referencia inexistente: ${toId(value)}` });
+  }
+  return id;
+};
+
+// Reunir los errores de validación del esquema; `pathsToSkip` excluye los que consultan la base
+// (el área de las tareas se comprueba contra el archivo y las áreas existentes)
+const schemaErrors = (Model, doc, collection, archiveId, pathsToSkip = []) => {
+  const result = new Model(doc).validateSync({ pathsToSkip });
+  if (!result) return [];
+  return Object.entries(result.errors).map(([path, error]) => ({
+    collection,
+    archiveId,
+    path,
+    message: error.message
+  }));
+};
+
+// Preparar los documentos con IDs nuevos y reportar conflictos y referencias inválidas, sin escribir nada
+const planImport = async (archive, { onConflict = 'fail' } = {}) => {
+  const conflicts = [];
+  const errors = [];
+  const remap = createRemapper(errors);
+
+  const userIds = new Map();
+  const areaNames = new Set();
+  const taskIds = new Map();
+  const docs = { users: [], areas: [], tasks: [] };
+  const summary = {
+    users: { total: archive.users.length, create: 0, reuse: 0 },
+    areas: { total: archive.areas.length, create: 0, reuse: 0 },
+    tasks: { total: archive.tasks.length, create: 0 }
+  };
+
+  const emails = archive.users.map(user => String(user.email || '').trim().toLowerCase()).filter(Boolean);
+  const [existingUsers, existingAreas] = await Promise.all([
+    User.find({ email: { $in: emails } }, 'email fullName').lean(),
+    Area.find({}, 'name').lean()
+  ]);
+  const usersByEmail = new Map(existingUsers.map(user => [user.email, user]));
+  const existingAreaNames = new Set(existingAreas.map(area => area.name));
+
+  // Áreas (la configuración de la casa): se identifican por nombre
+  archive.areas.forEach(area => {
+    const archiveId = toId(area._id);
+    const name = String(area.name || '').trim();
+
+    if (areaNames.has(name)) {
+      errors.push({ collection: 'areas', archiveId, path: 'name', message: `Área repetida en el archivo: ${name}` });
+      return;
+    }
+    areaNames.add(name);
+
+    if (existingAreaNames.has(name)) {
+      conflicts.push({ type: 'duplicate_area', collection: 'areas', archiveId, name });
+      summary.areas.reuse++;
+      return;
+    }
+
+    const { _id, ...fields } = area;
+    const doc = { ...fields, name, _id: new mongoose.Types.ObjectId() };
+    errors.push(...schemaErrors(Area, doc, 'areas', archiveId));
+    docs.areas.push(doc);
+    summary.areas.create++;
+  });
+
+  // Usuarios: primero se asignan los IDs para poder resolver las referencias entre ellos
+  const seenEmails = new Set();
+  const pendingUsers = [];
+  archive.users.forEach(user => {
+    const archiveId = toId(user._id);
+    const email = String(user.email || '').trim().toLowerCase();
+
+    if (!archiveId || userIds.has(archiveId)) {
+      errors.push({ collection: 'users', archiveId, path: '_id', message: 'ID de usuario ausente o repetido' });
+      return;
+    }
+    if (email && seenEmails.has(email)) {
+      errors.push({ collection: 'users', archiveId, path: 'email', message: `Email repetido en el archivo: ${email}` });
+      return;
+    }
+    seenEmails.add(email);
+
+    const existing = usersByEmail.get(email);
+    if (existing) {
+      conflicts.push({
+        type: 'duplicate_email',
+        collection: 'users',
+        archiveId,
+        email,
+        existingId: existing._id.toString(),
+        existingName: existing.fullName
+      });
+      userIds.set(archiveId, existing._id);
+      summary.users.reuse++;
+      return;
+    }
+
+    userIds.set(archiveId, new mongoose.Types.ObjectId());
+    pendingUsers.push({ user, archiveId, email });
+  });
+
+  pendingUsers.forEach(({ user, archiveId, email }) => {
+    const { _id, password, passwordReset, calendarToken, ...fields } = user;
+    const preferences = fields.preferences || {};
+    const doc = {
+      ...fields,
+      email,
+      _id: userIds.get(archiveId),
+      preferences: {
+        ...preferences,
+        avoidPartners: (preferences.avoidPartners || [])
+          .map((id, index) => remap(userIds, id, 'users', archiveId, `preferences.avoidPartners.${index}`))
+      }
+    };
+
+    // Contraseña provisoria solo para validar: la real se genera al importar
+    errors.push(...schemaErrors(User, { ...doc, password: 'provisoria' }, 'users', archiveId));
+    docs.users.push(doc);
+    summary.users.create++;
+  });
+
+  // Tareas: IDs primero, porque las solicitudes de intercambio apuntan a otras tareas del archivo
+  archive.tasks.forEach(task => {
+    const archiveId = toId(task._id);
+    if (!archiveId || taskIds.has(archiveId)) {
+      errors.push({ collection: 'tasks', archiveId, path: '_id', message: 'ID de tarea ausente o repetido' });
+      return;
+    }
+    taskIds.set(archiveId, new mongoose.Types.ObjectId());
+  });
+
+  archive.tasks.forEach(task => {
+    const archiveId = toId(task._id);
+    if (!taskIds.has(archiveId)) return;
+
+    const user = (value, path) => remap(userIds, value, 'tasks', archiveId, path);
+    const users = (values, path) => (values || []).map((value, index) => user(value, `${path}.${index}`));
+    const withoutId = ({ _id, ...fields }) => fields;
+
+    if (!areaNames.has(task.area) && !existingAreaNames.has(task.area)) {
+      errors.push({ collection: 'tasks', archiveId, path: 'area', message: `El área "${task.area}" no existe` });
+    }
+
+    const { _id, rotationPeriod, ...fields } = task;
+    const doc = {
+      ...fields,
+      _id: taskIds.get(archiveId),
+      responsibles: users(task.responsibles, 'responsibles'),
+      temporaryResponsible: user(task.temporaryResponsible, 'temporaryResponsible'),
+      standIns: users(task.standIns, 'standIns'),
+      verifiers: users(task.verifiers, 'verifiers'),
+      verifications: (task.verifications || []).map((verification, index) => ({
+        ...withoutId(verification),
+        verifier: user(verification.verifier, `verifications.${index}.verifier`)
+      })),
+      swapRequests: (task.swapRequests || []).map((request, index) => ({
+        ...withoutId(request),
+        requestedBy: user(request.requestedBy, `swapRequests.${index}.requestedBy`),
+        targetTask: remap(taskIds, request.targetTask, 'tasks', archiveId, `swapRequests.${index}.targetTask`)
+      })),
+      delegations: (task.delegations || []).map((delegation, index) => ({
+        ...withoutId(delegation),
+        delegator: user(delegation.delegator, `delegations.${index}.delegator`),
+        delegate: user(delegation.delegate, `delegations.${index}.delegate`),
+        revokedBy: user(delegation.revokedBy, `delegations.${index}.revokedBy`)
+      })),
+      responsibilityHistory: (task.responsibilityHistory || []).map(({ offer, ...entry }, index) => ({
+        ...withoutId(entry),
+        from: user(entry.from, `responsibilityHistory.${index}.from`),
+        to: user(entry.to, `responsibilityHistory.${index}.to`),
+        changedBy: user(entry.changedBy, `responsibilityHistory.${index}.changedBy`)
+      }))
+    };
+
+    errors.push(...schemaErrors(CleaningTask, doc, 'tasks', archiveId, ['area']));
+    docs.tasks.push(doc);
+    summary.tasks.create++;
+  });
+
+  // Una referencia inexistente también falla como campo requerido: se informa una sola vez
+  const reported = new Set();
+  const uniqueErrors = errors.filter(error => {
+    const key = `${error.collection}:${error.archiveId}:${error.path}`;
+    if (reported.has(key)) return false;
+    reported.add(key);
+    return true;
+  });
+
+  const blocked = uniqueErrors.length > 0 || (conflicts.length > 0 && onConflict !== 'reuse');
+
+  return {
+    docs,
+    report: { onConflict, canImport: !blocked, summary, conflicts, errors: uniqueErrors, excluded: EXCLUDED_COLLECTIONS }
+  };
+};
+
+// Borrar lo insertado por una importación fallida y comprobar que no quedó nada
+// Devuelve los IDs que siguen en la base por colección, o null si la limpieza fue completa
+const cleanupImport = async (docs) => {
+  const targets = { tasks: CleaningTask, users: User, areas: Area };
+  const leftovers = {};
+
+  for (const [collection, Model] of Object.entries(targets)) {
+    const ids = docs[collection].map(doc => doc._id);
+    if (ids.length === 0) continue;
+
+    try {
+      await Model.deleteMany({ _id: { $in: ids } });
+      const remaining = await Model.find({ _id: { $in: ids } }, '_id').lean();
+      if (remaining.length > 0) leftovers[collection] = remaining.map(doc => doc._id.toString());
+    } catch (error) {
+      // Sin poder borrar ni consultar, cualquiera de los IDs pudo haber quedado
+      console.error(`Error al limpiar ${collection} de la importación:`, error.message);
+      leftovers[collection] = ids.map(id => id.toString());
+    }
+  }
+
+  return Object.keys(leftovers).length > 0 ? leftovers : null;
+};
+
+// Importar un respaldo con IDs nuevos; con dryRun solo se devuelve el reporte
+const importHousehold = async (archive, { dryRun = false, onConflict = 'fail' } = {}) => {
+  const archiveError = checkArchive(archive);
+  if (archiveError) {
+    return {
+      dryRun,
+      imported: false,
+      report: {
+        onConflict,
+        canImport: false,
+        summary: null,
+        conflicts: [],
+        errors: [{ message: archiveError }],
+        excluded: EXCLUDED_COLLECTIONS
+      }
+    };
+  }
+
+  const { docs, report } = await planImport(archive, { onConflict });
+  if (dryRun || !report.canImport) {
+    return { dryRun, imported: false, report };
+  }
+
+  // Sin hash exportado: cada usuario recibe una contraseña aleatoria y debe restablecerla
+  for (const doc of docs.users) {
+    doc.password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+  }
+
+  // Sin transacciones: si algo falla se borra lo ya insertado. Si la limpieza tampoco funciona, el error
+  // lleva en `leftovers` los IDs que quedaron en la base para borrarlos a mano
+  try {
+    await Area.insertMany(docs.areas);
+    await User.insertMany(docs.users);
+    await CleaningTask.insertMany(docs.tasks);
+  } catch (error) {
+    const leftovers = await cleanupImport(docs);
+    if (leftovers) {
+      console.error('La importación fallida dejó documentos en la base:', JSON.stringify(leftovers));
+      error.leftovers = leftovers;
+    }
+    throw error;
+  }
+
+  return {
+    dryRun,
+    imported: true,
+    report,
+    // Los usuarios creados deben restablecer su contraseña para poder ingresar
+    createdUsers: docs.users.map(doc => ({ _id: doc._id, email: doc.email }))
+  };
+};
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  CONFLICT_STRATEGIES,
+  EXCLUDED_COLLECTIONS,
+  exportHousehold,
+  importHousehold
+};
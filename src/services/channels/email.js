@@ -0,0 +1,39 @@
+// services/channels/email.js
+// Canal de notificaciones por correo electrónico (SMTP)
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD
+      } : undefined
+    });
+  }
+  return transporter;
+};
+
+const emailChannel = {
+  name: 'email',
+
+  async send({ to, subject, text }) {
+    if (!to.email) return { skipped: true };
+
+    await getTransporter().sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: to.email,
+      subject,
+      text
+    });
+
+    return { delivered: true };
+  }
+};
+
+module.exports = emailChannel;
@@ -0,0 +1,19 @@
+// services/channels/memory.js
+// Transporte falso en memoria para pruebas y desarrollo local
+const sent = [];
+
+const memoryChannel = {
+  name: 'memory',
+  sent,
+
+  async send(message) {
+    sent.push({ ...message, sentAt: new Date() });
+    return { delivered: true };
+  },
+
+  clear() {
+    sent.length = 0;
+  }
+};
+
+module.exports = memoryChannel;
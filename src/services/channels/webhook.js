@@ -0,0 +1,31 @@
+// services/channels/webhook.js
+// Canal genérico: envía cada notificación como JSON a una URL configurada
+const postJson = require('../../utils/postJson');
+
+const webhookChannel = {
+  name: 'webhook',
+
+  async send({ to, subject, text, data }) {
+    const url = process.env.NOTIFICATION_WEBHOOK_URL;
+    if (!url) return { skipped: true };
+
+    const response = await postJson(url, {
+      subject,
+      text,
+      recipient: {
+        id: to._id,
+        fullName: to.fullName,
+        email: to.email
+      },
+      data
+    });
+
+    if (response.status >= 400) {
+      throw new Error(`El webhook respondió con estado ${response.status}`);
+    }
+
+    return { delivered: true };
+  }
+};
+
+module.exports = webhookChannel;
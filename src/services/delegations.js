@@ -0,0 +1,154 @@
+// services/delegations.js
+// Delegaciones de tareas: qué suplente está vigente y a quién se le acredita el resultado
+const mongoose = require('mongoose');
+const CleaningTask = require('../models/cleaningTask');
+const { recordAudit, snapshotTask, taskParticipants } = require('./audit');
+const { publishTaskReassigned } = require('./events');
+
+// Estados en los que la delegación sigue abierta
+const DELEGATION_OPEN_STATUSES = ['proposed', 'accepted'];
+
+const idOf = (value) => value ? (value._id || value).toString() : null;
+
+// ¿El usuario es uno de los responsables asignados por la rotación (no suplente)?
+function isAssignedResponsible(task, userId) {
+  const id = userId.toString();
+  return (task.responsibles || []).some(r => idOf(r) === id);
+}
+
+// Delegaciones aceptadas cuyo rango incluye `now` (a lo sumo una por responsable que delegó)
+function activeDelegations(task, now = new Date()) {
+  return (task.delegations || []).filter(delegation =>
+    delegation.status === 'accepted' &&
+    new Date(delegation.startDate) <= now &&
+    new Date(delegation.endDate) > now &&
+    isAssignedResponsible(task, delegation.delegator)
+  );
+}
+
+// Suplentes que cubren la tarea en `now`, calculados desde las delegaciones (no espera a que se
+// sincronice standIns); en las tareas anteriores a las delegaciones, el responsable temporal
+function currentStandIns(task, now = new Date()) {
+  if ((task.delegations || []).length === 0) {
+    return task.temporaryResponsible ? [idOf(task.temporaryResponsible)] : [];
+  }
+  return [...new Set(activeDelegations(task, now).map(delegation => idOf(delegation.delegate)))];
+}
+
+// ¿El usuario cubre ahora la tarea como suplente?
+function isStandIn(task, userId, now = new Date()) {
+  return currentStandIns(task, now).includes(userId.toString());
+}
+
+// Momento que decide el resultado de la tarea: cuando se completó o, si no, su vencimiento
+const settlementTime = (task) => new Date(task.completed && task.completedAt ? task.completedAt : task.endDate);
+
+// Suplentes a los que se acredita la tarea: responsable -> suplente. Solo cuenta la delegación aceptada
+// que cubría el momento en que se completó o venció la tarea (cubrir un día de siete no alcanza)
+function acceptedStandIns(task) {
+  const at = settlementTime(task);
+  const standIns = new Map();
+  (task.delegations || [])
+    .filter(delegation =>
+      delegation.status === 'accepted' &&
+      new Date(delegation.startDate) <= at &&
+      new Date(delegation.endDate) >= at
+    )
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+    .forEach(delegation => standIns.set(idOf(delegation.delegator), idOf(delegation.delegate)));
+  return standIns;
+}
+
+// Revocar las delegaciones de quien ya no es responsable y sincronizar standIns y temporaryResponsible
+// Modifica el documento; devuelve si hubo cambios y las delegaciones revocadas
+function reconcileDelegations(task, now = new Date()) {
+  const revoked = [];
+
+  (task.delegations || []).forEach(delegation => {
+    if (DELEGATION_OPEN_STATUSES.includes(delegation.status) && !isAssignedResponsible(task, delegation.delegator)) {
+      delegation.status = 'revoked';
+      delegation.revokedReason = 'responsible_changed';
+      delegation.revokedAt = now;
+      revoked.push(delegation);
+    }
+  });
+
+  // Las tareas sin delegaciones conservan su temporaryResponsible
+  let changed = revoked.length > 0;
+  if ((task.delegations || []).length > 0) {
+    // Un suplente por cada responsable que delegó; temporaryResponsible guarda el primero
+    const standIns = currentStandIns(task, now);
+    if (standIns.join() !== (task.standIns || []).map(idOf).join()) {
+      task.standIns = standIns;
+      changed = true;
+    }
+    if (idOf(task.temporaryResponsible) !== (standIns[0] || null)) {
+      task.temporaryResponsible = standIns[0] || undefined;
+      changed = true;
+    }
+  }
+
+  return { changed, revoked };
+}
+
+// Si cambiaron los suplentes respecto de la foto `before`, quiénes dejaron de serlo; null si no cambiaron
+function standInsLeaving(before, task) {
+  const after = snapshotTask(task).standIns;
+  if (before.standIns.join() === after.join()) return null;
+  return before.standIns.filter(id => !after.includes(id));
+}
+
+// Aplicar las delegaciones que empiezan o terminan y revocar las que quedaron sin responsable
+// Corre con el cron diario y antes de leer o modificar tareas, para que un cambio a mitad del día
+// valga en el momento (los IDs inválidos de `taskIds` se ignoran)
+async function refreshDelegations({ now = new Date(), taskIds, actor } = {}) {
+  const filter = { archived: { $ne: true }, 'delegations.0': { $exists: true } };
+  if (taskIds) {
+    const ids = taskIds.filter(id => id && mongoose.Types.ObjectId.isValid(id));
+    if (ids.length === 0) return { updated: 0 };
+    filter._id = { $in: ids };
+  }
+
+  const tasks = await CleaningTask.find(filter);
+  let updated = 0;
+
+  for (const task of tasks) {
+    const before = snapshotTask(task);
+    const { changed, revoked } = reconcileDelegations(task, now);
+    if (!changed) continue;
+
+    await task.save();
+    updated++;
+
+    await recordAudit({
+      actor,
+      action: revoked.length > 0 ? 'delegation.revoked' : 'delegation.synced',
+      targetTask: task._id,
+      affectedUsers: [...taskParticipants(task), ...revoked.map(delegation => delegation.delegate)],
+      before,
+      after: snapshotTask(task),
+      metadata: revoked.length > 0
+        ? { delegations: revoked.map(delegation => delegation._id.toString()), reason: 'responsible_changed' }
+        : undefined
+    });
+
+    const previousStandIns = standInsLeaving(before, task);
+    if (previousStandIns) {
+      await publishTaskReassigned(task, { actor, reason: 'delegation', previousUsers: previousStandIns });
+    }
+  }
+
+  return { updated };
+}
+
+module.exports = {
+  DELEGATION_OPEN_STATUSES,
+  isAssignedResponsible,
+  activeDelegations,
+  currentStandIns,
+  isStandIn,
+  acceptedStandIns,
+  reconcileDelegations,
+  standInsLeaving,
+  refreshDelegations
+};
@@ -0,0 +1,145 @@
+// services/events.js
+// Eventos en tiempo real: se guardan en MongoDB para reanudar con Last-Event-ID y se
+// reparten en proceso a las conexiones SSE abiertas
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const TaskEvent = require('../models/taskEvent');
+const { taskParticipants } = require('./audit');
+const { dispatchWebhooks } = require('./webhooks');
+
+// Horas durante las que un cliente puede reanudar el stream desde un evento anterior
+const EVENTS_RETENTION_HOURS = parseInt(process.env.EVENTS_RETENTION_HOURS) || 24;
+
+// Máximo de eventos reenviados al reconectar; si faltan más, el cliente debe recargar
+const EVENTS_REPLAY_LIMIT = parseInt(process.env.EVENTS_REPLAY_LIMIT) || 200;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const toId = (value) => value ? (value._id || value).toString() : null;
+
+// Publicar un evento; un error al publicar nunca corta la operación que lo originó
+async function publishEvent({ type, actor, task, users = [], broadcast = false, data }) {
+  try {
+    const event = await TaskEvent.create({
+      type,
+      actor: toId(actor),
+      task: toId(task),
+      users: [...new Set(users.filter(Boolean).map(toId))],
+      broadcast,
+      data,
+      expiresAt: new Date(Date.now() + EVENTS_RETENTION_HOURS * 60 * 60 * 1000)
+    });
+
+    bus.emit('event', event.toObject());
+
+    // Los webhooks fallan por separado: el evento ya quedó publicado
+    await dispatchWebhooks(serializeEvent(event)).catch(error => {
+      console.error(`Error al encolar webhooks (${type}):`, error.message);
+    });
+    return event;
+  } catch (error) {
+    console.error(`Error al publicar el evento (${type}):`, error.message);
+    return null;
+  }
+}
+
+// Avisar a todos que cambiaron los responsables de una tarea (intercambio, oferta o delegación)
+function publishTaskReassigned(task, { actor, reason, previousUsers = [] }) {
+  return publishEvent({
+    type: 'task.reassigned',
+    actor,
+    task: task._id,
+    users: [...previousUsers, ...taskParticipants(task)],
+    broadcast: true,
+    data: {
+      area: task.area,
+      reason,
+      responsibles: (task.responsibles || []).map(toId),
+      temporaryResponsible: toId(task.temporaryResponsible),
+      standIns: (task.standIns || []).map(toId)
+    }
+  });
+}
+
+// Avisar a quien pidió el intercambio y a los responsables de ambas tareas
+function publishSwapEvent(type, task, request, { actor, users = [], reason } = {}) {
+  return publishEvent({
+    type,
+    actor,
+    task: task._id,
+    users: [request.requestedBy, ...taskParticipants(task), ...users],
+    data: {
+      swapRequest: request._id.toString(),
+      area: task.area,
+      offeredTask: toId(request.targetTask),
+      status: request.status,
+      reason,
+      expiresAt: request.expiresAt
+    }
+  });
+}
+
+// Escuchar los eventos publicados por este proceso; devuelve la función para dejar de escuchar
+function subscribe(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+// ¿El usuario puede ver el evento con los filtros pedidos (tipos y solo los propios)?
+function isVisible(event, user, { types, mine } = {}) {
+  if (types && types.length > 0 && !types.includes(event.type)) return false;
+
+  const involved = (event.users || []).some(id => id.toString() === user.id);
+  if (mine) return involved;
+  return involved || !!event.broadcast || !!user.isAdmin;
+}
+
+// Consulta equivalente a isVisible para buscar eventos guardados
+function visibilityFilter(user, { types, mine } = {}) {
+  const filter = {};
+  if (types && types.length > 0) filter.type = { $in: types };
+
+  const userId = new mongoose.Types.ObjectId(user.id);
+  if (mine) {
+    filter.users = userId;
+  } else if (!user.isAdmin) {
+    filter.$or = [{ broadcast: true }, { users: userId }];
+  }
+
+  return filter;
+}
+
+// Eventos visibles posteriores a `afterId`, en orden de publicación
+function findEventsAfter(afterId, user, options, limit = EVENTS_REPLAY_LIMIT) {
+  return TaskEvent.find({ ...visibilityFilter(user, options), _id: { $gt: afterId } })
+    .sort({ _id: 1 })
+    .limit(limit)
+    .lean();
+}
+
+// Forma pública del evento que recibe el cliente
+function serializeEvent(event) {
+  return {
+    id: event._id.toString(),
+    type: event.type,
+    actor: toId(event.actor),
+    task: toId(event.task),
+    users: (event.users || []).map(toId),
+    data: event.data || {},
+    createdAt: event.createdAt
+  };
+}
+
+module.exports = {
+  EVENTS_RETENTION_HOURS,
+  EVENTS_REPLAY_LIMIT,
+  publishEvent,
+  publishTaskReassigned,
+  publishSwapEvent,
+  subscribe,
+  isVisible,
+  visibilityFilter,
+  findEventsAfter,
+  serializeEvent
+};
@@ -0,0 +1,120 @@
+// services/fines.js
+// Emisión de multas según la política de cada área y saldo de cada usuario
+const mongoose = require('mongoose');
+const CleaningTask = require('../models/cleaningTask');
+const Area = require('../models/area');
+const Fine = require('../models/fine');
+const { classifyTaskOutcome } = require('./rotation');
+const { creditedUsers } = require('./stats');
+const { recordAudit, snapshotFine } = require('./audit');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Solo se evalúan tareas vencidas en los últimos N días (evita multar historial antiguo)
+const FINES_LOOKBACK_DAYS = parseInt(process.env.FINES_LOOKBACK_DAYS) || 14;
+
+// Motivos de multa según el resultado de classifyTaskOutcome
+const FINE_REASONS = ['incomplete', 'rejected'];
+
+// Evaluar las tareas vencidas y emitir las multas correspondientes
+async function issueFines({ now = new Date() } = {}) {
+  const [areas, tasks] = await Promise.all([
+    Area.find({}, 'name fineAmount').lean(),
+    CleaningTask.find({
+      finesEvaluated: { $ne: true },
+      finesExempt: { $ne: true },
+      endDate: { $lte: now, $gte: new Date(now.getTime() - FINES_LOOKBACK_DAYS * DAY) }
+    }).lean()
+  ]);
+
+  const amountsByArea = new Map(areas.map(area => [area.name, area.fineAmount || 0]));
+  const summary = { evaluated: 0, issued: 0, waiting: 0 };
+
+  for (const task of tasks) {
+    // Completada pero sin verificar: se vuelve a evaluar en la próxima ejecución
+    const outcome = classifyTaskOutcome(task);
+    if (!outcome) {
+      summary.waiting++;
+      continue;
+    }
+
+    // Reclamar la tarea de forma atómica para no emitir multas dos veces
+    const claimed = await CleaningTask.updateOne(
+      { _id: task._id, finesEvaluated: { $ne: true } },
+      { $set: { finesEvaluated: true } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+    summary.evaluated++;
+
+    const amount = amountsByArea.get(task.area) || 0;
+    if (!FINE_REASONS.includes(outcome) || amount <= 0) continue;
+
+    for (const userId of creditedUsers(task)) {
+      const fine = await Fine.findOneAndUpdate(
+        { task: task._id, user: userId },
+        {
+          $setOnInsert: {
+            area: task.area,
+            reason: outcome,
+            amount,
+            issuedAt: now
+          }
+        },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+      if (fine.lastErrorObject && fine.lastErrorObject.updatedExisting) continue;
+
+      summary.issued++;
+      await recordAudit({
+        action: 'fine.issued',
+        targetTask: task._id,
+        targetUser: userId,
+        affectedUsers: [userId],
+        after: snapshotFine(fine.value),
+        metadata: { fine: fine.value._id.toString() }
+      });
+    }
+  }
+
+  console.log(`Multas: ${summary.issued} emitidas en ${summary.evaluated} tareas evaluadas (${summary.waiting} esperando verificación)`);
+  return summary;
+}
+
+// Saldo de multas por usuario: pendiente (issued), pagado y condonado
+async function getBalances(userIds) {
+  const match = {};
+  if (userIds) {
+    match.user = { $in: userIds.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  const rows = await Fine.aggregate([
+    { $match: match },
+    { $group: { _id: { user: '$user', status: '$status' }, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+
+  const balances = {};
+  rows.forEach(row => {
+    const userId = row._id.user.toString();
+    balances[userId] = balances[userId] || {
+      outstanding: 0,
+      paid: 0,
+      waived: 0,
+      outstandingCount: 0
+    };
+
+    if (row._id.status === 'issued') {
+      balances[userId].outstanding += row.amount;
+      balances[userId].outstandingCount += row.count;
+    } else {
+      balances[userId][row._id.status] += row.amount;
+    }
+  });
+
+  return balances;
+}
+
+module.exports = {
+  FINE_REASONS,
+  issueFines,
+  getBalances
+};
@@ -0,0 +1,80 @@
+// services/loginGuard.js
+// Protección contra fuerza bruta: bloqueo progresivo por cuenta y por IP
+const LoginAttempt = require('../models/loginAttempt');
+
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const MAX_LOGIN_ATTEMPTS_PER_IP = parseInt(process.env.MAX_LOGIN_ATTEMPTS_PER_IP) || MAX_LOGIN_ATTEMPTS * 4;
+// Duración del primer bloqueo (segundos); cada bloqueo siguiente dura el doble
+const LOGIN_TIMEOUT = parseInt(process.env.LOGIN_TIMEOUT) || 300;
+const MAX_LOCK_SECONDS = 24 * 60 * 60;
+const MEMORY_SECONDS = 24 * 60 * 60;
+
+const accountKey = (email) => `account:${String(email || '').trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || 'desconocida'}`;
+
+const keysFor = (email, ip) => [
+  { key: accountKey(email), max: MAX_LOGIN_ATTEMPTS, extra: { lastIp: ip } },
+  { key: ipKey(ip), max: MAX_LOGIN_ATTEMPTS_PER_IP }
+];
+
+// Segundos restantes del bloqueo más largo vigente (0 si no hay bloqueo)
+async function getLockRemaining(email, ip, now = new Date()) {
+  const attempts = await LoginAttempt.find({
+    key: { $in: keysFor(email, ip).map(entry => entry.key) },
+    lockedUntil: { $gt: now }
+  }).lean();
+
+  return attempts.reduce((remaining, attempt) =>
+    Math.max(remaining, Math.ceil((attempt.lockedUntil - now) / 1000)), 0);
+}
+
+// Registrar un intento fallido y bloquear si se alcanzó el máximo
+async function registerFailure(email, ip, now = new Date()) {
+  for (const { key, max, extra } of keysFor(email, ip)) {
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { ...extra, lastFailureAt: now, expiresAt: new Date(now.getTime() + MEMORY_SECONDS * 1000) }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    if (attempt.failures >= max) {
+      const lockSeconds = Math.min(LOGIN_TIMEOUT * 2 ** attempt.lockCount, MAX_LOCK_SECONDS);
+      await LoginAttempt.updateOne(
+        { _id: attempt._id },
+        {
+          $set: { failures: 0, lockedUntil: new Date(now.getTime() + lockSeconds * 1000) },
+          $inc: { lockCount: 1 }
+        }
+      );
+      console.warn(`Inicio de sesión bloqueado para ${key} durante ${lockSeconds} segundos`);
+    }
+  }
+}
+
+// Olvidar los fallos de una cuenta (login exitoso)
+const clearAccount = (email) => LoginAttempt.deleteOne({ key: accountKey(email) });
+
+// Olvidar los fallos de una IP (desbloqueo manual: en una pensión todos comparten la IP pública)
+const clearIp = (ip) => LoginAttempt.deleteOne({ key: ipKey(ip) });
+
+// Desbloqueo manual de una cuenta: también libera la IP de su último fallo
+async function unlockAccount(email) {
+  const attempt = await LoginAttempt.findOneAndDelete({ key: accountKey(email) });
+  const ipResult = attempt?.lastIp ? await clearIp(attempt.lastIp) : { deletedCount: 0 };
+
+  return {
+    hadLock: !!attempt,
+    clearedIp: ipResult.deletedCount > 0 ? attempt.lastIp : null
+  };
+}
+
+module.exports = {
+  getLockRemaining,
+  registerFailure,
+  clearAccount,
+  clearIp,
+  unlockAccount
+};
@@ -0,0 +1,31 @@
+// services/mailer.js
+// Envío de correos transaccionales (p. ej. restablecer contraseña) por un único transporte
+const emailChannel = require('./channels/email');
+const memoryChannel = require('./channels/memory');
+
+const transports = {
+  email: emailChannel,
+  memory: memoryChannel
+};
+
+// Permite reemplazar o agregar transportes (p. ej. uno falso en pruebas)
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+const getTransport = () => {
+  const name = process.env.MAILER_TRANSPORT || 'email';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Transporte de correo desconocido: ${name}`);
+  }
+  return transport;
+};
+
+// to: { _id, fullName, email }
+const sendMail = (to, { subject, text, data = {} }) => getTransport().send({ to, subject, text, data });
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
@@ -0,0 +1,49 @@
+// services/notifier.js
+// Registro de canales de notificación; los activos se eligen con NOTIFICATION_CHANNELS
+const channels = {
+  email: require('./channels/email'),
+  webhook: require('./channels/webhook'),
+  memory: require('./channels/memory')
+};
+
+// Permite agregar canales nuevos sin modificar este módulo
+const registerChannel = (channel) => {
+  channels[channel.name] = channel;
+};
+
+const getActiveChannels = () => {
+  const names = (process.env.NOTIFICATION_CHANNELS || 'email')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return names.map(name => {
+    if (!channels[name]) {
+      console.warn(`Canal de notificación desconocido: ${name}`);
+    }
+    return channels[name];
+  }).filter(Boolean);
+};
+
+// Enviar un mensaje a un usuario por todos los canales activos
+const notify = async (to, { subject, text, data = {} }) => {
+  const results = [];
+
+  for (const channel of getActiveChannels()) {
+    try {
+      const result = await channel.send({ to, subject, text, data });
+      results.push({ channel: channel.name, ...result });
+    } catch (error) {
+      console.error(`Error al notificar por ${channel.name}:`, error.message);
+      results.push({ channel: channel.name, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  registerChannel,
+  getActiveChannels,
+  notify
+};
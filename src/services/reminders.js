@@ -0,0 +1,151 @@
+// services/reminders.js
+// Envío de recordatorios usando los flags de cleaningTask.notifications
+const CleaningTask = require('../models/cleaningTask');
+const { notify } = require('./notifier');
+const { refreshDelegations } = require('./delegations');
+
+const HOUR = 60 * 60 * 1000;
+
+// Hitos de recordatorio en orden de urgencia
+const MILESTONES = [
+  { flag: 'start', offset: null, label: 'comenzó' },
+  { flag: 'hours48', offset: 48 * HOUR, label: 'vence en 48 horas' },
+  { flag: 'hours24', offset: 24 * HOUR, label: 'vence en 24 horas' }
+];
+
+const formatDate = (date) => new Date(date).toLocaleString('es-AR', {
+  dateStyle: 'full',
+  timeStyle: 'short',
+  timeZone: process.env.TZ || 'America/Argentina/Buenos_Aires'
+});
+
+// Hitos alcanzados y pendientes de una tarea; si hay varios de plazo se envía solo el más urgente
+function getPendingMilestones(task, now = new Date()) {
+  const endDate = new Date(task.endDate);
+  const flags = task.notifications || {};
+  const pending = [];
+
+  if (!flags.start && new Date(task.startDate) <= now) {
+    pending.push({ ...MILESTONES[0], send: true });
+  }
+
+  const reachedDeadlines = MILESTONES
+    .filter(milestone => milestone.offset && endDate.getTime() - milestone.offset <= now.getTime())
+    .filter(milestone => !flags[milestone.flag]);
+
+  reachedDeadlines.forEach((milestone, index) => {
+    pending.push({ ...milestone, send: index === reachedDeadlines.length - 1 });
+  });
+
+  return pending;
+}
+
+// Construir el mensaje de recordatorio para una tarea
+function buildReminder(task, milestone, recipient) {
+  const isTemporary = [task.temporaryResponsible, ...(task.standIns || [])]
+    .some(standIn => standIn && standIn._id.toString() === recipient._id.toString());
+
+  const subject = `Recordatorio: ${task.area} ${milestone.label}`;
+  const text = [
+    `Hola ${recipient.fullName},`,
+    '',
+    `La tarea "${task.area}" ${milestone.label}.`,
+    `Período: ${formatDate(task.startDate)} - ${formatDate(task.endDate)}`,
+    isTemporary ? 'Estás asignado como responsable temporal.' : null
+  ].filter(line => line !== null).join('\n');
+
+  return {
+    subject,
+    text,
+    data: {
+      type: 'task.reminder',
+      milestone: milestone.flag,
+      task: {
+        id: task._id,
+        area: task.area,
+        startDate: task.startDate,
+        endDate: task.endDate
+      }
+    }
+  };
+}
+
+// Buscar tareas con hitos alcanzados, enviar recordatorios y marcar los flags
+async function dispatchReminders({ now = new Date() } = {}) {
+  // Los suplentes que empezaron o terminaron desde la última sincronización reciben (o no) el aviso
+  await refreshDelegations({ now });
+
+  const tasks = await CleaningTask.find({
+    archived: { $ne: true },
+    completed: { $ne: true },
+    startDate: { $lte: now },
+    endDate: { $gt: now },
+    $or: [
+      { 'notifications.start': { $ne: true } },
+      { 'notifications.hours48': { $ne: true } },
+      { 'notifications.hours24': { $ne: true } }
+    ]
+  }).populate('responsibles', 'fullName email')
+    .populate('temporaryResponsible', 'fullName email')
+    .populate('standIns', 'fullName email');
+
+  const summary = { tasks: 0, sent: 0, failed: 0 };
+
+  for (const task of tasks) {
+    const pending = getPendingMilestones(task, now);
+    if (pending.length === 0) continue;
+
+    // Reclamar los flags de forma atómica para que otra ejecución no los envíe de nuevo
+    const claimFilter = { _id: task._id };
+    const claimUpdate = {};
+    pending.forEach(milestone => {
+      claimFilter[`notifications.${milestone.flag}`] = { $ne: true };
+      claimUpdate[`notifications.${milestone.flag}`] = true;
+    });
+
+    const claimed = await CleaningTask.updateOne(claimFilter, { $set: claimUpdate });
+    if (claimed.modifiedCount === 0) continue;
+
+    summary.tasks++;
+
+    // Responsables y suplentes (el responsable temporal suele ser también uno de los suplentes)
+    const recipients = [...task.responsibles];
+    [task.temporaryResponsible, ...(task.standIns || [])].forEach(standIn => {
+      if (standIn && !recipients.some(r => r._id.toString() === standIn._id.toString())) {
+        recipients.push(standIn);
+      }
+    });
+
+    let delivered = 0;
+    let failed = 0;
+    for (const milestone of pending.filter(m => m.send)) {
+      for (const recipient of recipients) {
+        const results = await notify(recipient, buildReminder(task, milestone, recipient));
+        if (results.some(result => result.delivered)) {
+          delivered++;
+          summary.sent++;
+        } else if (results.some(result => result.error)) {
+          failed++;
+          summary.failed++;
+        }
+      }
+    }
+
+    // Si no se pudo entregar nada, liberar los flags para reintentar en la próxima ejecución
+    if (delivered === 0 && failed > 0) {
+      const release = {};
+      pending.forEach(milestone => { release[`notifications.${milestone.flag}`] = false; });
+      await CleaningTask.updateOne({ _id: task._id }, { $set: release });
+    }
+  }
+
+  console.log(`Recordatorios: ${summary.sent} enviados, ${summary.failed} fallidos en ${summary.tasks} tareas`);
+  return summary;
+}
+
+module.exports = {
+  MILESTONES,
+  getPendingMilestones,
+  buildReminder,
+  dispatchReminders
+};
@@ -0,0 +1,319 @@
+// services/reports.js
+// Reporte de cumplimiento: quién limpió qué, si llegó a tiempo y qué dijeron los verificadores
+const CleaningTask = require('../models/cleaningTask');
+const User = require('../models/user');
+const { acceptedStandIns } = require('./delegations');
+const { buildCsv } = require('../utils/csv');
+const { buildPdf, wrapText, CHARS_PER_LINE } = require('../utils/pdf');
+
+const HOUR = 60 * 60 * 1000;
+
+// Zona horaria de las fechas del reporte y de los límites de cada mes
+const REPORT_TIMEZONE = process.env.TZ || 'America/Argentina/Buenos_Aires';
+
+const TIMING_LABELS = {
+  on_time: 'A tiempo',
+  late: 'Tarde',
+  not_completed: 'Sin completar',
+  in_progress: 'En curso'
+};
+
+const VERIFICATION_LABELS = {
+  pending: 'Pendiente',
+  in_progress: 'En curso',
+  approved: 'Aprobada',
+  rejected: 'Rechazada'
+};
+
+const toId = (value) => value ? (value._id || value).toString() : null;
+
+// Desfase (ms) de la zona horaria respecto de UTC en un instante dado
+function timeZoneOffset(date, timeZone = REPORT_TIMEZONE) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Rango del mes YYYY-MM (desde el primer instante hasta el último) en la zona horaria del reporte
+function monthRange(month, timeZone = REPORT_TIMEZONE) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const start = new Date(Date.UTC(year, monthNumber - 1, 1));
+  const end = new Date(Date.UTC(year, monthNumber, 1));
+
+  return {
+    from: new Date(start.getTime() - timeZoneOffset(start, timeZone)),
+    to: new Date(end.getTime() - timeZoneOffset(end, timeZone) - 1)
+  };
+}
+
+// Fecha y hora legibles en la zona del reporte
+const formatDateTime = (date) => date
+  ? new Date(date).toLocaleString('es-AR', {
+    timeZone: REPORT_TIMEZONE,
+    hourCycle: 'h23',
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+  : '';
+
+const formatDay = (date) => date
+  ? new Date(date).toLocaleDateString('es-AR', { timeZone: REPORT_TIMEZONE, day: '2-digit', month: '2-digit', year: 'numeric' })
+  : '';
+
+// Entrega respecto del vencimiento: horas positivas = tarde, negativas = antes de vencer
+function deliveryTiming(task, now = new Date()) {
+  if (!task.completed || !task.completedAt) {
+    return { timing: new Date(task.endDate) > now ? 'in_progress' : 'not_completed', hoursFromDeadline: null };
+  }
+
+  const difference = new Date(task.completedAt) - new Date(task.endDate);
+  return {
+    timing: difference <= 0 ? 'on_time' : 'late',
+    hoursFromDeadline: Math.round(difference / HOUR * 10) / 10
+  };
+}
+
+const emptySummary = () => ({
+  assigned: 0,
+  completed: 0,
+  onTime: 0,
+  late: 0,
+  notCompleted: 0,
+  inProgress: 0,
+  approved: 0,
+  rejected: 0
+});
+
+// Sumar una fila a los contadores
+const addToSummary = (summary, row) => {
+  summary.assigned++;
+  if (row.completed) summary.completed++;
+  if (row.timing === 'on_time') summary.onTime++;
+  else if (row.timing === 'late') summary.late++;
+  else if (row.timing === 'not_completed') summary.notCompleted++;
+  else summary.inProgress++;
+  if (row.verificationStatus === 'approved') summary.approved++;
+  else if (row.verificationStatus === 'rejected') summary.rejected++;
+};
+
+// a tiempo / (completadas + sin completar); null si ninguna tarea terminó
+const withRates = (summary) => {
+  const evaluable = summary.completed + summary.notCompleted;
+  const verified = summary.approved + summary.rejected;
+  return {
+    ...summary,
+    onTimeRate: evaluable > 0 ? summary.onTime / evaluable : null,
+    approvalRate: verified > 0 ? summary.approved / verified : null
+  };
+};
+
+// Tareas que vencen en [from, to] (incluidas las archivadas), una fila por responsable
+async function buildComplianceReport({ from, to, user, area, now = new Date() }) {
+  const filter = { endDate: { $gte: from, $lte: to } };
+  if (area) filter.area = area;
+  if (user) {
+    filter.$or = [
+      { responsibles: user },
+      { temporaryResponsible: user },
+      { standIns: user },
+      { delegations: { $elemMatch: { delegate: user, status: 'accepted' } } }
+    ];
+  }
+
+  const tasks = await CleaningTask.find(filter)
+    .sort({ endDate: 1, area: 1 })
+    .populate('verifications.verifier', 'fullName')
+    .lean();
+
+  const userIds = new Set();
+  tasks.forEach(task => {
+    (task.responsibles || []).forEach(id => userIds.add(toId(id)));
+    if (task.temporaryResponsible) userIds.add(toId(task.temporaryResponsible));
+    acceptedStandIns(task).forEach(standIn => userIds.add(standIn));
+  });
+  const users = await User.find({ _id: { $in: [...userIds] } }, 'fullName').lean();
+  const names = new Map(users.map(entry => [entry._id.toString(), entry.fullName]));
+  const person = (id) => id ? { id, fullName: names.get(id) || 'Usuario eliminado' } : null;
+
+  const rows = tasks.flatMap(task => {
+    const standIns = acceptedStandIns(task);
+    // Tareas anteriores a las delegaciones: el responsable temporal cubre la tarea
+    const legacyStandIn = (task.delegations || []).length === 0 ? toId(task.temporaryResponsible) : null;
+    const verifications = (task.verifications || []).map(verification => ({
+      verifier: verification.verifier ? verification.verifier.fullName : 'Usuario eliminado',
+      approved: !!verification.approved,
+      comment: verification.comment || '',
+      verifiedAt: verification.verifiedAt
+    }));
+
+    return (task.responsibles || []).map(responsible => {
+      const id = toId(responsible);
+      return {
+        task: task._id.toString(),
+        area: task.area,
+        startDate: task.startDate,
+        endDate: task.endDate,
+        archived: !!task.archived,
+        responsible: person(id),
+        coveredBy: person(standIns.get(id) || legacyStandIn),
+        completed: !!task.completed,
+        completedAt: task.completedAt || null,
+        ...deliveryTiming(task, now),
+        verificationStatus: task.verificationStatus,
+        verifications
+      };
+    });
+  }).filter(row => !user || row.responsible.id === user || (row.coveredBy && row.coveredBy.id === user));
+
+  // Los resúmenes por usuario cuentan a quien efectivamente cubrió la tarea
+  const byUser = new Map();
+  const byArea = new Map();
+  rows.forEach(row => {
+    const cleaner = row.coveredBy || row.responsible;
+    if (!user || cleaner.id === user) {
+      if (!byUser.has(cleaner.id)) byUser.set(cleaner.id, { user: cleaner, ...emptySummary() });
+      addToSummary(byUser.get(cleaner.id), row);
+    }
+
+    if (!byArea.has(row.area)) byArea.set(row.area, { area: row.area, ...emptySummary() });
+    addToSummary(byArea.get(row.area), row);
+  });
+
+  return {
+    from,
+    to,
+    timeZone: REPORT_TIMEZONE,
+    filters: { user: user || null, area: area || null },
+    totalTasks: tasks.length,
+    byUser: [...byUser.values()].map(withRates).sort((a, b) => a.user.fullName.localeCompare(b.user.fullName)),
+    byArea: [...byArea.values()].map(withRates).sort((a, b) => a.area.localeCompare(b.area)),
+    rows
+  };
+}
+
+// "Ana (aprobó): comentario | Luis (rechazó)"
+const formatVerifications = (verifications) => verifications
+  .map(verification => `${verification.verifier} (${verification.approved ? 'aprobó' : 'rechazó'})` +
+    (verification.comment ? `: ${verification.comment}` : ''))
+  .join(' | ');
+
+const formatHours = (hours) => hours === null ? '' : `${hours > 0 ? '+' : ''}${hours}`;
+
+const formatRate = (rate) => rate === null ? '-' : `${Math.round(rate * 100)}%`;
+
+// Detalle del reporte en CSV (una fila por responsable y tarea)
+function complianceCsv(report) {
+  return buildCsv([
+    { label: 'Área', value: row => row.area },
+    { label: 'Inicio', value: row => formatDay(row.startDate) },
+    { label: 'Vence', value: row => formatDateTime(row.endDate) },
+    { label: 'Responsable', value: row => row.responsible.fullName },
+    { label: 'Cubierta por', value: row => row.coveredBy ? row.coveredBy.fullName : '' },
+    { label: 'Completada', value: row => row.completed ? 'Sí' : 'No' },
+    { label: 'Completada el', value: row => formatDateTime(row.completedAt) },
+    { label: 'Entrega', value: row => TIMING_LABELS[row.timing] },
+    { label: 'Horas respecto al vencimiento', value: row => row.hoursFromDeadline },
+    { label: 'Verificación', value: row => VERIFICATION_LABELS[row.verificationStatus] || row.verificationStatus },
+    { label: 'Comentarios de verificadores', value: row => formatVerifications(row.verifications) },
+    { label: 'Archivada', value: row => row.archived ? 'Sí' : 'No' }
+  ], report.rows);
+}
+
+// Texto de ancho fijo para las columnas del PDF
+const cell = (value, width) => {
+  const text = String(value ?? '');
+  return text.length > width ? text.slice(0, width - 1) + '.' : text.padEnd(width);
+};
+
+const table = (columns, rows) => [
+  { text: columns.map(([label, width]) => cell(label, width)).join(' '), bold: true },
+  ...rows.map(values => values.map((value, index) => cell(value, columns[index][1])).join(' '))
+];
+
+const SUMMARY_COLUMNS = (label) => [
+  [label, 28], ['Asignadas', 9], ['Completas', 9], ['A tiempo', 8], ['Tarde', 5],
+  ['Sin completar', 13], ['En curso', 8], ['Aprobadas', 9], ['Rechazadas', 10], ['% a tiempo', 10], ['% aprobadas', 11]
+];
+
+const summaryValues = (label, summary) => [
+  label, summary.assigned, summary.completed, summary.onTime, summary.late, summary.notCompleted,
+  summary.inProgress, summary.approved, summary.rejected, formatRate(summary.onTimeRate), formatRate(summary.approvalRate)
+];
+
+const DETAIL_COLUMNS = [
+  ['Área', 14], ['Responsable', 18], ['Cubierta por', 14], ['Vence', 17], ['Completada el', 17],
+  ['Entrega', 13], ['Horas', 6], ['Verificación', 12]
+];
+
+// Reporte en PDF: resúmenes por usuario y por área, y el detalle con los comentarios
+function compliancePdf(report, { userName } = {}) {
+  const filters = [
+    userName && `Usuario: ${userName}`,
+    report.filters.area && `Área: ${report.filters.area}`
+  ].filter(Boolean);
+
+  const detailWidth = DETAIL_COLUMNS.reduce((sum, [, width]) => sum + width + 1, 0);
+  const commentIndent = ' '.repeat(4);
+
+  const lines = [
+    { text: 'Reporte de cumplimiento de tareas de limpieza', bold: true },
+    `Periodo: ${formatDateTime(report.from)} a ${formatDateTime(report.to)} (${report.timeZone})`,
+    filters.length > 0 ? `Filtros: ${filters.join(', ')}` : 'Filtros: ninguno',
+    `Tareas: ${report.totalTasks}. Generado el ${formatDateTime(new Date())}`,
+    '',
+    { text: 'Resumen por usuario (cuenta a quien cubrió la tarea)', bold: true },
+    ...table(SUMMARY_COLUMNS('Usuario'), report.byUser.map(entry => summaryValues(entry.user.fullName, entry))),
+    '',
+    { text: 'Resumen por área', bold: true },
+    ...table(SUMMARY_COLUMNS('Área'), report.byArea.map(entry => summaryValues(entry.area, entry))),
+    '',
+    { text: 'Detalle', bold: true },
+    { text: DETAIL_COLUMNS.map(([label, width]) => cell(label, width)).join(' '), bold: true }
+  ];
+
+  report.rows.forEach(row => {
+    lines.push([
+      cell(row.area + (row.archived ? '*' : ''), 14),
+      cell(row.responsible.fullName, 18),
+      cell(row.coveredBy ? row.coveredBy.fullName : '', 14),
+      cell(formatDateTime(row.endDate), 17),
+      cell(formatDateTime(row.completedAt), 17),
+      cell(TIMING_LABELS[row.timing], 13),
+      cell(formatHours(row.hoursFromDeadline), 6),
+      cell(VERIFICATION_LABELS[row.verificationStatus] || row.verificationStatus, 12)
+    ].join(' '));
+
+    const comments = formatVerifications(row.verifications);
+    if (comments) {
+      wrapText(comments, Math.min(CHARS_PER_LINE, detailWidth) - commentIndent.length)
+        .forEach(line => lines.push(commentIndent + line));
+    }
+  });
+
+  if (report.rows.length === 0) lines.push('No hay tareas que venzan en el periodo.');
+  lines.push('', '* Tarea archivada. Horas: positivas = completada después del vencimiento.');
+
+  return buildPdf({ title: 'Reporte de cumplimiento', lines });
+}
+
+module.exports = {
+  REPORT_TIMEZONE,
+  monthRange,
+  deliveryTiming,
+  buildComplianceReport,
+  complianceCsv,
+  compliancePdf
+};
@@ -0,0 +1,888 @@
+// services/rotation.js
+// Lógica de rotación compartida entre la rotación inmediata y la vista previa
+const CleaningTask = require('../models/cleaningTask');
+const User = require('../models/user');
+const Area = require('../models/area');
+const RotationPeriod = require('../models/rotationPeriod');
+const { findAbsences, isAway } = require('./availability');
+const { invalidateSwapRequests } = require('./swapRequests');
+const { invalidateSwapOffers } = require('./swapOffers');
+const { acceptedStandIns } = require('./delegations');
+const { SOLVERS, evaluateAssignment, optimizeAssignment } = require('./rotationSolver');
+const { generateSeed, createRandom } = require('../utils/seededRandom');
+
+// Peso de las preferencias en el puntaje (0 = ignorarlas)
+const PREFERENCE_WEIGHT = process.env.ROTATION_PREFERENCE_WEIGHT !== undefined
+  ? parseFloat(process.env.ROTATION_PREFERENCE_WEIGHT) || 0
+  : 1;
+
+// Ajustes de puntaje por preferencia (menores que la penalización por repetir área)
+const PREFERENCE_SCORES = {
+  preferredArea: 2,
+  avoidedArea: -5,
+  avoidedPartner: -3
+};
+
+// Error de negocio con código HTTP asociado
+const rotationError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const calculateEndDate = (startDate, frequency) => {
+  const date = new Date(startDate);
+  switch (frequency) {
+    case 'monthly':
+      date.setMonth(date.getMonth() + 1);
+      break;
+    case 'biweekly':
+      date.setDate(date.getDate() + 14);
+      break;
+    case 'weekly':
+    default:
+      date.setDate(date.getDate() + 7);
+      break;
+  }
+  return date;
+};
+
+// Cargar usuarios activos, sus ausencias, historial y áreas activas
+async function loadRotationContext({ userIds = [], now = new Date() } = {}) {
+  console.log(`IDs de usuarios recibidos: ${userIds.length > 0 ? userIds.join(', ') : 'ninguno'}`);
+
+  // 1. Obtener usuarios disponibles (usar los IDs de usuario si se proporcionaron)
+  let availableUsers;
+
+  if (userIds && userIds.length > 0) {
+    // Filtrar por los IDs proporcionados Y que estén activos
+    availableUsers = await User.find({
+      _id: { $in: userIds },
+      active: { $ne: false }
+    }, '_id fullName preferences').sort({ _id: 1 }).lean();
+  } else {
+    // Usar todos los usuarios activos (las ausencias se revisan por tarea)
+    availableUsers = await User.find({
+      active: { $ne: false }
+    }, '_id fullName preferences').sort({ _id: 1 }).lean();
+  }
+
+  console.log(`Usuarios disponibles: ${availableUsers.length}`);
+
+  if (availableUsers.length < 2) {
+    throw rotationError('Se necesitan al menos 2 usuarios disponibles para asignar todas las tareas correctamente');
+  }
+
+  // 2. Obtener historial de tareas previas (incluyendo las actuales)
+  const taskHistory = await CleaningTask.find({})
+    .populate('responsibles', '_id fullName')
+    .populate('temporaryResponsible', '_id fullName')
+    .sort({ endDate: -1 }) // Las más recientes primero
+    .lean();
+
+  console.log(`Historial de tareas obtenido: ${taskHistory.length} tareas`);
+
+  // 3. Obtener las áreas activas y sus características
+  await Area.ensureDefaults();
+  const areaConfig = (await Area.find({ active: true }).sort({ name: 1 }).lean()).map(area => ({
+    area: area.name,
+    peopleNeeded: area.peopleNeeded,
+    difficulty: area.difficulty,
+    frequency: area.frequency
+  }));
+
+  if (areaConfig.length === 0) {
+    throw rotationError('No hay áreas activas para asignar');
+  }
+
+  // 4. Ausencias que se superponen con la tarea más larga posible (mensual)
+  const absences = await findAbsences({
+    from: now,
+    to: calculateEndDate(now, 'monthly'),
+    userIds: availableUsers.map(user => user._id)
+  });
+
+  return { availableUsers, taskHistory, areaConfig, absences };
+}
+
+// Calcular la asignación propuesta sin tocar la base de datos
+// ongoingTasks: tareas que siguen vigentes (rotación por área) y ya suman carga a sus responsables
+// absences: ausencias de los usuarios; se excluye a quien esté ausente en algún día de la tarea
+// seed: semilla del factor aleatorio (se genera si no se indica); random la reemplaza por completo
+// historyMetrics: métricas ya calculadas (al reproducir una rotación en lugar de taskHistory)
+function planRotation({
+  availableUsers,
+  taskHistory,
+  areaConfig,
+  ongoingTasks = [],
+  absences = [],
+  now = new Date(),
+  seed = generateSeed(),
+  random,
+  solver = 'greedy',
+  historyMetrics
+}) {
+  if (!SOLVERS.includes(solver)) {
+    throw rotationError(`Solver de rotación inválido: ${solver}`);
+  }
+
+  const rng = random || createRandom(seed);
+
+  // Calcular métricas por usuario
+  const userMetrics = historyMetrics
+    ? structuredClone(historyMetrics)
+    : calculateUserMetrics(taskHistory, availableUsers);
+
+  // Datos de entrada para poder reproducir esta rotación con la misma semilla
+  const inputs = serializeInputs({ now, solver, seed, availableUsers, areaConfig, ongoingTasks, absences, userMetrics });
+
+  // Obtener la carga de trabajo objetivo por usuario
+  const totalDifficulty = [...areaConfig, ...ongoingTasks]
+    .reduce((sum, area) => sum + (area.difficulty * area.peopleNeeded), 0);
+  const targetWorkloadPerUser = totalDifficulty / availableUsers.length;
+  console.log(`Carga objetivo por usuario: ${targetWorkloadPerUser.toFixed(2)}`);
+
+  // Reiniciar métricas de carga de trabajo actual
+  availableUsers.forEach(user => {
+    const userId = user._id.toString();
+    userMetrics[userId] = userMetrics[userId] || {
+      totalHistoricalTasks: 0,
+      completedTasks: 0,
+      incompleteOrRejectedTasks: 0,
+      completionRate: 1,
+      lastAssignedAreas: {},
+      areaAssignmentCounts: {}
+    };
+    userMetrics[userId].currentWorkload = 0;
+  });
+
+  // Sumar la carga de las tareas que continúan vigentes
+  ongoingTasks.forEach(task => {
+    task.responsibles.forEach(responsible => {
+      const userId = responsible.toString();
+      if (userMetrics[userId]) {
+        userMetrics[userId].currentWorkload += task.difficulty;
+      }
+    });
+  });
+
+  const usersById = new Map(availableUsers.map(user => [user._id.toString(), user]));
+
+  // Áreas por prioridad (primero las más difíciles) con su ventana y los usuarios presentes
+  const slots = [...areaConfig]
+    .sort((a, b) => b.difficulty - a.difficulty)
+    .map(areaInfo => {
+      const frequency = areaInfo.frequency || 'weekly';
+      const endDate = calculateEndDate(now, frequency);
+
+      // Solo participan quienes no tienen ausencias entre startDate y endDate de esta tarea
+      const presentUsers = availableUsers.filter(user => !isAway(absences, user._id, now, endDate));
+      if (presentUsers.length < areaInfo.peopleNeeded) {
+        console.log(`Advertencia: solo ${presentUsers.length} usuarios disponibles para ${areaInfo.area}`);
+      }
+
+      return {
+        areaInfo,
+        frequency,
+        endDate,
+        presentUsers,
+        presentIds: new Set(presentUsers.map(user => user._id.toString())),
+        absentUsers: availableUsers
+          .filter(user => !presentUsers.includes(user))
+          .map(user => user._id.toString())
+      };
+    });
+
+  // Métricas antes de asignar (el solver global parte de este estado)
+  const baseMetrics = structuredClone(userMetrics);
+
+  // Solver voraz: área por área, cada elección afecta a las siguientes
+  const greedySelections = slots.map(slot => {
+    console.log(`Asignando tarea para: ${slot.areaInfo.area} (dificultad: ${slot.areaInfo.difficulty})`);
+
+    const selected = pickResponsibles(
+      scoreUsersForArea(slot.areaInfo, slot.presentUsers, userMetrics, targetWorkloadPerUser, rng, now),
+      slot.areaInfo.peopleNeeded,
+      userMetrics
+    );
+    recordAssignment(userMetrics, selected.map(candidate => candidate.userId), slot.areaInfo, now);
+    return selected;
+  });
+  const greedyResponsibles = greedySelections.map(selected => selected.map(candidate => candidate.userId));
+
+  // Solver global: búsqueda local sobre toda la matriz partiendo de la solución voraz
+  const solverOptions = { now, preference: { weight: PREFERENCE_WEIGHT, scores: PREFERENCE_SCORES } };
+  const optimal = optimizeAssignment({
+    slots,
+    metrics: baseMetrics,
+    target: targetWorkloadPerUser,
+    initial: greedyResponsibles,
+    random: rng,
+    ...solverOptions
+  });
+
+  let selections = greedySelections;
+  let finalMetrics = userMetrics;
+
+  if (solver === 'optimal') {
+    // Recalcular el desglose de puntajes recorriendo la asignación óptima en el mismo orden
+    finalMetrics = structuredClone(baseMetrics);
+    selections = slots.map((slot, index) => {
+      const chosen = optimal.responsibles[index].map(userId => usersById.get(userId));
+      const scored = scoreUsersForArea(slot.areaInfo, chosen, finalMetrics, targetWorkloadPerUser, () => 0, now);
+      recordAssignment(finalMetrics, optimal.responsibles[index], slot.areaInfo, now);
+      return scored;
+    });
+  }
+
+  const assignments = slots.map((slot, index) => {
+    const selected = selections[index];
+    const responsibles = selected.map(candidate => candidate.userId);
+
+    console.log(`Asignados para ${slot.areaInfo.area}: ${responsibles.length} usuarios`);
+
+    return {
+      area: slot.areaInfo.area,
+      frequency: slot.frequency,
+      difficulty: slot.areaInfo.difficulty,
+      peopleNeeded: slot.areaInfo.peopleNeeded,
+      startDate: now,
+      endDate: slot.endDate,
+      responsibles,
+      // Seleccionar verificadores (intentando evitar a los responsables)
+      verifiers: selectVerifiers(responsibles, slot.presentUsers, finalMetrics),
+      // Usuarios excluidos por tener ausencias durante la tarea
+      absentUsers: slot.absentUsers,
+      // Desglose del puntaje de cada responsable elegido
+      scores: selected.map(candidate => ({
+        userId: candidate.userId,
+        fullName: candidate.user.fullName,
+        score: candidate.score,
+        ...candidate.metrics
+      }))
+    };
+  });
+
+  // Equidad de ambos solvers (menor costo = más justo) para poder compararlos
+  const fairness = {
+    greedy: evaluateAssignment(slots, greedyResponsibles, baseMetrics, targetWorkloadPerUser, solverOptions),
+    optimal: evaluateAssignment(slots, optimal.responsibles, baseMetrics, targetWorkloadPerUser, solverOptions)
+  };
+  console.log(`Costo de equidad - voraz: ${fairness.greedy.cost.toFixed(2)}, óptimo: ${fairness.optimal.cost.toFixed(2)} (usado: ${solver})`);
+
+  // Log de distribución final
+  logFinalDistribution(finalMetrics, availableUsers);
+
+  return {
+    generatedAt: now,
+    solver,
+    seed: random ? null : seed,
+    targetWorkloadPerUser,
+    users: availableUsers.map(user => ({ _id: user._id.toString(), fullName: user.fullName })),
+    assignments,
+    unsatisfiedPreferences: findUnsatisfiedPreferences(assignments, finalMetrics, usersById),
+    fairness,
+    inputs: random ? undefined : inputs,
+    distribution: [...usersById.keys()].map(userId => ({
+      userId,
+      fullName: usersById.get(userId).fullName,
+      tasksAssigned: finalMetrics[userId].tasksAssigned || 0,
+      workload: finalMetrics[userId].currentWorkload || 0
+    }))
+  };
+}
+
+// Entradas de planRotation en JSON plano (IDs como strings, fechas ISO) para guardarlas con el periodo
+function serializeInputs({ now, solver, seed, availableUsers, areaConfig, ongoingTasks, absences, userMetrics }) {
+  return JSON.parse(JSON.stringify({
+    now,
+    solver,
+    seed,
+    availableUsers: availableUsers.map(user => ({
+      _id: user._id,
+      fullName: user.fullName,
+      preferences: user.preferences
+    })),
+    areaConfig,
+    ongoingTasks: ongoingTasks.map(task => ({
+      area: task.area,
+      difficulty: task.difficulty,
+      peopleNeeded: task.peopleNeeded,
+      responsibles: task.responsibles
+    })),
+    absences: absences.map(absence => ({
+      user: absence.user,
+      startDate: absence.startDate,
+      endDate: absence.endDate
+    })),
+    historyMetrics: userMetrics
+  }));
+}
+
+// Reproducir una rotación a partir de sus entradas guardadas
+function replayPlan(inputs) {
+  return planRotation({
+    ...inputs,
+    now: new Date(inputs.now),
+    historyMetrics: inputs.historyMetrics
+  });
+}
+
+// Sumar a las métricas una asignación de responsables para un área
+function recordAssignment(userMetrics, userIds, areaInfo, now) {
+  userIds.forEach(userId => {
+    userMetrics[userId].currentWorkload += areaInfo.difficulty;
+    userMetrics[userId].tasksAssigned = (userMetrics[userId].tasksAssigned || 0) + 1;
+    userMetrics[userId].lastAssignedAreas = userMetrics[userId].lastAssignedAreas || {};
+    userMetrics[userId].lastAssignedAreas[areaInfo.area] = now;
+  });
+}
+
+// Cargar el contexto y calcular la asignación propuesta
+async function buildRotationPlan({ userIds = [], now = new Date(), solver, seed } = {}) {
+  const context = await loadRotationContext({ userIds, now });
+  return planRotation({ ...context, now, solver, seed: seed || undefined });
+}
+
+// Participantes de un plan guardado que ya no pueden cumplirlo: desactivados o con una ausencia
+// dentro de la tarea (las fechas se recalculan desde `now`, igual que al aplicar el plan)
+async function findUnavailablePlanUsers(plan, now = new Date()) {
+  const assignments = (plan.assignments || []).map(assignment => ({
+    ...assignment,
+    endDate: calculateEndDate(now, assignment.frequency)
+  }));
+  const userIds = [...new Set(assignments.flatMap(assignment =>
+    [...assignment.responsibles, ...(assignment.verifiers || [])].map(String)
+  ))];
+  if (userIds.length === 0) return [];
+
+  const latestEnd = new Date(Math.max(...assignments.map(assignment => assignment.endDate.getTime())));
+  const [activeUsers, absences] = await Promise.all([
+    User.find({ _id: { $in: userIds }, active: { $ne: false } }, '_id').lean(),
+    findAbsences({ from: now, to: latestEnd, userIds })
+  ]);
+  const activeIds = new Set(activeUsers.map(user => user._id.toString()));
+
+  const unavailable = [];
+  assignments.forEach(assignment => {
+    const roles = [
+      ...assignment.responsibles.map(userId => ({ userId: String(userId), role: 'responsible' })),
+      ...(assignment.verifiers || []).map(userId => ({ userId: String(userId), role: 'verifier' }))
+    ];
+    roles.forEach(({ userId, role }) => {
+      let reason = null;
+      if (!activeIds.has(userId)) reason = 'inactive';
+      else if (isAway(absences, userId, now, assignment.endDate)) reason = 'absent';
+      if (reason) unavailable.push({ userId, area: assignment.area, role, reason });
+    });
+  });
+
+  return unavailable;
+}
+
+// Preferencias no respetadas del plan en el formato del periodo
+const toPeriodPreferences = (plan) => (plan.unsatisfiedPreferences || []).map(item => ({
+  user: item.userId,
+  preference: item.preference,
+  area: item.area,
+  areas: item.areas,
+  partner: item.partnerId
+}));
+
+// Cerrar el periodo activo y archivar las tareas vigentes
+async function closeActivePeriod(closedAt) {
+  const previousPeriod = await RotationPeriod.findOne({ status: 'active' }).sort({ startDate: -1 });
+
+  // Se archivan todas las tareas no archivadas, incluidas las anteriores a los periodos
+  const tasksToArchive = await CleaningTask.find({ archived: { $ne: true } }, '_id').lean();
+  const archivedTaskIds = tasksToArchive.map(task => task._id);
+
+  if (archivedTaskIds.length > 0) {
+    await CleaningTask.updateMany(
+      { _id: { $in: archivedTaskIds } },
+      { $set: { archived: true } }
+    );
+    // Las que aún no vencían se les quitaron a sus responsables: no corresponde multarlas
+    await CleaningTask.updateMany(
+      { _id: { $in: archivedTaskIds }, endDate: { $gt: closedAt } },
+      { $set: { finesExempt: true } }
+    );
+    await invalidateSwapRequests(archivedTaskIds, 'task_rotated', { now: closedAt });
+    await invalidateSwapOffers(archivedTaskIds, { now: closedAt });
+  }
+
+  const activePeriods = await RotationPeriod.find({ status: 'active' }, '_id').lean();
+  const closedPeriodIds = activePeriods.map(period => period._id);
+
+  await RotationPeriod.updateMany(
+    { _id: { $in: closedPeriodIds } },
+    { $set: { status: 'closed', closedAt } }
+  );
+
+  return { previousPeriod, archivedTaskIds, closedPeriodIds };
+}
+
+// Persistir una asignación: cerrar el periodo actual y crear las nuevas tareas
+async function applyRotationPlan(plan, { createdBy, now = new Date() } = {}) {
+  // Cerrar el periodo actual y archivar sus tareas (se conserva el historial)
+  const { previousPeriod, archivedTaskIds, closedPeriodIds } = await closeActivePeriod(now);
+  console.log(`Tareas anteriores archivadas: ${archivedTaskIds.length}`);
+
+  const period = new RotationPeriod({
+    startDate: now,
+    createdBy,
+    previousPeriod: previousPeriod?._id,
+    closedPeriods: closedPeriodIds,
+    archivedTasks: archivedTaskIds,
+    areas: plan.assignments.map(assignment => assignment.area),
+    solver: plan.solver,
+    fairness: plan.fairness,
+    seed: plan.seed,
+    replayInputs: plan.inputs,
+    unsatisfiedPreferences: toPeriodPreferences(plan)
+  });
+
+  // Las fechas se calculan al momento de confirmar la asignación
+  const newTasks = plan.assignments.map(assignment => new CleaningTask({
+    area: assignment.area,
+    frequency: assignment.frequency,
+    responsibles: assignment.responsibles,
+    startDate: now,
+    endDate: calculateEndDate(now, assignment.frequency),
+    verifiers: assignment.verifiers,
+    rotationPeriod: period._id
+  }));
+
+  if (newTasks.length > 0) {
+    await CleaningTask.insertMany(newTasks);
+    console.log(`${newTasks.length} nuevas tareas creadas`);
+  }
+
+  period.tasks = newTasks.map(task => task._id);
+  await period.save();
+  console.log(`Periodo de rotación registrado: ${period._id}`);
+
+  return period;
+}
+
+// Persistir una rotación parcial: archivar solo las tareas vencidas y crear las de sus áreas
+async function applyAreaRotation(plan, { tasksToArchive = [], trigger = 'scheduled', createdBy, now = new Date() } = {}) {
+  const archivedTaskIds = tasksToArchive.map(task => task._id);
+
+  if (archivedTaskIds.length > 0) {
+    await CleaningTask.updateMany(
+      { _id: { $in: archivedTaskIds } },
+      { $set: { archived: true } }
+    );
+    await invalidateSwapRequests(archivedTaskIds, 'task_rotated', { actor: createdBy, now });
+    await invalidateSwapOffers(archivedTaskIds, { actor: createdBy, now });
+  }
+
+  const period = new RotationPeriod({
+    scope: 'areas',
+    trigger,
+    startDate: now,
+    createdBy,
+    archivedTasks: archivedTaskIds,
+    areas: plan.assignments.map(assignment => assignment.area),
+    solver: plan.solver,
+    fairness: plan.fairness,
+    seed: plan.seed,
+    replayInputs: plan.inputs,
+    unsatisfiedPreferences: toPeriodPreferences(plan)
+  });
+
+  const newTasks = plan.assignments.map(assignment => new CleaningTask({
+    area: assignment.area,
+    frequency: assignment.frequency,
+    responsibles: assignment.responsibles,
+    startDate: now,
+    endDate: calculateEndDate(now, assignment.frequency),
+    verifiers: assignment.verifiers,
+    rotationPeriod: period._id
+  }));
+
+  if (newTasks.length > 0) {
+    await CleaningTask.insertMany(newTasks);
+    console.log(`${newTasks.length} nuevas tareas creadas para: ${period.areas.join(', ')}`);
+  }
+
+  // Cerrar los periodos activos a los que ya no les quedan tareas vigentes
+  const activePeriods = await RotationPeriod.find({ status: 'active' }, '_id').lean();
+  const closedPeriodIds = [];
+
+  for (const activePeriod of activePeriods) {
+    const pendingTasks = await CleaningTask.countDocuments({
+      rotationPeriod: activePeriod._id,
+      archived: { $ne: true }
+    });
+    if (pendingTasks === 0) closedPeriodIds.push(activePeriod._id);
+  }
+
+  if (closedPeriodIds.length > 0) {
+    await RotationPeriod.updateMany(
+      { _id: { $in: closedPeriodIds } },
+      { $set: { status: 'closed', closedAt: now } }
+    );
+  }
+
+  period.closedPeriods = closedPeriodIds;
+  period.tasks = newTasks.map(task => task._id);
+  await period.save();
+  console.log(`Periodo de rotación por áreas registrado: ${period._id}`);
+
+  return period;
+}
+
+// Preferencias tipadas de un usuario como listas de strings (acepta documentos o lean)
+function normalizePreferences(preferences = {}) {
+  const list = (value) => Array.isArray(value) ? value.map(item => item.toString()) : [];
+  return {
+    preferredAreas: list(preferences?.preferredAreas),
+    avoidAreas: list(preferences?.avoidAreas),
+    avoidPartners: list(preferences?.avoidPartners)
+  };
+}
+
+// Resultado de una tarea para las métricas (y las multas):
+// 'completed' (aprobada), 'rejected', 'incomplete' o null si espera verificación
+function classifyTaskOutcome(task) {
+  if (task.completed && task.verificationStatus === 'approved') return 'completed';
+  if (task.completed && task.verificationStatus === 'rejected') return 'rejected';
+  if (task.completed === false) return 'incomplete';
+  return null;
+}
+
+// Función para calcular métricas por usuario
+function calculateUserMetrics(taskHistory, availableUsers) {
+  const metrics = {};
+  
+  // Inicializar métricas para todos los usuarios disponibles
+  availableUsers.forEach(user => {
+    metrics[user._id] = {
+      totalHistoricalTasks: 0,
+      completedTasks: 0,
+      incompleteOrRejectedTasks: 0,
+      completionRate: 1, // 100% por defecto
+      lastAssignedAreas: {}, // Última vez que se asignó cada área
+      areaAssignmentCounts: {}, // Número de veces que cada área fue asignada
+      preferences: normalizePreferences(user.preferences)
+    };
+  });
+
+  // Analizar el historial de tareas
+  taskHistory.forEach(task => {
+    const outcome = classifyTaskOutcome(task);
+    const wasCompleted = outcome === 'completed';
+    const wasMissed = outcome === 'rejected' || outcome === 'incomplete';
+
+    // Sumar el resultado de la tarea a las métricas de un usuario
+    const countOutcome = (userId) => {
+      if (wasCompleted) {
+        metrics[userId].completedTasks++;
+      } else if (wasMissed) {
+        metrics[userId].incompleteOrRejectedTasks++;
+      }
+    };
+
+    // Si un responsable delegó la tarea, el resultado cuenta para el suplente que la cubrió
+    const standIns = acceptedStandIns(task);
+    
+    // Registrar métricas para cada responsable
+    task.responsibles.forEach(user => {
+      const userId = user._id.toString();
+      const standInId = standIns.get(userId);
+
+      if (standInId && metrics[standInId]) {
+        metrics[standInId].totalHistoricalTasks++;
+        countOutcome(standInId);
+      }
+      
+      // Omitir usuarios que no están disponibles actualmente
+      if (!metrics[userId]) return;
+      
+      metrics[userId].totalHistoricalTasks++;
+      
+      if (!standInId) {
+        countOutcome(userId);
+      }
+      
+      // Actualizar última asignación de esta área
+      if (!metrics[userId].lastAssignedAreas[task.area] || 
+          new Date(task.endDate) > new Date(metrics[userId].lastAssignedAreas[task.area])) {
+        metrics[userId].lastAssignedAreas[task.area] = task.endDate;
+      }
+      
+      // Incrementar contador de asignaciones para esta área
+      metrics[userId].areaAssignmentCounts[task.area] = 
+        (metrics[userId].areaAssignmentCounts[task.area] || 0) + 1;
+    });
+    
+    // Responsables temporales anteriores a las delegaciones
+    if (task.temporaryResponsible && (task.delegations || []).length === 0) {
+      const tempUserId = task.temporaryResponsible._id.toString();
+      if (metrics[tempUserId]) {
+        metrics[tempUserId].totalHistoricalTasks++;
+        countOutcome(tempUserId);
+      }
+    }
+  });
+  
+  // Calcular tasas de completado
+  Object.keys(metrics).forEach(userId => {
+    const userMetrics = metrics[userId];
+    const totalEvaluable = userMetrics.completedTasks + userMetrics.incompleteOrRejectedTasks;
+    
+    if (totalEvaluable > 0) {
+      userMetrics.completionRate = userMetrics.completedTasks / totalEvaluable;
+    }
+  });
+  
+  return metrics;
+}
+
+// Función para seleccionar verificadores
+function selectVerifiers(responsibles, availableUsers, userMetrics) {
+  // Filtrar usuarios disponibles excluyendo a los responsables
+  const potentialVerifiers = availableUsers.filter(user => 
+    !responsibles.includes(user._id.toString())
+  );
+  
+  // Si no hay suficientes usuarios disponibles, usar todos los usuarios
+  if (potentialVerifiers.length < 3) {
+    const allUserIds = availableUsers.map(user => user._id.toString());
+    // Ordenar por tasa de completado (primero los más confiables)
+    allUserIds.sort((a, b) => 
+      (userMetrics[b]?.completionRate || 0) - (userMetrics[a]?.completionRate || 0)
+    );
+    return allUserIds.slice(0, Math.min(3, allUserIds.length));
+  }
+  
+  // Ordenar verificadores por tasa de completado (primero los más confiables)
+  potentialVerifiers.sort((a, b) => 
+    (userMetrics[b._id]?.completionRate || 0) - (userMetrics[a._id]?.completionRate || 0)
+  );
+  
+  // Seleccionar hasta 3 verificadores con la mejor tasa de completado
+  return potentialVerifiers
+    .slice(0, 3)
+    .map(user => user._id.toString());
+}
+
+// Función para registrar distribución final
+function logFinalDistribution(userMetrics, availableUsers) {
+  console.log('----- Distribución final de tareas -----');
+  availableUsers.forEach(user => {
+    const metrics = userMetrics[user._id.toString()];
+    console.log(`${user.fullName}: ${metrics.tasksAssigned || 0} tareas asignadas, carga: ${metrics.currentWorkload?.toFixed(2) || 0}`);
+  });
+  console.log('----------------------------------------');
+}
+
+// Función para puntuar a los usuarios disponibles para un área (mayor puntaje = mejor candidato)
+function scoreUsersForArea(areaInfo, availableUsers, userMetrics, targetWorkload, random = Math.random, now = new Date()) {
+  const area = areaInfo.area;
+  
+  // Crear una lista temporal de usuarios disponibles con puntajes calculados
+  const scoredUsers = availableUsers.map(user => {
+    const userId = user._id.toString();
+    const metrics = userMetrics[userId] || {};
+    
+    // Factores a considerar:
+    // 1. ¿Cuándo fue la última vez que el usuario hizo esta tarea? (más tiempo = mejor)
+    const daysSinceLastAssignment = metrics.lastAssignedAreas && metrics.lastAssignedAreas[area] 
+      ? Math.floor((new Date(now) - new Date(metrics.lastAssignedAreas[area])) / (1000 * 60 * 60 * 24)) 
+      : 365; // Si nunca ha hecho esta tarea, alto puntaje
+    
+    // 2. ¿Cuántas veces ha hecho esta tarea en total? (menos = mejor)
+    const areaAssignmentCount = metrics.areaAssignmentCounts && metrics.areaAssignmentCounts[area] 
+      ? metrics.areaAssignmentCounts[area] 
+      : 0;
+    
+    // 3. Carga de trabajo actual vs. objetivo (menos carga = mejor)
+    const workloadDifference = targetWorkload - (metrics.currentWorkload || 0);
+    
+    // 4. Tasa de completado de tareas (mayor tasa = mejor)
+    const completionRateBonus = (metrics.completionRate || 1) * 3; // Factor de peso para la tasa de completado
+    
+    // 5. Número total de tareas históricas (menos = mejor)
+    const maxHistoricalTasks = Math.max(...Object.values(userMetrics)
+      .map(m => m.totalHistoricalTasks || 0)) || 1;
+    const totalTasksRatio = (metrics.totalHistoricalTasks || 0) / maxHistoricalTasks;
+    
+    // 6. NUEVO: Factor de aleatorización para romper patrones recurrentes
+    const randomFactor = random() * 2; // Valor aleatorio entre 0 y 2
+    
+    // 7. Preferencias del usuario: el bonus por área preferida solo aplica si no supera la carga objetivo
+    const preferences = metrics.preferences || normalizePreferences();
+    const preferenceScore = PREFERENCE_WEIGHT * (
+      (preferences.preferredAreas.includes(area) && (metrics.currentWorkload || 0) < targetWorkload
+        ? PREFERENCE_SCORES.preferredArea
+        : 0) +
+      (preferences.avoidAreas.includes(area) ? PREFERENCE_SCORES.avoidedArea : 0)
+    );
+
+    // Penalización directa para evitar asignaciones repetidas
+    const recentAssignmentPenalty = metrics.lastAssignedAreas && 
+      metrics.lastAssignedAreas[area] && 
+      daysSinceLastAssignment < 30 ? -10 : 0;
+    
+    // Calcular puntaje final (mayor = mejor candidato)
+    const score = 
+      (daysSinceLastAssignment * 0.2) + // Factor de tiempo desde última asignación
+      ((10 - areaAssignmentCount) * 0.25) + // Factor de frecuencia de asignación (mayor peso)
+      (workloadDifference * 0.3) + // Factor de balance de carga 
+      (completionRateBonus * 0.15) + // Factor de tasa de completado (menor peso)
+      ((1 - totalTasksRatio) * 0.1) + // Factor de total histórico
+      (randomFactor * 0.15) + // Nuevo factor aleatorio para introducir variación
+      preferenceScore + // Preferencias de áreas del usuario
+      recentAssignmentPenalty; // Penalización para evitar asignaciones repetidas
+      
+    return {
+      user,
+      userId: userId,
+      score,
+      metrics: {
+        daysSinceLastAssignment,
+        areaAssignmentCount,
+        workloadDifference,
+        completionRate: metrics.completionRate || 1,
+        totalTasksRatio,
+        randomFactor,
+        preferenceScore
+      }
+    };
+  });
+  
+  // Ordenar usuarios por puntaje (descendente)
+  scoredUsers.sort((a, b) => b.score - a.score);
+  
+  // Debug para ver puntuaciones (solo en desarrollo)
+  if (process.env.NODE_ENV === 'development') {
+    console.log(`Puntuaciones para ${area}:`, 
+      scoredUsers.map(u => ({ 
+        nombre: u.user.fullName, 
+        puntuación: u.score.toFixed(2),
+        métricas: u.metrics
+      }))
+    );
+  }
+  
+  return scoredUsers;
+}
+
+// ¿Alguno de los dos prefiere no compartir tarea con el otro?
+function avoidsPairing(userMetrics, userId, otherId) {
+  return [[userId, otherId], [otherId, userId]].some(([a, b]) =>
+    (userMetrics[a]?.preferences?.avoidPartners || []).includes(b)
+  );
+}
+
+// Elegir los responsables uno a uno, penalizando las parejas que alguno prefiere evitar
+function pickResponsibles(candidates, peopleNeeded, userMetrics) {
+  const remaining = [...candidates];
+  const selected = [];
+
+  while (selected.length < peopleNeeded && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestPenalty = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((candidate, index) => {
+      const conflicts = selected.filter(other => avoidsPairing(userMetrics, candidate.userId, other.userId));
+      const partnerPenalty = PREFERENCE_WEIGHT * PREFERENCE_SCORES.avoidedPartner * conflicts.length;
+      if (candidate.score + partnerPenalty > bestScore) {
+        bestIndex = index;
+        bestPenalty = partnerPenalty;
+        bestScore = candidate.score + partnerPenalty;
+      }
+    });
+
+    const [chosen] = remaining.splice(bestIndex, 1);
+    selected.push({
+      ...chosen,
+      score: bestScore,
+      metrics: { ...chosen.metrics, preferenceScore: chosen.metrics.preferenceScore + bestPenalty }
+    });
+  }
+
+  return selected;
+}
+
+// Preferencias que la asignación no pudo respetar
+function findUnsatisfiedPreferences(assignments, userMetrics, usersById) {
+  const fullNameOf = (userId) => usersById.get(userId)?.fullName;
+  const unsatisfied = [];
+
+  assignments.forEach(assignment => {
+    assignment.responsibles.forEach(userId => {
+      const preferences = userMetrics[userId]?.preferences;
+      if (!preferences) return;
+
+      if (preferences.avoidAreas.includes(assignment.area)) {
+        unsatisfied.push({ userId, fullName: fullNameOf(userId), preference: 'avoid_area', area: assignment.area });
+      }
+
+      assignment.responsibles
+        .filter(otherId => otherId !== userId && preferences.avoidPartners.includes(otherId))
+        .forEach(otherId => unsatisfied.push({
+          userId,
+          fullName: fullNameOf(userId),
+          preference: 'avoid_partner',
+          area: assignment.area,
+          partnerId: otherId,
+          partnerName: fullNameOf(otherId)
+        }));
+    });
+  });
+
+  // Área preferida: solo cuenta si alguna de sus áreas preferidas se asignó en esta rotación
+  usersById.forEach((user, userId) => {
+    const preferredAreas = (userMetrics[userId]?.preferences?.preferredAreas || [])
+      .filter(area => assignments.some(assignment => assignment.area === area));
+    if (preferredAreas.length === 0) return;
+
+    const satisfied = assignments.some(assignment =>
+      preferredAreas.includes(assignment.area) && assignment.responsibles.includes(userId)
+    );
+    if (!satisfied) {
+      unsatisfied.push({ userId, fullName: user.fullName, preference: 'preferred_area', areas: preferredAreas });
+    }
+  });
+
+  return unsatisfied;
+}
+
+// Función para seleccionar responsables óptimos para un área
+function selectResponsiblesForArea(areaInfo, availableUsers, userMetrics, targetWorkload, random = Math.random, now = new Date()) {
+  const selectedResponsibles = pickResponsibles(
+    scoreUsersForArea(areaInfo, availableUsers, userMetrics, targetWorkload, random, now),
+    areaInfo.peopleNeeded,
+    userMetrics
+  ).map(candidate => candidate.userId);
+
+  console.log(`Asignados para ${areaInfo.area}: ${selectedResponsibles.length} usuarios`);
+  return selectedResponsibles;
+}
+
+module.exports = {
+  SOLVERS,
+  rotationError,
+  calculateEndDate,
+  loadRotationContext,
+  planRotation,
+  replayPlan,
+  buildRotationPlan,
+  findUnavailablePlanUsers,
+  applyRotationPlan,
+  applyAreaRotation,
+  closeActivePeriod,
+  classifyTaskOutcome,
+  normalizePreferences,
+  calculateUserMetrics,
+  scoreUsersForArea,
+  pickResponsibles,
+  findUnsatisfiedPreferences,
+  selectResponsiblesForArea,
+  selectVerifiers
+};
@@ -0,0 +1,168 @@
+// services/rotationSolver.js
+// Solver global de la rotación: búsqueda local sobre la matriz completa de asignaciones
+const DAY = 24 * 60 * 60 * 1000;
+
+const SOLVERS = ['greedy', 'optimal'];
+
+// Reinicios de la búsqueda local (más reinicios = más chances de escapar de óptimos locales)
+const SOLVER_RESTARTS = parseInt(process.env.ROTATION_SOLVER_RESTARTS) || 20;
+const MAX_ITERATIONS = 500;
+
+// Una asignación repetida dentro de esta ventana cuenta como repetición reciente
+const REPEAT_WINDOW_DAYS = 30;
+
+// Pesos del costo (menor costo = asignación más justa)
+const COST_WEIGHTS = {
+  recentRepeat: 10,
+  historicalRepeat: 0.25
+};
+
+// Costo y métricas de equidad de una asignación
+// slots: [{ areaInfo, presentIds }]; responsibles: lista de IDs por slot
+function evaluateAssignment(slots, responsibles, metrics, target, { now = new Date(), preference = {} } = {}) {
+  const userIds = Object.keys(metrics);
+  const loads = Object.fromEntries(userIds.map(userId => [userId, metrics[userId].currentWorkload || 0]));
+  const areasPerUser = Object.fromEntries(userIds.map(userId => [userId, 0]));
+
+  let recentRepeats = 0;
+  let historicalRepeats = 0;
+  let preferencePenalty = 0;
+  const weight = preference.weight || 0;
+  const scores = preference.scores || {};
+
+  slots.forEach((slot, index) => {
+    const area = slot.areaInfo.area;
+    const assigned = responsibles[index];
+
+    assigned.forEach(userId => {
+      const userMetrics = metrics[userId] || {};
+      loads[userId] = (loads[userId] || 0) + slot.areaInfo.difficulty;
+      areasPerUser[userId] = (areasPerUser[userId] || 0) + 1;
+
+      const lastAssigned = userMetrics.lastAssignedAreas?.[area];
+      if (lastAssigned && now - new Date(lastAssigned) < REPEAT_WINDOW_DAYS * DAY) recentRepeats++;
+      historicalRepeats += userMetrics.areaAssignmentCounts?.[area] || 0;
+
+      const preferences = userMetrics.preferences;
+      if (!preferences || weight === 0) return;
+      if (preferences.preferredAreas.includes(area)) preferencePenalty -= weight * scores.preferredArea;
+      if (preferences.avoidAreas.includes(area)) preferencePenalty -= weight * scores.avoidedArea;
+      assigned
+        .filter(otherId => otherId !== userId && preferences.avoidPartners.includes(otherId))
+        .forEach(() => { preferencePenalty -= weight * scores.avoidedPartner; });
+    });
+  });
+
+  const values = userIds.map(userId => loads[userId]);
+  const squaredDeviation = values.reduce((sum, load) => sum + (load - target) ** 2, 0);
+
+  return {
+    cost: squaredDeviation +
+      COST_WEIGHTS.recentRepeat * recentRepeats +
+      COST_WEIGHTS.historicalRepeat * historicalRepeats +
+      preferencePenalty,
+    workloadStdDev: values.length > 0 ? Math.sqrt(squaredDeviation / values.length) : 0,
+    maxWorkload: values.length > 0 ? Math.max(...values) : 0,
+    minWorkload: values.length > 0 ? Math.min(...values) : 0,
+    maxAreasPerUser: Math.max(0, ...Object.values(areasPerUser)),
+    recentRepeats,
+    historicalRepeats,
+    preferencePenalty
+  };
+}
+
+// Movimientos válidos: reemplazar a un responsable o intercambiar responsables entre dos áreas
+function listMoves(slots, responsibles) {
+  const moves = [];
+
+  slots.forEach((slot, a) => {
+    responsibles[a].forEach((userId, k) => {
+      slot.presentIds.forEach(candidateId => {
+        if (!responsibles[a].includes(candidateId)) moves.push({ type: 'replace', a, k, userId: candidateId });
+      });
+
+      for (let b = a + 1; b < slots.length; b++) {
+        responsibles[b].forEach((otherId, l) => {
+          if (otherId === userId) return;
+          if (!slots[b].presentIds.has(userId) || responsibles[b].includes(userId)) return;
+          if (!slot.presentIds.has(otherId) || responsibles[a].includes(otherId)) return;
+          moves.push({ type: 'swap', a, k, b, l });
+        });
+      }
+    });
+  });
+
+  return moves;
+}
+
+function applyMove(responsibles, move) {
+  const next = responsibles.map(list => [...list]);
+  if (move.type === 'replace') {
+    next[move.a][move.k] = move.userId;
+  } else {
+    const userId = next[move.a][move.k];
+    next[move.a][move.k] = next[move.b][move.l];
+    next[move.b][move.l] = userId;
+  }
+  return next;
+}
+
+// Descenso por mejor mejora hasta llegar a un óptimo local
+function descend(responsibles, costOf) {
+  let current = responsibles;
+  let currentCost = costOf(current);
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    let best = null;
+    let bestCost = currentCost;
+
+    listMoves(current.slots, current.responsibles).forEach(move => {
+      const candidate = applyMove(current.responsibles, move);
+      const cost = costOf({ slots: current.slots, responsibles: candidate });
+      if (cost < bestCost - 1e-9) {
+        best = candidate;
+        bestCost = cost;
+      }
+    });
+
+    if (!best) break;
+    current = { slots: current.slots, responsibles: best };
+    currentCost = bestCost;
+  }
+
+  return { responsibles: current.responsibles, cost: currentCost };
+}
+
+// Perturbar una solución con algunos reemplazos aleatorios válidos
+function perturb(slots, responsibles, random, steps = 3) {
+  let next = responsibles;
+  for (let step = 0; step < steps; step++) {
+    const moves = listMoves(slots, next).filter(move => move.type === 'replace');
+    if (moves.length === 0) break;
+    next = applyMove(next, moves[Math.floor(random() * moves.length)]);
+  }
+  return next;
+}
+
+// Optimizar toda la asignación a la vez partiendo de una solución inicial válida (p. ej. la voraz)
+function optimizeAssignment({ slots, metrics, target, initial, random = Math.random, now = new Date(), preference }) {
+  const costOf = (solution) =>
+    evaluateAssignment(solution.slots, solution.responsibles, metrics, target, { now, preference }).cost;
+
+  let best = descend({ slots, responsibles: initial.map(list => [...list]) }, costOf);
+
+  for (let restart = 0; restart < SOLVER_RESTARTS; restart++) {
+    const start = perturb(slots, best.responsibles, random);
+    const candidate = descend({ slots, responsibles: start }, costOf);
+    if (candidate.cost < best.cost - 1e-9) best = candidate;
+  }
+
+  return best;
+}
+
+module.exports = {
+  SOLVERS,
+  COST_WEIGHTS,
+  evaluateAssignment,
+  optimizeAssignment
+};
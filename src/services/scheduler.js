@@ -0,0 +1,159 @@
+// services/scheduler.js
+// Rotación programada: cada área se reasigna solo cuando vence su propia tarea
+const CleaningTask = require('../models/cleaningTask');
+const Area = require('../models/area');
+const {
+  loadRotationContext,
+  planRotation,
+  applyAreaRotation
+} = require('./rotation');
+const { dispatchReminders } = require('./reminders');
+const { issueFines } = require('./fines');
+const { expireSwapRequests, invalidateSwapRequests } = require('./swapRequests');
+const { invalidateSwapOffers } = require('./swapOffers');
+const { refreshDelegations } = require('./delegations');
+const { recordAudit } = require('./audit');
+const { publishEvent } = require('./events');
+
+// Intervalo del programador en proceso (minutos)
+const SCHEDULER_INTERVAL = parseInt(process.env.ROTATION_SCHEDULER_INTERVAL) || 60;
+
+// Solver usado por la rotación programada
+const SCHEDULER_SOLVER = process.env.ROTATION_SOLVER || 'greedy';
+
+let running = false;
+
+// Detectar las áreas cuya tarea vigente llegó a su endDate (o que no tienen tarea)
+async function findDueAreas(now = new Date()) {
+  await Area.ensureDefaults();
+
+  const [areas, currentTasks] = await Promise.all([
+    Area.find().lean(),
+    CleaningTask.find({ archived: { $ne: true } }).sort({ endDate: -1 }).lean()
+  ]);
+
+  const areasByName = new Map(areas.map(area => [area.name, area]));
+  const dueTasks = currentTasks.filter(task => new Date(task.endDate) <= now);
+  const ongoingTasks = currentTasks.filter(task => new Date(task.endDate) > now);
+
+  const dueAreas = areas.filter(area =>
+    area.active && !ongoingTasks.some(task => task.area === area.name)
+  );
+
+  return { areasByName, dueAreas, dueTasks, ongoingTasks };
+}
+
+// Ejecutar una pasada del programador
+async function runScheduledRotation({ now = new Date() } = {}) {
+  if (running) {
+    console.log('Rotación programada en curso, se omite esta ejecución');
+    return { skipped: true, rotatedAreas: [] };
+  }
+
+  running = true;
+  try {
+    const { areasByName, dueAreas, dueTasks, ongoingTasks } = await findDueAreas(now);
+
+    if (dueAreas.length === 0) {
+      // Tareas vencidas de áreas desactivadas: solo se archivan
+      if (dueTasks.length > 0) {
+        await CleaningTask.updateMany(
+          { _id: { $in: dueTasks.map(task => task._id) } },
+          { $set: { archived: true } }
+        );
+        await invalidateSwapRequests(dueTasks.map(task => task._id), 'task_rotated', { now });
+        await invalidateSwapOffers(dueTasks.map(task => task._id), { now });
+      }
+      return { rotatedAreas: [], archivedTasks: dueTasks.length };
+    }
+
+    console.log(`Áreas vencidas para rotar: ${dueAreas.map(area => area.name).join(', ')}`);
+
+    const context = await loadRotationContext({ now });
+    const dueAreaNames = new Set(dueAreas.map(area => area.name));
+
+    const plan = planRotation({
+      ...context,
+      areaConfig: context.areaConfig.filter(area => dueAreaNames.has(area.area)),
+      ongoingTasks: ongoingTasks.map(task => {
+        const area = areasByName.get(task.area) || {};
+        return {
+          area: task.area,
+          difficulty: area.difficulty || 1,
+          peopleNeeded: task.responsibles.length,
+          responsibles: task.responsibles
+        };
+      }),
+      now,
+      solver: SCHEDULER_SOLVER
+    });
+
+    const period = await applyAreaRotation(plan, {
+      tasksToArchive: dueTasks,
+      trigger: 'scheduled',
+      now
+    });
+
+    await recordAudit({
+      action: 'rotation.scheduled',
+      affectedUsers: plan.assignments.flatMap(assignment => assignment.responsibles),
+      after: {
+        assignments: plan.assignments.map(assignment => ({
+          area: assignment.area,
+          responsibles: assignment.responsibles,
+          verifiers: assignment.verifiers
+        }))
+      },
+      metadata: { period: period._id.toString(), solver: plan.solver, archivedTasks: dueTasks.length }
+    });
+
+    await publishEvent({
+      type: 'rotation.created',
+      users: plan.assignments.flatMap(assignment => assignment.responsibles),
+      broadcast: true,
+      data: { period: period._id.toString(), areas: period.areas, scheduled: true }
+    });
+
+    return {
+      rotatedAreas: period.areas,
+      archivedTasks: dueTasks.length,
+      period: period._id
+    };
+  } finally {
+    running = false;
+  }
+}
+
+// Iniciar el programador en proceso (solo en modo servidor de larga duración)
+function startScheduler() {
+  const tick = async () => {
+    await runScheduledRotation().catch(error => {
+      console.error('Error en la rotación programada:', error.message);
+    });
+    await dispatchReminders().catch(error => {
+      console.error('Error al enviar recordatorios:', error.message);
+    });
+    await issueFines().catch(error => {
+      console.error('Error al emitir multas:', error.message);
+    });
+    await expireSwapRequests().catch(error => {
+      console.error('Error al vencer solicitudes de intercambio:', error.message);
+    });
+    await refreshDelegations().catch(error => {
+      console.error('Error al sincronizar delegaciones:', error.message);
+    });
+  };
+
+  // La primera pasada espera un intervalo completo: reiniciar el servidor no rota ni multa de inmediato
+  console.log(`Programador de rotación, recordatorios y multas activo (cada ${SCHEDULER_INTERVAL} minutos)`);
+
+  const timer = setInterval(tick, SCHEDULER_INTERVAL * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  findDueAreas,
+  runScheduledRotation,
+  startScheduler
+};
@@ -0,0 +1,164 @@
+// services/stats.js
+// Contadores de User.stats y estadísticas por rango de fechas
+const CleaningTask = require('../models/cleaningTask');
+const User = require('../models/user');
+const { acceptedStandIns } = require('./delegations');
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+// Usuarios a los que se acredita el resultado de una tarea, con las mismas reglas que
+// calculateUserMetrics: el suplente que aceptó cubrir a un responsable ocupa su lugar, y en las
+// tareas anteriores a las delegaciones el responsable temporal se suma a los responsables
+const creditedUsers = (task) => {
+  const standIns = acceptedStandIns(task);
+  const ids = new Set((task.responsibles || []).map(responsible => standIns.get(toId(responsible)) || toId(responsible)));
+  if (task.temporaryResponsible && (task.delegations || []).length === 0) ids.add(toId(task.temporaryResponsible));
+  return [...ids];
+};
+
+// Resultado definitivo de la verificación: 'approved', 'rejected' o null si aún puede cambiar
+function getTaskOutcome(task) {
+  if (!task.completed) return null;
+
+  // Sin verificadores la tarea nunca se verifica, así que no tiene resultado
+  const totalVerifiers = (task.verifiers || []).length;
+  if (totalVerifiers === 0) return null;
+
+  const verifications = task.verifications || [];
+  const approvedCount = verifications.filter(v => v.approved).length;
+  const rejectedCount = verifications.length - approvedCount;
+  const remaining = Math.max(totalVerifiers - verifications.length, 0);
+
+  // Mismo criterio que verifyTask: con todas las verificaciones, empate = rechazada
+  if (approvedCount > rejectedCount + remaining) return 'approved';
+  if (approvedCount + remaining <= rejectedCount) return 'rejected';
+  return null;
+}
+
+const OUTCOME_FIELDS = {
+  approved: 'stats.tasksCompleted',
+  rejected: 'stats.tasksRejected'
+};
+
+// Acreditar el resultado de una tarea una sola vez (se marca en task.statsOutcome)
+async function settleTaskStats(task) {
+  const outcome = getTaskOutcome(task);
+  if (!outcome || task.statsOutcome) return null;
+
+  const claimed = await CleaningTask.updateOne(
+    { _id: task._id, statsOutcome: { $exists: false } },
+    { $set: { statsOutcome: outcome } }
+  );
+  if (claimed.modifiedCount === 0) return null;
+
+  task.statsOutcome = outcome;
+  await User.updateMany(
+    { _id: { $in: creditedUsers(task) } },
+    { $inc: { [OUTCOME_FIELDS[outcome]]: 1 } }
+  );
+
+  return outcome;
+}
+
+// Revertir lo acreditado cuando una tarea vuelve a quedar incompleta
+async function revertTaskStats(task) {
+  if (task.statsOutcome) {
+    const released = await CleaningTask.updateOne(
+      { _id: task._id, statsOutcome: task.statsOutcome },
+      { $unset: { statsOutcome: 1 } }
+    );
+    if (released.modifiedCount > 0) {
+      await User.updateMany(
+        { _id: { $in: creditedUsers(task) } },
+        { $inc: { [OUTCOME_FIELDS[task.statsOutcome]]: -1 } }
+      );
+    }
+  }
+
+  // Las verificaciones se descartan, así que tampoco cuentan para los verificadores
+  const verifierIds = (task.verifications || []).map(v => toId(v.verifier));
+  if (verifierIds.length > 0) {
+    await User.updateMany(
+      { _id: { $in: verifierIds } },
+      { $inc: { 'stats.tasksVerified': -1 } }
+    );
+  }
+}
+
+const emptyCounters = () => ({ assigned: 0, completed: 0, rejected: 0, incomplete: 0, pending: 0 });
+
+// completado / (completado + rechazado + incompleto); null si no hay tareas evaluables
+const completionRate = (counters) => {
+  const evaluable = counters.completed + counters.rejected + counters.incomplete;
+  return evaluable > 0 ? counters.completed / evaluable : null;
+};
+
+// Estadísticas por usuario y por área para las tareas que se superponen con [from, to]
+async function computeStats({ from, to, area, now = new Date() }) {
+  const filter = { startDate: { $lte: to }, endDate: { $gte: from } };
+  if (area) filter.area = area;
+
+  const [tasks, users] = await Promise.all([
+    CleaningTask.find(filter).lean(),
+    User.find({}, 'fullName active stats').lean()
+  ]);
+
+  const byUser = new Map(users.map(user => [user._id.toString(), {
+    userId: user._id.toString(),
+    fullName: user.fullName,
+    active: user.active !== false,
+    ...emptyCounters(),
+    verificationsDone: 0,
+    byArea: {},
+    allTime: user.stats
+  }]));
+
+  tasks.forEach(task => {
+    const outcome = task.statsOutcome || getTaskOutcome(task);
+    const ended = new Date(task.endDate) < now;
+
+    creditedUsers(task).forEach(userId => {
+      const entry = byUser.get(userId);
+      if (!entry) return;
+
+      const areaEntry = entry.byArea[task.area] = entry.byArea[task.area] || emptyCounters();
+      [entry, areaEntry].forEach(counters => {
+        counters.assigned++;
+        if (outcome === 'approved') counters.completed++;
+        else if (outcome === 'rejected') counters.rejected++;
+        else if (ended && !task.completed) counters.incomplete++;
+        else counters.pending++;
+      });
+    });
+
+    (task.verifications || []).forEach(verification => {
+      const entry = byUser.get(toId(verification.verifier));
+      if (entry) entry.verificationsDone++;
+    });
+  });
+
+  const ranking = [...byUser.values()]
+    .filter(entry => entry.assigned > 0 || entry.verificationsDone > 0)
+    .map(entry => {
+      Object.values(entry.byArea).forEach(counters => {
+        counters.completionRate = completionRate(counters);
+      });
+      return { ...entry, completionRate: completionRate(entry) };
+    })
+    .sort((a, b) =>
+      (b.completionRate ?? -1) - (a.completionRate ?? -1) ||
+      b.completed - a.completed ||
+      b.verificationsDone - a.verificationsDone
+    )
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+  return { from, to, area: area || null, totalTasks: tasks.length, ranking };
+}
+
+module.exports = {
+  getTaskOutcome,
+  settleTaskStats,
+  revertTaskStats,
+  computeStats,
+  creditedUsers
+};
@@ -0,0 +1,166 @@
+// services/swapOffers.js
+// Ofertas abiertas de tareas: elegibilidad, traspaso de responsabilidad y créditos de favor
+const mongoose = require('mongoose');
+const CleaningTask = require('../models/cleaningTask');
+const SwapOffer = require('../models/swapOffer');
+const { isAway } = require('./availability');
+const { refreshDelegations, isStandIn } = require('./delegations');
+const { recordAudit, snapshotSwapOffer } = require('./audit');
+
+// Si está activo, tomar una oferta queda pendiente hasta que un administrador la apruebe
+const SWAP_OFFERS_REQUIRE_APPROVAL = process.env.SWAP_OFFERS_REQUIRE_APPROVAL === 'true';
+
+// Estados en los que la oferta sigue activa
+const ACTIVE_OFFER_STATUSES = ['open', 'pending_approval'];
+
+const EMPTY_CREDITS = { earned: 0, spent: 0, balance: 0, covered: 0, given: 0 };
+
+// ¿El usuario es responsable (o suplente) de la tarea?
+function isTaskResponsible(task, userId) {
+  const id = userId.toString();
+  return (task.responsibles || []).some(r => (r._id || r).toString() === id) || isStandIn(task, id);
+}
+
+// Motivo por el que el usuario no puede tomar la tarea (null si puede)
+function claimIneligibility(task, userId, absences = [], now = new Date()) {
+  if (task.completed || task.archived) return 'La tarea ya no está vigente';
+  if (new Date(task.endDate) <= now) return 'La tarea ya venció';
+  if (isTaskResponsible(task, userId)) return 'Ya eres responsable de esta tarea';
+  // Quien verifica la tarea no puede hacerla: terminaría aprobando su propio trabajo
+  if ((task.verifiers || []).some(v => (v._id || v).toString() === userId.toString())) {
+    return 'Eres verificador de esta tarea';
+  }
+
+  const from = new Date(task.startDate) > now ? task.startDate : now;
+  if (isAway(absences, userId, from, task.endDate)) {
+    return 'Tienes una ausencia registrada durante esta tarea';
+  }
+
+  return null;
+}
+
+// Pasar la tarea de quien la ofreció a quien la tomó, dejando registro en el historial
+// Devuelve la tarea actualizada o null si el oferente ya no es responsable o la tarea se completó
+async function transferResponsibility(offer, { actor, now = new Date() } = {}) {
+  const from = offer.offeredBy;
+  const to = offer.claimedBy;
+  const entry = { from, to, reason: 'swap_offer', offer: offer._id, changedBy: actor, changedAt: now };
+
+  const task = await CleaningTask.findOneAndUpdate(
+    { _id: offer.task, completed: false, archived: { $ne: true }, responsibles: { $all: [from], $ne: to }, verifiers: { $ne: to } },
+    { $set: { 'responsibles.$[slot]': to }, $push: { responsibilityHistory: entry } },
+    { new: true, arrayFilters: [{ slot: from }] }
+  );
+  if (!task) return null;
+
+  // Las delegaciones de quien cedió la tarea dejan de valer
+  await refreshDelegations({ now, taskIds: [task._id], actor });
+  return CleaningTask.findById(task._id);
+}
+
+// Motivo por el que una oferta activa ya no se puede traspasar (null si sigue vigente)
+function staleOfferReason(offer, task) {
+  if (!task || task.archived) return 'task_rotated';
+  if (task.completed) return 'task_completed';
+  const stillResponsible = (task.responsibles || []).some(r => r.toString() === offer.offeredBy.toString());
+  return stillResponsible ? null : 'task_reassigned';
+}
+
+// Cerrar las ofertas activas de las tareas indicadas que quedaron obsoletas (tarea completada,
+// archivada o eliminada, o quien la ofreció ya no es responsable) y auditarlas
+async function invalidateSwapOffers(taskIds, { actor, now = new Date() } = {}) {
+  const ids = taskIds.filter(Boolean).map(id => id.toString());
+  if (ids.length === 0) return 0;
+
+  const offers = await SwapOffer.find({ task: { $in: ids }, status: { $in: ACTIVE_OFFER_STATUSES } });
+  if (offers.length === 0) return 0;
+
+  const tasks = await CleaningTask.find({ _id: { $in: ids } }, 'responsibles completed archived').lean();
+  const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+
+  let closed = 0;
+  for (const offer of offers) {
+    const reason = staleOfferReason(offer, tasksById.get(offer.task.toString()));
+    if (!reason) continue;
+
+    if (await invalidateOffer(offer, reason, { actor, now })) closed++;
+  }
+
+  return closed;
+}
+
+// Invalidar una oferta con su motivo, solo si nadie la resolvió desde que se leyó, y auditarlo
+// Devuelve la oferta invalidada o null si su estado ya había cambiado
+async function invalidateOffer(offer, reason, { actor, now = new Date() } = {}) {
+  const invalidated = await SwapOffer.findOneAndUpdate(
+    { _id: offer._id, status: offer.status },
+    { $set: { status: 'invalidated', invalidatedReason: reason, resolvedAt: now } },
+    { new: true }
+  );
+  if (!invalidated) return null;
+
+  await recordAudit({
+    actor,
+    action: 'swap_offer.invalidated',
+    targetTask: offer.task,
+    targetUser: offer.offeredBy,
+    affectedUsers: [offer.offeredBy, offer.claimedBy],
+    before: snapshotSwapOffer(offer),
+    after: snapshotSwapOffer(invalidated),
+    metadata: { offer: offer._id.toString(), reason }
+  });
+
+  return invalidated;
+}
+
+// Créditos de favor por usuario: ganados al cubrir tareas ajenas, gastados al ceder las propias
+async function getFavorBalances(userIds) {
+  const match = { status: 'claimed' };
+  const ids = userIds ? userIds.map(id => new mongoose.Types.ObjectId(id)) : undefined;
+
+  const [earned, spent] = await Promise.all([
+    SwapOffer.aggregate([
+      { $match: ids ? { ...match, claimedBy: { $in: ids } } : match },
+      { $group: { _id: '$claimedBy', credits: { $sum: '$credits' }, count: { $sum: 1 } } }
+    ]),
+    SwapOffer.aggregate([
+      { $match: ids ? { ...match, offeredBy: { $in: ids } } : match },
+      { $group: { _id: '$offeredBy', credits: { $sum: '$credits' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const balances = {};
+  const entry = (userId) => {
+    balances[userId] = balances[userId] || { ...EMPTY_CREDITS };
+    return balances[userId];
+  };
+
+  earned.forEach(row => {
+    const balance = entry(row._id.toString());
+    balance.earned += row.credits;
+    balance.covered += row.count;
+  });
+  spent.forEach(row => {
+    const balance = entry(row._id.toString());
+    balance.spent += row.credits;
+    balance.given += row.count;
+  });
+  Object.values(balances).forEach(balance => {
+    balance.balance = balance.earned - balance.spent;
+  });
+
+  return balances;
+}
+
+module.exports = {
+  SWAP_OFFERS_REQUIRE_APPROVAL,
+  ACTIVE_OFFER_STATUSES,
+  EMPTY_CREDITS,
+  isTaskResponsible,
+  claimIneligibility,
+  transferResponsibility,
+  staleOfferReason,
+  invalidateOffer,
+  invalidateSwapOffers,
+  getFavorBalances
+};
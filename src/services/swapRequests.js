@@ -0,0 +1,117 @@
+// services/swapRequests.js
+// Ciclo de vida de las solicitudes de intercambio: vencimiento, cancelación e invalidación automática
+const CleaningTask = require('../models/cleaningTask');
+const { recordAudit, snapshotTask, taskParticipants } = require('./audit');
+const { publishSwapEvent } = require('./events');
+
+const HOUR = 60 * 60 * 1000;
+
+// Horas que una solicitud pendiente sigue vigente (nunca más allá del fin de las tareas)
+const SWAP_REQUEST_TTL_HOURS = parseInt(process.env.SWAP_REQUEST_TTL_HOURS) || 72;
+
+// Fecha de vencimiento de una solicitud nueva
+function swapRequestExpiry(requestedTask, offeredTask, now = new Date()) {
+  return new Date(Math.min(
+    now.getTime() + SWAP_REQUEST_TTL_HOURS * HOUR,
+    new Date(requestedTask.endDate).getTime(),
+    new Date(offeredTask.endDate).getTime()
+  ));
+}
+
+// ¿La solicitud pendiente ya venció? (las anteriores a expiresAt vencen según createdAt)
+function isSwapRequestExpired(request, now = new Date()) {
+  const expiresAt = request.expiresAt
+    ? new Date(request.expiresAt)
+    : new Date(new Date(request.createdAt).getTime() + SWAP_REQUEST_TTL_HOURS * HOUR);
+  return expiresAt <= now;
+}
+
+// Cerrar una solicitud pendiente con su estado final y el motivo
+function closeSwapRequest(request, status, reason, now = new Date()) {
+  request.status = status;
+  request.closedReason = reason;
+  request.closedAt = now;
+}
+
+// Cerrar en cada tarea las solicitudes pendientes que cumplan `matches` y auditarlas
+async function closeMatching(tasks, matches, { status, reason, actor, now }) {
+  let closed = 0;
+
+  for (const task of tasks) {
+    const before = snapshotTask(task);
+    const requests = task.swapRequests.filter(request => request.status === 'pending' && matches(task, request));
+    if (requests.length === 0) continue;
+
+    requests.forEach(request => closeSwapRequest(request, status, reason, now));
+    await task.save();
+    closed += requests.length;
+
+    for (const request of requests) {
+      await recordAudit({
+        actor,
+        action: status === 'expired' ? 'swap.expired' : 'swap.invalidated',
+        targetTask: task._id,
+        targetUser: request.requestedBy,
+        affectedUsers: taskParticipants(task),
+        before,
+        after: snapshotTask(task),
+        metadata: { swapRequest: request._id.toString(), offeredTask: request.targetTask.toString(), reason }
+      });
+      await publishSwapEvent(status === 'expired' ? 'swap.expired' : 'swap.cancelled', task, request, { actor, reason });
+    }
+  }
+
+  return closed;
+}
+
+// Cancelar las solicitudes pendientes en las que participa alguna de las tareas (pedida u ofrecida)
+async function invalidateSwapRequests(taskIds, reason, { actor, now = new Date() } = {}) {
+  const ids = taskIds.filter(Boolean).map(id => id.toString());
+  if (ids.length === 0) return 0;
+
+  const tasks = await CleaningTask.find({
+    'swapRequests.status': 'pending',
+    $or: [
+      { _id: { $in: ids } },
+      { swapRequests: { $elemMatch: { status: 'pending', targetTask: { $in: ids } } } }
+    ]
+  });
+
+  return closeMatching(
+    tasks,
+    (task, request) => ids.includes(task._id.toString()) || ids.includes(request.targetTask.toString()),
+    { status: 'cancelled', reason, actor, now }
+  );
+}
+
+// Marcar como vencidas las solicitudes pendientes que superaron su expiresAt
+async function expireSwapRequests({ now = new Date() } = {}) {
+  const legacyCutoff = new Date(now.getTime() - SWAP_REQUEST_TTL_HOURS * HOUR);
+
+  const tasks = await CleaningTask.find({
+    swapRequests: {
+      $elemMatch: {
+        status: 'pending',
+        $or: [
+          { expiresAt: { $lte: now } },
+          { expiresAt: { $exists: false }, createdAt: { $lte: legacyCutoff } }
+        ]
+      }
+    }
+  });
+
+  return closeMatching(
+    tasks,
+    (task, request) => isSwapRequestExpired(request, now),
+    { status: 'expired', reason: 'expired', now }
+  );
+}
+
+module.exports = {
+  SWAP_REQUEST_TTL_HOURS,
+  swapRequestExpiry,
+  isSwapRequestExpired,
+  closeSwapRequest,
+  invalidateSwapRequests,
+  expireSwapRequests
+};
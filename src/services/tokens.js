@@ -0,0 +1,114 @@
+// services/tokens.js
+// Emisión de access tokens de corta duración y refresh tokens rotativos
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+// Vigencia del refresh token (segundos)
+const REFRESH_TOKEN_EXPIRES = parseInt(process.env.REFRESH_TOKEN_EXPIRES) || 30 * 24 * 60 * 60;
+// Cantidad de refresh tokens usados que se recuerdan por sesión
+const MAX_USED_TOKENS = 20;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Error con código HTTP para las respuestas del controlador
+const tokenError = (message, status = 401) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const signAccessToken = (user, session) => jwt.sign({
+  id: user._id,
+  isAdmin: user.isAdmin,
+  sid: session._id
+}, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+
+const buildTokenResponse = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN
+});
+
+// Crear una sesión nueva (login, registro o cambio de contraseña)
+async function issueSession(user, req) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req?.get ? req.get('User-Agent') : undefined,
+    ip: req?.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES * 1000)
+  });
+
+  return buildTokenResponse(user, session, refreshToken);
+}
+
+// Rotar el refresh token; si llega uno ya usado se revoca toda la sesión
+async function rotateRefreshToken(refreshToken, loadUser) {
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const compromised = await Session.findOne({ usedTokenHashes: tokenHash });
+    if (compromised && !compromised.revokedAt) {
+      compromised.revokedAt = new Date();
+      compromised.revokedReason = 'reuse_detected';
+      await compromised.save();
+      console.warn(`Reutilización de refresh token detectada en la sesión ${compromised._id}`);
+    }
+    throw tokenError('Refresh token inválido');
+  }
+
+  if (session.revokedAt || session.expiresAt < new Date()) {
+    throw tokenError('La sesión fue cerrada');
+  }
+
+  const user = await loadUser(session.user);
+  if (!user || user.active === false) {
+    throw tokenError('Refresh token inválido');
+  }
+
+  // Actualización atómica: si dos pedidos usan el mismo token, solo uno rota la sesión
+  const nextToken = crypto.randomBytes(48).toString('hex');
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES * 1000)
+      },
+      $push: { usedTokenHashes: { $each: [tokenHash], $slice: -MAX_USED_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw tokenError('Refresh token inválido');
+  }
+
+  return { user, ...buildTokenResponse(user, rotated, nextToken) };
+}
+
+// Revocar una sesión puntual
+const revokeSession = (sessionId, reason = 'logout') => Session.updateOne(
+  { _id: sessionId, revokedAt: { $exists: false } },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// Revocar todas las sesiones de un usuario (opcionalmente salvo una)
+const revokeAllSessions = (userId, reason = 'logout_all', exceptSessionId) => {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+module.exports = {
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
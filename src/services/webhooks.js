@@ -0,0 +1,282 @@
+// services/webhooks.js
+// Webhooks salientes: firma HMAC, reintentos con espera exponencial y desactivación automática
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../models/webhookSubscription');
+const WebhookDelivery = require('../models/webhookDelivery');
+const postJson = require('../utils/postJson');
+const { recordAudit, snapshotWebhook } = require('./audit');
+const { SERVERLESS } = require('../config/runtime');
+
+const { WEBHOOK_EVENTS } = WebhookSubscription;
+
+// Intentos por entrega antes de darla por fallida
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+
+// Espera antes del primer reintento; se duplica en cada intento
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 60;
+
+// Intentos fallidos seguidos tras los que se desactiva la suscripción
+const WEBHOOK_DISABLE_AFTER = parseInt(process.env.WEBHOOK_DISABLE_AFTER) || 10;
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+
+// Días que se conserva el registro de entregas
+const WEBHOOK_LOG_RETENTION_DAYS = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 30;
+
+// En serverless la función se congela al responder: el primer intento se espera antes de responder,
+// pero como mucho WEBHOOK_DISPATCH_BUDGET_MS; lo que no termine queda pendiente para el cron
+const WEBHOOK_DISPATCH_BUDGET_MS = parseInt(process.env.WEBHOOK_DISPATCH_BUDGET_MS) || 2000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Clave aleatoria para firmar los envíos de una suscripción
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Firma de un envío: HMAC-SHA256 de "<timestamp>.<cuerpo>" con la clave de la suscripción
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Comprobar la firma de un envío recibido (para los receptores)
+function verifySignature(secret, timestamp, body, signature = '') {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const provided = Buffer.from(signature);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// Espera antes del siguiente intento tras `attempts` intentos fallidos
+const retryDelay = (attempts) => WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+
+// Enviar la entrega firmada y devolver el resultado del intento (no modifica la base)
+async function sendDelivery(subscription, delivery, now = new Date()) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000).toString();
+  const started = Date.now();
+
+  try {
+    const response = await postJson(subscription.url, body, {
+      headers: {
+        'User-Agent': 'OrganizadorDePensiones-Webhooks',
+        'X-Webhook-Event': delivery.type,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+      },
+      timeout: WEBHOOK_TIMEOUT_MS
+    });
+
+    return {
+      attemptedAt: now,
+      statusCode: response.status,
+      error: response.status >= 300 ? `El webhook respondió con estado ${response.status}` : undefined,
+      durationMs: Date.now() - started
+    };
+  } catch (error) {
+    return { attemptedAt: now, error: error.message, durationMs: Date.now() - started };
+  }
+}
+
+// Desactivar la suscripción y dar por fallidas sus entregas pendientes
+async function disableSubscription(subscription, now) {
+  const disabled = await WebhookSubscription.findOneAndUpdate(
+    { _id: subscription._id, active: true },
+    { $set: { active: false, disabledAt: now, disabledReason: 'too_many_failures' } },
+    { new: true }
+  );
+  if (!disabled) return false;
+
+  await WebhookDelivery.updateMany(
+    { subscription: subscription._id, status: 'pending' },
+    { $set: { status: 'failed', lastError: 'Suscripción desactivada por fallos seguidos' } }
+  );
+
+  console.warn(`Webhook desactivado tras ${disabled.consecutiveFailures} fallos seguidos: ${disabled.name}`);
+  await recordAudit({
+    action: 'webhook.disabled',
+    before: snapshotWebhook(subscription),
+    after: snapshotWebhook(disabled),
+    metadata: { webhook: subscription._id.toString(), consecutiveFailures: disabled.consecutiveFailures }
+  });
+
+  return true;
+}
+
+// Actualizar el contador de fallos seguidos de la suscripción; devuelve si quedó desactivada
+async function recordOutcome(subscription, succeeded, now) {
+  if (succeeded) {
+    await WebhookSubscription.updateOne(
+      { _id: subscription._id },
+      { $set: { consecutiveFailures: 0, lastDeliveryAt: now, lastSuccessAt: now } }
+    );
+    return false;
+  }
+
+  const updated = await WebhookSubscription.findOneAndUpdate(
+    { _id: subscription._id, active: true },
+    { $inc: { consecutiveFailures: 1 }, $set: { lastDeliveryAt: now } },
+    { new: true }
+  );
+
+  if (!updated || updated.consecutiveFailures < WEBHOOK_DISABLE_AFTER) return false;
+  return disableSubscription(updated, now);
+}
+
+// Intentar una entrega pendiente; devuelve 'delivered', 'retrying', 'failed' o null si no estaba disponible
+async function attemptDelivery(deliveryId, now = new Date()) {
+  // Reservar la entrega para que otro proceso no la envíe al mismo tiempo
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + WEBHOOK_TIMEOUT_MS * 2) } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+  if (!subscription || !subscription.active) {
+    delivery.status = 'failed';
+    delivery.lastError = 'La suscripción no existe o está desactivada';
+    await delivery.save();
+    return 'failed';
+  }
+
+  const attempt = await sendDelivery(subscription, delivery, now);
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = now;
+    delivery.lastError = undefined;
+  } else {
+    delivery.lastError = attempt.error;
+    if (delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+    } else {
+      delivery.nextAttemptAt = new Date(now.getTime() + retryDelay(delivery.attempts.length));
+    }
+  }
+  await delivery.save();
+
+  const disabled = await recordOutcome(subscription, !attempt.error, now);
+  if (disabled) return 'failed';
+  return delivery.status === 'pending' ? 'retrying' : delivery.status;
+}
+
+// Enviar las entregas pendientes cuyo próximo intento ya llegó
+async function deliverPending({ now = new Date(), ids } = {}) {
+  const filter = { status: 'pending', nextAttemptAt: { $lte: now } };
+  if (ids) filter._id = { $in: ids };
+
+  const due = await WebhookDelivery.find(filter, '_id').sort({ nextAttemptAt: 1 }).limit(100).lean();
+  const summary = { delivered: 0, retrying: 0, failed: 0 };
+
+  // En paralelo: un receptor caído no demora a los demás más que su propio timeout
+  const outcomes = await Promise.all(due.map(({ _id }) => attemptDelivery(_id, now)));
+  outcomes.forEach(outcome => {
+    if (outcome) summary[outcome]++;
+  });
+
+  return summary;
+}
+
+// Esperar una promesa como mucho `ms` milisegundos (sin cancelarla)
+const waitAtMost = (promise, ms) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  promise.finally(() => {
+    clearTimeout(timer);
+    resolve();
+  });
+});
+
+// Crear las entregas y lanzar el primer intento sin bloquear a quien publicó el evento
+// (`wait` espera el resultado completo, para las pruebas y reenvíos pedidos por un administrador)
+async function enqueueDeliveries(entries, { wait = false } = {}) {
+  if (entries.length === 0) return [];
+
+  const expiresAt = new Date(Date.now() + WEBHOOK_LOG_RETENTION_DAYS * DAY);
+  const deliveries = await WebhookDelivery.insertMany(entries.map(entry => ({ ...entry, expiresAt })));
+
+  // En serverless no hay reintentos cada minuto: cada evento aprovecha para reintentar las entregas vencidas
+  const runs = [deliverPending({ ids: deliveries.map(delivery => delivery._id) })];
+  if (SERVERLESS && !wait) runs.push(deliverPending());
+  const run = Promise.all(runs)
+    .catch(error => console.error('Error al enviar webhooks:', error.message));
+
+  if (wait) {
+    await run;
+  } else if (SERVERLESS) {
+    // Si la función se congela a mitad de un envío, la reserva vence y el cron lo reintenta
+    await waitAtMost(run, WEBHOOK_DISPATCH_BUDGET_MS);
+  }
+
+  return deliveries;
+}
+
+// Reintentar cada minuto las entregas pendientes (solo en modo servidor de larga duración)
+function startWebhookRetries() {
+  const timer = setInterval(() => {
+    deliverPending().catch(error => {
+      console.error('Error al reintentar webhooks:', error.message);
+    });
+  }, 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+// Encolar un evento publicado (ya serializado) para las suscripciones activas que lo piden
+async function dispatchWebhooks(event) {
+  if (!WEBHOOK_EVENTS.includes(event.type)) return [];
+
+  const subscriptions = await WebhookSubscription.find({ active: true, events: event.type }, '_id').lean();
+  return enqueueDeliveries(subscriptions.map(subscription => ({
+    subscription: subscription._id,
+    type: event.type,
+    event: event.id,
+    payload: event
+  })));
+}
+
+// Enviar un evento de prueba a una suscripción
+async function sendTestDelivery(subscription, { actor } = {}) {
+  const [delivery] = await enqueueDeliveries([{
+    subscription: subscription._id,
+    type: 'webhook.ping',
+    payload: {
+      id: new mongoose.Types.ObjectId().toString(),
+      type: 'webhook.ping',
+      actor: actor ? actor.toString() : null,
+      data: { webhook: subscription._id.toString(), name: subscription.name },
+      createdAt: new Date()
+    }
+  }], { wait: true });
+  return WebhookDelivery.findById(delivery._id);
+}
+
+// Reenviar una entrega como una nueva (con sus propios intentos)
+async function redeliver(delivery) {
+  const [copy] = await enqueueDeliveries([{
+    subscription: delivery.subscription,
+    type: delivery.type,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id
+  }], { wait: true });
+  return WebhookDelivery.findById(copy._id);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_DISABLE_AFTER,
+  generateSecret,
+  signPayload,
+  verifySignature,
+  retryDelay,
+  sendDelivery,
+  attemptDelivery,
+  deliverPending,
+  startWebhookRetries,
+  dispatchWebhooks,
+  sendTestDelivery,
+  redeliver
+};
@@ -0,0 +1,26 @@
+// utils/csv.js
+// Generador mínimo de CSV (RFC 4180) pensado para abrirse en Excel o Google Sheets
+
+// Las celdas que empiezan con estos caracteres se interpretan como fórmulas en las planillas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Escapar una celda: comillas dobles si hace falta y sin fórmulas inyectadas desde texto libre
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ label, value: (row) => valor }]
+const buildCsv = (columns, rows) => {
+  const lines = [
+    columns.map(column => escapeCell(column.label)).join(','),
+    ...rows.map(row => columns.map(column => escapeCell(column.value(row))).join(','))
+  ];
+
+  // El BOM hace que Excel detecte UTF-8 (acentos y eñes)
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+};
+
+module.exports = { buildCsv, escapeCell };
@@ -0,0 +1,63 @@
+// utils/ical.js
+// Generador mínimo de calendarios iCalendar (RFC 5545)
+
+// Escapar texto según la especificación
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fecha en UTC con el formato YYYYMMDDTHHMMSSZ
+const formatDate = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+// Las líneas de más de 75 octetos se pliegan con CRLF + espacio
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > 75) {
+      parts.push(current);
+      current = ' ' + char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.join('\r\n');
+};
+
+// events: [{ uid, start, end, summary, description, stamp }]
+const buildCalendar = ({ name, events = [] }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//OrganizadorDePensiones//Tareas de limpieza//ES',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDate(event.stamp || new Date())}`,
+      `DTSTART:${formatDate(event.start)}`,
+      `DTEND:${formatDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { buildCalendar, escapeText, formatDate };
@@ -0,0 +1,129 @@
+// utils/pdf.js
+// Generador mínimo de PDF de solo texto: A4 apaisado, fuente monoespaciada y paginado automático
+
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 36;
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 11;
+
+// Courier mide 0,6 em por carácter: el ancho de línea se cuenta en caracteres
+const CHARS_PER_LINE = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * 0.6));
+
+// Se reserva una línea al pie para el número de página
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT) - 1;
+
+// Las fuentes estándar usan WinAnsiEncoding: lo que no es Latin-1 imprimible se reemplaza
+const toLatin1 = (text) => String(text)
+  .replace(/[\u2018\u2019]/g, "'")
+  .replace(/[\u201C\u201D]/g, '"')
+  .replace(/[\u2013\u2014]/g, '-')
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const escapeText = (text) => toLatin1(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+// Partir un texto en líneas de hasta `width` caracteres, cortando por palabras
+const wrapText = (text, width = CHARS_PER_LINE) => {
+  const lines = [];
+  let current = '';
+
+  String(text || '').split(/\s+/).filter(Boolean).forEach(word => {
+    while (word.length > width) {
+      if (current) lines.push(current);
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+      current = '';
+    }
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= width) {
+      current += ' ' + word;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+  if (current) lines.push(current);
+
+  return lines.length > 0 ? lines : [''];
+};
+
+// Contenido de una página: cada línea con su fuente y el pie con el número de página
+const pageContent = (lines, pageNumber, totalPages) => {
+  const commands = [
+    'BT',
+    `/F1 ${FONT_SIZE} Tf`,
+    `${LINE_HEIGHT} TL`,
+    `${MARGIN} ${PAGE_HEIGHT - MARGIN - FONT_SIZE} Td`
+  ];
+
+  let bold = false;
+  lines.forEach(line => {
+    if (line.bold !== bold) {
+      bold = line.bold;
+      commands.push(`/${bold ? 'F2' : 'F1'} ${FONT_SIZE} Tf`);
+    }
+    commands.push(`(${escapeText(line.text.slice(0, CHARS_PER_LINE))}) Tj`, 'T*');
+  });
+
+  commands.push(
+    'ET',
+    'BT',
+    `/F1 ${FONT_SIZE - 1} Tf`,
+    `${PAGE_WIDTH - MARGIN - 80} ${MARGIN / 2} Td`,
+    `(${escapeText(`Página ${pageNumber} de ${totalPages}`)}) Tj`,
+    'ET'
+  );
+
+  return commands.join('\n');
+};
+
+// lines: textos o { text, bold }; devuelve un Buffer con el PDF
+const buildPdf = ({ title, lines }) => {
+  const normalized = lines.map(line => typeof line === 'string' ? { text: line, bold: false } : { bold: false, ...line });
+
+  const pages = [];
+  for (let index = 0; index < normalized.length; index += LINES_PER_PAGE) {
+    pages.push(normalized.slice(index, index + LINES_PER_PAGE));
+  }
+  if (pages.length === 0) pages.push([]);
+
+  // 1 catálogo, 2 árbol de páginas, 3 y 4 fuentes, 5 información; luego página y contenido por cada una
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Title (${escapeText(title || '')}) /Producer (OrganizadorDePensiones) >>`
+  ];
+
+  pages.forEach((pageLines, index) => {
+    const content = pageContent(pageLines, index + 1, pages.length);
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  // Todo el documento es Latin-1, así que la longitud del texto coincide con la de los bytes
+  let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = objects.map((object, index) => {
+    const offset = output.length;
+    output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+module.exports = { buildPdf, wrapText, CHARS_PER_LINE };
@@ -0,0 +1,31 @@
+// utils/postJson.js
+const http = require('http');
+const https = require('https');
+
+// Enviar un cuerpo JSON por POST y resolver con el código y la respuesta
+const postJson = (url, payload, { headers = {}, timeout = 10000 } = {}) => new Promise((resolve, reject) => {
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  const req = client.request(target, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      ...headers
+    },
+    timeout
+  }, (res) => {
+    let data = '';
+    res.on('data', chunk => { data += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body: data }));
+  });
+
+  req.on('timeout', () => req.destroy(new Error(`Tiempo de espera agotado para ${target.host}`)));
+  req.on('error', reject);
+  req.write(body);
+  req.end();
+});
+
+module.exports = postJson;
@@ -0,0 +1,34 @@
+// utils/seededRandom.js
+// Generador pseudoaleatorio con semilla: misma semilla = misma secuencia
+const crypto = require('crypto');
+
+// Semilla nueva en hexadecimal
+const generateSeed = () => crypto.randomBytes(8).toString('hex');
+
+// Hash FNV-1a de 32 bits para aceptar cualquier semilla (texto o número)
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// mulberry32: devuelve una función compatible con Math.random (valores en [0, 1))
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  generateSeed,
+  hashSeed,
+  createRandom
+};
@@ -0,0 +1,182 @@
+// test/helpers/memoryModel.js
+// Reemplaza los métodos estáticos de un modelo de Mongoose por un almacén en memoria para probar los
+// servicios sin MongoDB. Solo cubre los operadores y métodos que usan esos servicios.
+const mongoose = require('mongoose');
+
+const STATICS = [
+  'find', 'findOne', 'findById', 'findOneAndUpdate', 'updateOne', 'updateMany',
+  'insertMany', 'create', 'countDocuments', 'exists', 'deleteMany'
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  (value.constructor === Object || Object.getPrototypeOf(value) === null);
+
+// Copia profunda que conserva ObjectIds y fechas
+const copy = (value) => {
+  if (Array.isArray(value)) return value.map(copy);
+  if (value instanceof Date) return new Date(value);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+  }
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((object, key) => {
+    if (object[key] == null) object[key] = {};
+    return object[key];
+  }, doc);
+  target[last] = value;
+};
+
+const comparable = (value) => value instanceof Date ? value.getTime() : value;
+const same = (a, b) => String(a) === String(b);
+
+// Igualdad al estilo MongoDB: un arreglo coincide si contiene el valor
+const equals = (actual, expected) => Array.isArray(actual) && !Array.isArray(expected)
+  ? actual.some(item => same(item, expected))
+  : same(actual, expected);
+
+const OPERATORS = {
+  $ne: (actual, expected) => !equals(actual, expected),
+  $in: (actual, expected) => expected.some(item => equals(actual, item)),
+  $lt: (actual, expected) => actual != null && comparable(actual) < comparable(expected),
+  $lte: (actual, expected) => actual != null && comparable(actual) <= comparable(expected),
+  $gt: (actual, expected) => actual != null && comparable(actual) > comparable(expected),
+  $gte: (actual, expected) => actual != null && comparable(actual) >= comparable(expected)
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, expected]) => {
+  if (key === '$or') return expected.some(condition => matches(doc, condition));
+
+  const actual = getPath(doc, key);
+  if (isPlainObject(expected) && Object.keys(expected).every(operator => OPERATORS[operator])) {
+    return Object.entries(expected).every(([operator, value]) => OPERATORS[operator](actual, value));
+  }
+  return equals(actual, expected);
+});
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update.$set || {}).forEach(([path, value]) => setPath(doc, path, copy(value)));
+  Object.entries(update.$inc || {}).forEach(([path, value]) => setPath(doc, path, (getPath(doc, path) || 0) + value));
+  Object.entries(update.$push || {}).forEach(([path, value]) => {
+    if (!Array.isArray(getPath(doc, path))) setPath(doc, path, []);
+    getPath(doc, path).push(copy(value));
+  });
+};
+
+const sortDocs = (docs, spec) => [...docs].sort((a, b) => {
+  for (const [path, direction] of Object.entries(spec)) {
+    const left = comparable(getPath(a, path));
+    const right = comparable(getPath(b, path));
+    if (left < right) return -direction;
+    if (left > right) return direction;
+  }
+  return 0;
+});
+
+// Instalar el almacén en el modelo; devuelve { docs, restore }
+function useMemoryModel(Model, { populate = {} } = {}) {
+  const docs = [];
+  const originals = Object.fromEntries(STATICS.map(name => [name, Model[name]]));
+
+  // Los documentos devueltos (salvo con lean) se pueden modificar y guardar con save()
+  const toResult = (stored, lean) => {
+    const result = copy(stored);
+    if (!lean) {
+      Object.defineProperty(result, 'save', {
+        value: async function() {
+          const index = docs.findIndex(doc => same(doc._id, this._id));
+          docs[index] = copy(this);
+          return this;
+        }
+      });
+      Object.defineProperty(result, 'toObject', { value: function() { return copy(this); } });
+    }
+    return result;
+  };
+
+  // Consulta encadenable (sort, limit, select, populate, lean) que se resuelve al esperarla
+  const query = (run, { single = false } = {}) => {
+    const state = { sort: null, limit: null, lean: false, populate: [] };
+    const chain = {
+      sort(spec) { state.sort = spec; return chain; },
+      limit(count) { state.limit = count; return chain; },
+      select() { return chain; },
+      lean() { state.lean = true; return chain; },
+      populate(path) { state.populate.push(path); return chain; },
+      exec() {
+        let found = run();
+        if (state.sort) found = sortDocs(found, state.sort);
+        if (state.limit) found = found.slice(0, state.limit);
+        const results = found.map(doc => {
+          const result = toResult(doc, state.lean);
+          // populate usa la función configurada para la ruta (p. ej. buscar el usuario por ID)
+          state.populate.forEach(path => {
+            const value = getPath(result, path);
+            if (populate[path] && value != null) {
+              setPath(result, path, Array.isArray(value) ? value.map(populate[path]) : populate[path](value));
+            }
+          });
+          return result;
+        });
+        return Promise.resolve(single ? results[0] || null : results);
+      },
+      then(resolve, reject) { return chain.exec().then(resolve, reject); }
+    };
+    return chain;
+  };
+
+  const insert = (data) => {
+    const doc = new Model(data).toObject({ depopulate: true });
+    docs.push(doc);
+    return doc;
+  };
+
+  Object.assign(Model, {
+    find: (filter) => query(() => docs.filter(doc => matches(doc, filter))),
+    findOne: (filter) => query(() => docs.filter(doc => matches(doc, filter)), { single: true }),
+    findById: (id) => query(() => docs.filter(doc => same(doc._id, id)), { single: true }),
+    findOneAndUpdate: (filter, update, options = {}) => query(() => {
+      const doc = docs.find(item => matches(item, filter));
+      if (!doc) return [];
+      const before = copy(doc);
+      applyUpdate(doc, update);
+      return [options.new ? doc : before];
+    }, { single: true }),
+    updateOne: async (filter, update) => {
+      const doc = docs.find(item => matches(item, filter));
+      if (doc) applyUpdate(doc, update);
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    },
+    updateMany: async (filter, update) => {
+      const found = docs.filter(item => matches(item, filter));
+      found.forEach(doc => applyUpdate(doc, update));
+      return { matchedCount: found.length, modifiedCount: found.length };
+    },
+    insertMany: async (items) => items.map(item => toResult(insert(item))),
+    create: async (data) => toResult(insert(data)),
+    countDocuments: async (filter) => docs.filter(doc => matches(doc, filter)).length,
+    exists: async (filter) => docs.some(doc => matches(doc, filter)) ? { _id: docs.find(doc => matches(doc, filter))._id } : null,
+    deleteMany: async (filter) => {
+      const kept = docs.filter(doc => !matches(doc, filter));
+      const deletedCount = docs.length - kept.length;
+      docs.splice(0, docs.length, ...kept);
+      return { deletedCount };
+    }
+  });
+
+  return {
+    docs,
+    // Guardar un documento tal cual (con los valores por defecto del esquema)
+    seed: (data) => insert({ _id: new mongoose.Types.ObjectId(), ...data }),
+    get: (id) => docs.find(doc => same(doc._id, id)),
+    restore: () => Object.assign(Model, originals)
+  };
+}
+
+module.exports = { useMemoryModel };
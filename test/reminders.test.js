@@ -0,0 +1,145 @@
+// test/reminders.test.js
+process.env.NOTIFICATION_CHANNELS = 'memory';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const CleaningTask = require('../src/models/cleaningTask');
+const memoryChannel = require('../src/services/channels/memory');
+const { registerChannel } = require('../src/services/notifier');
+const { dispatchReminders } = require('../src/services/reminders');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const user = (fullName) => ({ _id: new mongoose.Types.ObjectId(), fullName, email: `${fullName.toLowerCase()}@casa.test` });
+const ana = user('Ana');
+const beto = user('Beto');
+const caro = user('Caro');
+const dani = user('Dani');
+const users = new Map([ana, beto, caro, dani].map(item => [item._id.toString(), item]));
+const findUser = (id) => users.get(id.toString());
+
+// Canal que siempre falla, para simular que ningún transporte pudo entregar
+registerChannel({
+  name: 'broken',
+  async send() {
+    throw new Error('SMTP caído');
+  }
+});
+
+describe('dispatchReminders', () => {
+  let tasks;
+
+  const seedTask = (fields) => tasks.seed({
+    area: 'Cocina y Living',
+    responsibles: [ana._id, beto._id],
+    startDate: new Date(NOW.getTime() - HOUR),
+    endDate: new Date(NOW.getTime() + 6 * 24 * HOUR),
+    ...fields
+  });
+
+  // Recordatorios enviados por el canal en memoria: [destinatario, hito]
+  const sentReminders = () => memoryChannel.sent.map(message => [message.to.fullName, message.data.milestone]);
+
+  beforeEach(() => {
+    process.env.NOTIFICATION_CHANNELS = 'memory';
+    memoryChannel.clear();
+    tasks = useMemoryModel(CleaningTask, {
+      populate: { responsibles: findUser, temporaryResponsible: findUser, standIns: findUser }
+    });
+  });
+
+  afterEach(() => tasks.restore());
+
+  it('envía el recordatorio de inicio a cada responsable y marca el flag', async () => {
+    const task = seedTask();
+
+    const summary = await dispatchReminders({ now: NOW });
+
+    assert.deepEqual(sentReminders(), [['Ana', 'start'], ['Beto', 'start']]);
+    assert.deepEqual(summary, { tasks: 1, sent: 2, failed: 0 });
+    assert.equal(tasks.get(task._id).notifications.start, true);
+    assert.equal(tasks.get(task._id).notifications.hours48, false);
+  });
+
+  it('envía el aviso de 48 horas cuando la tarea vence dentro de ese plazo', async () => {
+    const task = seedTask({
+      endDate: new Date(NOW.getTime() + 40 * HOUR),
+      notifications: { start: true }
+    });
+
+    await dispatchReminders({ now: NOW });
+
+    assert.deepEqual(sentReminders(), [['Ana', 'hours48'], ['Beto', 'hours48']]);
+    assert.equal(tasks.get(task._id).notifications.hours48, true);
+    assert.equal(tasks.get(task._id).notifications.hours24, false);
+  });
+
+  it('con ambos plazos alcanzados envía solo el de 24 horas y marca los dos', async () => {
+    const task = seedTask({
+      endDate: new Date(NOW.getTime() + 10 * HOUR),
+      notifications: { start: true }
+    });
+
+    await dispatchReminders({ now: NOW });
+
+    assert.deepEqual(sentReminders(), [['Ana', 'hours24'], ['Beto', 'hours24']]);
+    assert.equal(tasks.get(task._id).notifications.hours48, true);
+    assert.equal(tasks.get(task._id).notifications.hours24, true);
+  });
+
+  it('también avisa al responsable temporal', async () => {
+    seedTask({ temporaryResponsible: caro._id });
+
+    await dispatchReminders({ now: NOW });
+
+    assert.deepEqual(sentReminders(), [['Ana', 'start'], ['Beto', 'start'], ['Caro', 'start']]);
+    const toCaro = memoryChannel.sent.find(message => message.to.fullName === 'Caro');
+    assert.match(toCaro.text, /responsable temporal/);
+  });
+
+  it('avisa a cada suplente cuando los dos responsables delegaron', async () => {
+    seedTask({ temporaryResponsible: caro._id, standIns: [caro._id, dani._id] });
+
+    await dispatchReminders({ now: NOW });
+
+    assert.deepEqual(sentReminders(), [['Ana', 'start'], ['Beto', 'start'], ['Caro', 'start'], ['Dani', 'start']]);
+    const toDani = memoryChannel.sent.find(message => message.to.fullName === 'Dani');
+    assert.match(toDani.text, /responsable temporal/);
+  });
+
+  it('nunca envía dos veces el mismo recordatorio', async () => {
+    seedTask();
+
+    await dispatchReminders({ now: NOW });
+    await dispatchReminders({ now: new Date(NOW.getTime() + HOUR) });
+
+    assert.deepEqual(sentReminders(), [['Ana', 'start'], ['Beto', 'start']]);
+  });
+
+  it('dos ejecuciones simultáneas no duplican el envío', async () => {
+    seedTask();
+
+    await Promise.all([dispatchReminders({ now: NOW }), dispatchReminders({ now: NOW })]);
+
+    assert.deepEqual(sentReminders(), [['Ana', 'start'], ['Beto', 'start']]);
+  });
+
+  it('libera el flag si fallan todas las entregas y reintenta en la siguiente ejecución', async () => {
+    const task = seedTask();
+    process.env.NOTIFICATION_CHANNELS = 'broken';
+
+    const failed = await dispatchReminders({ now: NOW });
+
+    assert.deepEqual(failed, { tasks: 1, sent: 0, failed: 2 });
+    assert.equal(tasks.get(task._id).notifications.start, false);
+
+    process.env.NOTIFICATION_CHANNELS = 'memory';
+    await dispatchReminders({ now: NOW });
+
+    assert.deepEqual(sentReminders(), [['Ana', 'start'], ['Beto', 'start']]);
+    assert.equal(tasks.get(task._id).notifications.start, true);
+  });
+});
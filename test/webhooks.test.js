@@ -0,0 +1,238 @@
+// test/webhooks.test.js
+process.env.WEBHOOK_RETRY_BASE_SECONDS = '60';
+process.env.WEBHOOK_MAX_ATTEMPTS = '4';
+process.env.WEBHOOK_DISABLE_AFTER = '6';
+process.env.WEBHOOK_TIMEOUT_MS = '2000';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../src/models/webhookSubscription');
+const WebhookDelivery = require('../src/models/webhookDelivery');
+const AuditEvent = require('../src/models/auditEvent');
+const {
+  generateSecret,
+  verifySignature,
+  deliverPending,
+  dispatchWebhooks,
+  sendTestDelivery,
+  redeliver
+} = require('../src/services/webhooks');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const SECOND = 1000;
+
+// Espera a que se cumpla una condición (los primeros intentos de dispatchWebhooks van en segundo plano)
+const waitFor = async (condition, timeout = 3000) => {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeout) throw new Error('Tiempo de espera agotado');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('webhooks salientes', () => {
+  let server;
+  let url;
+  let received;
+  let respond;
+  let subscriptions;
+  let deliveries;
+  let audits;
+
+  // Receptor HTTP local: guarda cada envío y responde con el estado que indique `respond`
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body, payload: JSON.parse(body) });
+        res.writeHead(respond(req));
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    received = [];
+    respond = () => 200;
+    subscriptions = useMemoryModel(WebhookSubscription);
+    deliveries = useMemoryModel(WebhookDelivery);
+    audits = useMemoryModel(AuditEvent);
+  });
+
+  afterEach(() => {
+    subscriptions.restore();
+    deliveries.restore();
+    audits.restore();
+  });
+
+  const subscribe = (fields = {}) => subscriptions.seed({
+    name: 'Bot de la casa',
+    url,
+    events: ['task.completed'],
+    secret: generateSecret(),
+    ...fields
+  });
+
+  const event = (type) => ({
+    id: new mongoose.Types.ObjectId().toString(),
+    type,
+    data: { area: 'Cocina y Living' },
+    createdAt: new Date()
+  });
+
+  it('firma cada envío con sha256= sobre "<timestamp>.<cuerpo>"', async () => {
+    const subscription = subscribe();
+
+    await sendTestDelivery(subscription);
+
+    assert.equal(received.length, 1);
+    const { headers, body } = received[0];
+    const expected = crypto.createHmac('sha256', subscription.secret)
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex');
+
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(headers['x-webhook-event'], 'webhook.ping');
+    assert.ok(verifySignature(subscription.secret, headers['x-webhook-timestamp'], body, headers['x-webhook-signature']));
+    assert.ok(!verifySignature('otra-clave', headers['x-webhook-timestamp'], body, headers['x-webhook-signature']));
+  });
+
+  it('solo envía a las suscripciones activas que piden el evento', async () => {
+    const completed = subscribe({ name: 'Completadas' });
+    subscribe({ name: 'Intercambios', events: ['swap.accepted'] });
+    subscribe({ name: 'Desactivada', active: false });
+
+    const published = event('task.completed');
+    const created = await dispatchWebhooks(published);
+
+    assert.equal(created.length, 1);
+    assert.equal(String(created[0].subscription), String(completed._id));
+
+    await waitFor(() => deliveries.docs[0].status === 'delivered');
+    assert.equal(received.length, 1);
+    assert.equal(received[0].payload.id, published.id);
+    assert.equal(received[0].headers['x-webhook-delivery'], String(created[0]._id));
+  });
+
+  it('ignora los eventos que no se ofrecen como webhook', async () => {
+    subscribe({ events: ['task.completed', 'swap.accepted'] });
+
+    assert.deepEqual(await dispatchWebhooks(event('task.reopened')), []);
+    assert.equal(deliveries.docs.length, 0);
+  });
+
+  it('reintenta con espera exponencial y registra cada intento', async () => {
+    const subscription = subscribe();
+    respond = () => 500;
+
+    const delivery = await sendTestDelivery(subscription);
+    const firstAttempt = delivery.attempts[0].attemptedAt;
+
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.nextAttemptAt - firstAttempt, 60 * SECOND);
+
+    // Segundo intento cuando llega su turno: la espera se duplica
+    const second = new Date(delivery.nextAttemptAt);
+    assert.deepEqual(await deliverPending({ now: new Date(second.getTime() - SECOND) }), { delivered: 0, retrying: 0, failed: 0 });
+    assert.deepEqual(await deliverPending({ now: second }), { delivered: 0, retrying: 1, failed: 0 });
+    assert.equal(deliveries.get(delivery._id).nextAttemptAt - second, 120 * SECOND);
+
+    const third = new Date(deliveries.get(delivery._id).nextAttemptAt);
+    assert.deepEqual(await deliverPending({ now: third }), { delivered: 0, retrying: 1, failed: 0 });
+    assert.equal(deliveries.get(delivery._id).nextAttemptAt - third, 240 * SECOND);
+
+    // Con WEBHOOK_MAX_ATTEMPTS = 4 el cuarto fallo la da por fallida
+    const fourth = new Date(deliveries.get(delivery._id).nextAttemptAt);
+    assert.deepEqual(await deliverPending({ now: fourth }), { delivered: 0, retrying: 0, failed: 1 });
+
+    const log = deliveries.get(delivery._id);
+    assert.equal(log.status, 'failed');
+    assert.equal(log.attempts.length, 4);
+    log.attempts.forEach(attempt => {
+      assert.equal(attempt.statusCode, 500);
+      assert.match(attempt.error, /500/);
+      assert.equal(typeof attempt.durationMs, 'number');
+    });
+    assert.deepEqual(log.attempts.map(attempt => attempt.attemptedAt), [firstAttempt, second, third, fourth]);
+    assert.equal(received.length, 4);
+    assert.ok(received.every(request => request.headers['x-webhook-delivery'] === String(delivery._id)));
+  });
+
+  it('registra la entrega exitosa y el reenvío como una entrega nueva', async () => {
+    const subscription = subscribe();
+
+    const delivery = await sendTestDelivery(subscription);
+    assert.equal(delivery.status, 'delivered');
+    assert.ok(delivery.deliveredAt);
+    assert.equal(delivery.attempts.length, 1);
+    assert.equal(delivery.attempts[0].statusCode, 200);
+    assert.equal(delivery.attempts[0].error, undefined);
+
+    const copy = await redeliver(delivery);
+    assert.notEqual(String(copy._id), String(delivery._id));
+    assert.equal(String(copy.redeliveryOf), String(delivery._id));
+    assert.equal(copy.status, 'delivered');
+    assert.deepEqual(received[1].payload, received[0].payload);
+  });
+
+  it('un error de conexión cuenta como intento fallido', async () => {
+    const subscription = subscribe({ url: 'http://127.0.0.1:1/cerrado' });
+
+    const delivery = await sendTestDelivery(subscription);
+
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.attempts[0].statusCode, undefined);
+    assert.ok(delivery.attempts[0].error);
+    assert.equal(subscriptions.get(subscription._id).consecutiveFailures, 1);
+  });
+
+  it('desactiva la suscripción tras WEBHOOK_DISABLE_AFTER fallos seguidos', async () => {
+    const subscription = subscribe();
+    respond = () => 500;
+
+    // 4 intentos de la primera entrega + 2 de la segunda = 6 fallos seguidos
+    const first = await sendTestDelivery(subscription);
+    for (let attempt = 2; attempt <= 4; attempt++) {
+      await deliverPending({ now: new Date(deliveries.get(first._id).nextAttemptAt) });
+    }
+    assert.equal(deliveries.get(first._id).status, 'failed');
+    const second = await sendTestDelivery(subscription);
+    assert.equal(subscriptions.get(subscription._id).active, true);
+    assert.equal(subscriptions.get(subscription._id).consecutiveFailures, 5);
+
+    await deliverPending({ now: new Date(second.nextAttemptAt) });
+
+    const disabled = subscriptions.get(subscription._id);
+    assert.equal(disabled.active, false);
+    assert.equal(disabled.disabledReason, 'too_many_failures');
+    assert.equal(disabled.consecutiveFailures, 6);
+    assert.equal(deliveries.get(second._id).status, 'failed');
+    assert.ok(audits.docs.some(audit => audit.action === 'webhook.disabled'));
+
+    // Ya desactivada no recibe eventos nuevos
+    assert.deepEqual(await dispatchWebhooks(event('task.completed')), []);
+  });
+
+  it('un envío exitoso reinicia el contador de fallos', async () => {
+    const subscription = subscribe();
+    respond = () => 503;
+    await sendTestDelivery(subscription);
+    await sendTestDelivery(subscription);
+    assert.equal(subscriptions.get(subscription._id).consecutiveFailures, 2);
+
+    respond = () => 204;
+    await sendTestDelivery(subscription);
+
+    const updated = subscriptions.get(subscription._id);
+    assert.equal(updated.consecutiveFailures, 0);
+    assert.ok(updated.lastSuccessAt);
+  });
+});